@@ -0,0 +1,28 @@
+import { getSupabaseAdmin } from './supabaseAdmin.js';
+
+/**
+ * Verify the Supabase access token sent as `Authorization: Bearer <jwt>`
+ * @param {import('http').IncomingMessage} request - Incoming request
+ * @returns {Promise<{user?: Object, status?: number, error?: string}>} - The user, or an HTTP status and error
+ */
+export async function authenticateRequest(request) {
+    const header = request.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+
+    if (!match) {
+        return { status: 401, error: 'Missing bearer token' };
+    }
+
+    try {
+        const { data, error } = await getSupabaseAdmin().auth.getUser(match[1]);
+
+        if (error || !data?.user) {
+            return { status: 401, error: 'Invalid or expired session' };
+        }
+
+        return { user: data.user };
+    } catch (error) {
+        console.error('Auth verification error:', error);
+        return { status: 500, error: error.message };
+    }
+}
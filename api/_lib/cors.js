@@ -0,0 +1,29 @@
+/**
+ * Origins allowed to call the API from a browser. Same-origin requests
+ * (the deployed app itself) need no CORS headers; ALLOWED_ORIGINS adds
+ * others as a comma-separated list, e.g. http://localhost:3000.
+ * @returns {Array<string>}
+ */
+function getAllowedOrigins() {
+    return (process.env.ALLOWED_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Set CORS headers for allowed origins
+ * @param {import('http').IncomingMessage} request - Incoming request
+ * @param {import('http').ServerResponse} response - Outgoing response
+ * @param {string} methods - Allowed methods
+ */
+export function applyCors(request, response, methods = 'POST,OPTIONS') {
+    const origin = request.headers.origin;
+
+    if (origin && getAllowedOrigins().includes(origin)) {
+        response.setHeader('Access-Control-Allow-Origin', origin);
+        response.setHeader('Vary', 'Origin');
+        response.setHeader('Access-Control-Allow-Methods', methods);
+        response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    }
+}
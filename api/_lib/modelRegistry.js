@@ -0,0 +1,200 @@
+/**
+ * Model registry
+ * Every model the API routes may call, how to reach it, and which models
+ * serve each task (in order of preference). Clients name a task, never a
+ * model, so this file is also the model allowlist.
+ */
+
+const HF_ROUTER = 'https://router.huggingface.co';
+
+/**
+ * Prompt templates for text-generation models, which take one prompt
+ * string instead of a list of chat messages
+ */
+export const PROMPT_TEMPLATES = {
+    llama3: (messages) => {
+        const turns = messages
+            .map(message => `<|start_header_id|>${message.role}<|end_header_id|>\n\n${message.content}<|eot_id|>`)
+            .join('');
+        return `<|begin_of_text|>${turns}<|start_header_id|>assistant<|end_header_id|>\n\n`;
+    },
+
+    // Mistral has no system role; the system prompt is folded into the first user turn
+    mistral: (messages) => {
+        const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+        const turns = messages.filter(message => message.role !== 'system');
+        let prompt = '<s>';
+        let pendingSystem = system;
+
+        turns.forEach(message => {
+            if (message.role === 'user') {
+                const content = pendingSystem ? `${pendingSystem}\n\n${message.content}` : message.content;
+                pendingSystem = '';
+                prompt += `[INST] ${content} [/INST]`;
+            } else {
+                prompt += ` ${message.content}</s>`;
+            }
+        });
+
+        return prompt;
+    },
+
+    chatml: (messages) => {
+        const turns = messages
+            .map(message => `<|im_start|>${message.role}\n${message.content}<|im_end|>\n`)
+            .join('');
+        return `${turns}<|im_start|>assistant\n`;
+    }
+};
+
+/**
+ * Known models. `api` is 'text-generation' (Hugging Face inference, prompt
+ * built with `template`), 'chat' (OpenAI-compatible chat completions) or
+ * 'feature-extraction' (Hugging Face inference returning one embedding per input).
+ */
+export const MODELS = {
+    'llama-3-8b': {
+        id: 'meta-llama/Meta-Llama-3-8B-Instruct',
+        api: 'text-generation',
+        template: 'llama3',
+        url: `${HF_ROUTER}/hf-inference/models/meta-llama/Meta-Llama-3-8B-Instruct`
+    },
+    'llama-3.1-8b-fireworks': {
+        id: 'meta-llama/Llama-3.1-8B-Instruct:fireworks-ai',
+        api: 'chat',
+        url: `${HF_ROUTER}/v1/chat/completions`
+    },
+    'mistral-7b': {
+        id: 'mistralai/Mistral-7B-Instruct-v0.3',
+        api: 'text-generation',
+        template: 'mistral',
+        url: `${HF_ROUTER}/hf-inference/models/mistralai/Mistral-7B-Instruct-v0.3`
+    },
+    'qwen-2.5-7b': {
+        id: 'Qwen/Qwen2.5-7B-Instruct',
+        api: 'text-generation',
+        template: 'chatml',
+        url: `${HF_ROUTER}/hf-inference/models/Qwen/Qwen2.5-7B-Instruct`
+    },
+    'minilm-l6': {
+        id: 'sentence-transformers/all-MiniLM-L6-v2',
+        api: 'feature-extraction',
+        url: `${HF_ROUTER}/hf-inference/models/sentence-transformers/all-MiniLM-L6-v2/pipeline/feature-extraction`
+    },
+    'bge-small': {
+        id: 'BAAI/bge-small-en-v1.5',
+        api: 'feature-extraction',
+        url: `${HF_ROUTER}/hf-inference/models/BAAI/bge-small-en-v1.5/pipeline/feature-extraction`
+    }
+};
+
+// Task served by embedding models. Stored chunk embeddings are only
+// comparable with query embeddings from the same model, so it never falls
+// back to a second model, and chat keeps working without it (retrieval
+// falls back to BM25).
+export const EMBEDDING_TASK = 'embeddings';
+
+/**
+ * Models tried for each task, first to last. Override with LLM_TASK_ROUTES,
+ * a JSON object such as {"grading": ["llama-3.1-8b-fireworks"]}.
+ */
+const DEFAULT_TASK_ROUTES = {
+    chat: ['llama-3-8b', 'llama-3.1-8b-fireworks', 'mistral-7b'],
+    quiz_generation: ['llama-3-8b', 'llama-3.1-8b-fireworks', 'qwen-2.5-7b'],
+    grading: ['llama-3.1-8b-fireworks', 'llama-3-8b'],
+    summarization: ['llama-3-8b', 'mistral-7b'],
+    [EMBEDDING_TASK]: ['minilm-l6']
+};
+
+export const TASKS = Object.keys(DEFAULT_TASK_ROUTES);
+
+// How long a model that answered 429/503 is moved to the back of the queue
+const COOLDOWN_MS = 60 * 1000;
+
+// Last known health per model, kept for the lifetime of the server instance
+const modelHealth = {};
+
+/**
+ * Whether a model can serve a task: embedding models serve only the
+ * embeddings task, and only they do
+ * @param {string} task - Task name
+ * @param {string} name - Model name
+ * @returns {boolean}
+ */
+function servesTask(task, name) {
+    return Boolean(MODELS[name]) && (MODELS[name].api === 'feature-extraction') === (task === EMBEDDING_TASK);
+}
+
+/**
+ * Task routes with any LLM_TASK_ROUTES overrides applied. Unknown model
+ * names in an override, and models of the wrong kind for the task, are
+ * dropped so a typo cannot open up other models.
+ * @returns {Object} - Task name to ordered list of model names
+ */
+export function getTaskRoutes() {
+    let overrides = {};
+    if (process.env.LLM_TASK_ROUTES) {
+        try {
+            overrides = JSON.parse(process.env.LLM_TASK_ROUTES);
+        } catch (error) {
+            console.error('Ignoring invalid LLM_TASK_ROUTES:', error.message);
+        }
+    }
+
+    const routes = {};
+    TASKS.forEach(task => {
+        const configured = Array.isArray(overrides[task]) ? overrides[task].filter(name => servesTask(task, name)) : [];
+        const names = configured.length > 0 ? configured : DEFAULT_TASK_ROUTES[task];
+        routes[task] = task === EMBEDDING_TASK ? names.slice(0, 1) : names;
+    });
+
+    return routes;
+}
+
+/**
+ * Models to try for a task, with models still cooling down after a
+ * 429/503 moved behind the healthy ones
+ * @param {string} task - Task name
+ * @returns {Array<{name: string, id: string, api: string, template?: string, url: string}>}
+ */
+export function getModelsForTask(task) {
+    const now = Date.now();
+    const names = getTaskRoutes()[task] || [];
+    const isCoolingDown = (name) => (modelHealth[name]?.cooldownUntil || 0) > now;
+
+    return [
+        ...names.filter(name => !isCoolingDown(name)),
+        ...names.filter(name => isCoolingDown(name))
+    ].map(name => ({ name, ...MODELS[name] }));
+}
+
+/**
+ * Record the outcome of a call to a model
+ * @param {string} name - Model name
+ * @param {number} status - Upstream HTTP status (0 for network errors)
+ */
+export function recordModelResult(name, status) {
+    const unavailable = status === 429 || status === 503 || status === 0;
+
+    modelHealth[name] = {
+        state: status >= 200 && status < 300 ? 'ok' : unavailable ? 'unavailable' : 'error',
+        lastStatus: status,
+        checkedAt: new Date().toISOString(),
+        cooldownUntil: unavailable ? Date.now() + COOLDOWN_MS : 0
+    };
+}
+
+/**
+ * Last known health of a model
+ * @param {string} name - Model name
+ * @returns {{state: string, lastStatus?: number, checkedAt?: string}}
+ */
+export function getModelHealth(name) {
+    const health = modelHealth[name];
+    if (!health) {
+        return { state: 'unknown' };
+    }
+
+    const { cooldownUntil, ...rest } = health;
+    return rest;
+}
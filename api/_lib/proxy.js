@@ -0,0 +1,326 @@
+import { applyCors } from './cors.js';
+import { authenticateRequest } from './auth.js';
+import { reserveUsage } from './usage.js';
+import { PROMPT_TEMPLATES, getModelsForTask, recordModelResult } from './modelRegistry.js';
+
+/**
+ * Hugging Face key used for every upstream call. It lives only in the
+ * server environment and is never bundled into the browser app.
+ * @returns {string|undefined}
+ */
+export function getHfApiKey() {
+    return process.env.HF_API_KEY;
+}
+
+/**
+ * Shared request checks for the LLM routes: CORS, method, API key,
+ * Supabase session, body validation and usage limits. Responds with the
+ * appropriate error itself and returns null when the request is rejected.
+ * @param {import('http').IncomingMessage} request - Incoming request
+ * @param {import('http').ServerResponse} response - Outgoing response
+ * @param {Function} validate - Body validator returning {model, tokens, ...} or {status, error}
+ * @returns {Promise<Object|null>} - The validated request
+ */
+export async function guardLLMRequest(request, response, validate) {
+    applyCors(request, response);
+
+    if (request.method === 'OPTIONS') {
+        response.status(200).end();
+        return null;
+    }
+
+    if (request.method !== 'POST') {
+        response.status(405).json({ error: 'Method not allowed' });
+        return null;
+    }
+
+    if (!getHfApiKey()) {
+        response.status(500).json({ error: 'Server configuration error: Missing API Key' });
+        return null;
+    }
+
+    // Only signed-in StudyBase users may spend the API key
+    const auth = await authenticateRequest(request);
+    if (auth.error) {
+        response.status(auth.status).json({ error: auth.error });
+        return null;
+    }
+
+    const validation = validate(request.body);
+    if (validation.error) {
+        response.status(validation.status).json({ error: validation.error });
+        return null;
+    }
+
+    const usage = await reserveUsage(auth.user.id, { model: validation.model, tokens: validation.tokens });
+    if (!usage.allowed) {
+        if (usage.retryAfter) {
+            response.setHeader('Retry-After', String(usage.retryAfter));
+        }
+        response.status(usage.status).json({ error: usage.error });
+        return null;
+    }
+
+    return validation;
+}
+
+// Upstream statuses that mean "try the next model" rather than "fail"
+const FALLBACK_STATUSES = [429, 503];
+
+/**
+ * Build the upstream call for one model: chat models take the messages as
+ * they are, text-generation models get a prompt in their own template
+ * @param {Object} model - Registry entry
+ * @param {Object} request - Validated request
+ * @param {Array} request.messages - Chat messages
+ * @param {Object} request.parameters - { maxTokens, temperature, topP }
+ * @param {boolean} request.stream - Whether to stream the response
+ * @returns {Object} - JSON body for the model's endpoint
+ */
+export function buildModelPayload(model, { messages, parameters, stream }) {
+    const { maxTokens, temperature, topP } = parameters;
+
+    if (model.api === 'chat') {
+        const payload = { model: model.id, messages, stream, max_tokens: maxTokens };
+        if (temperature !== undefined) payload.temperature = temperature;
+        if (topP !== undefined) payload.top_p = topP;
+        return payload;
+    }
+
+    const generationParameters = { max_new_tokens: maxTokens, return_full_text: false };
+    if (temperature !== undefined) generationParameters.temperature = temperature;
+    if (topP !== undefined) generationParameters.top_p = topP;
+
+    const payload = {
+        inputs: PROMPT_TEMPLATES[model.template](messages),
+        parameters: generationParameters
+    };
+    if (stream) payload.stream = true;
+    return payload;
+}
+
+/**
+ * Build the upstream call for an embedding model
+ * @param {Array<string>} input - Texts to embed
+ * @returns {Object} - JSON body for a feature-extraction endpoint
+ */
+export function buildEmbeddingPayload(input) {
+    return { inputs: input };
+}
+
+/**
+ * Call one model's endpoint with the server's API key
+ * @param {Object} model - Registry entry
+ * @param {Object} payload - JSON body
+ * @param {AbortSignal} signal - Cancels the call
+ * @returns {Promise<Response>}
+ */
+function callModel(model, payload, signal) {
+    return fetch(model.url, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${getHfApiKey()}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload),
+        signal,
+    });
+}
+
+/**
+ * Re-emit a text-generation event stream ({ token: { text, special } })
+ * as chat completion chunks, so clients see one format whichever model answers
+ * @param {ReadableStream} body - Upstream response body
+ * @param {import('http').ServerResponse} response - Outgoing response
+ */
+async function relayTextGenerationStream(body, response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const relayLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return;
+
+        let event;
+        try {
+            event = JSON.parse(trimmed.substring(5).trim());
+        } catch (error) {
+            return;
+        }
+
+        if (event.error) {
+            response.write(`data: ${JSON.stringify({ error: event.error })}\n\n`);
+        } else if (event.token && !event.token.special && event.token.text) {
+            response.write(`data: ${JSON.stringify({ choices: [{ delta: { content: event.token.text } }] })}\n\n`);
+        }
+    };
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(relayLine);
+    }
+    relayLine(buffer);
+
+    response.write('data: [DONE]\n\n');
+}
+
+/**
+ * Turn a non-streamed text-generation result ([{ generated_text }]) into a chat completion
+ * @param {Object} model - Registry entry
+ * @param {Array|Object} data - Upstream response
+ * @returns {Object}
+ */
+function toChatCompletion(model, data) {
+    const text = Array.isArray(data) ? data[0]?.generated_text : data.generated_text;
+    return {
+        model: model.id,
+        choices: [{ index: 0, message: { role: 'assistant', content: text || '' }, finish_reason: 'stop' }]
+    };
+}
+
+/**
+ * Turn a feature-extraction result (one vector per input) into an
+ * OpenAI-style embeddings list
+ * @param {Object} model - Registry entry
+ * @param {Array<Array<number>>} data - Upstream response
+ * @returns {Object}
+ */
+function toEmbeddingList(model, data) {
+    return {
+        object: 'list',
+        model: model.id,
+        data: (Array.isArray(data) ? data : []).map((embedding, index) => ({ object: 'embedding', index, embedding }))
+    };
+}
+
+/**
+ * Send a validated request to the models registered for its task, moving
+ * on to the next model when one is rate limited or unavailable (429/503).
+ * The reply is in chat completions format, streamed as server-sent events
+ * when the client asked for a stream, or an OpenAI-style embeddings list
+ * for the embeddings task; the X-Model header names the model that answered.
+ * @param {import('http').IncomingMessage} request - Incoming request
+ * @param {import('http').ServerResponse} response - Outgoing response
+ * @param {Object} validated - Result of validateLLMRequest
+ */
+export async function routeToModels(request, response, validated) {
+    const controller = new AbortController();
+    const models = getModelsForTask(validated.task);
+    let lastFailure = null;
+
+    // Stop generating upstream if the browser goes away (e.g. the user pressed stop)
+    response.on('close', () => {
+        if (!response.writableEnded) {
+            controller.abort();
+        }
+    });
+
+    for (const model of models) {
+        let apiResponse;
+        try {
+            const payload = validated.input ? buildEmbeddingPayload(validated.input) : buildModelPayload(model, validated);
+            apiResponse = await callModel(model, payload, controller.signal);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return response.end();
+            }
+            console.warn(`⚠️ ${model.name} unreachable (${error.message}), trying next model`);
+            recordModelResult(model.name, 0);
+            lastFailure = { status: 503, details: error.message };
+            continue;
+        }
+
+        recordModelResult(model.name, apiResponse.status);
+
+        if (FALLBACK_STATUSES.includes(apiResponse.status)) {
+            console.warn(`⚠️ ${model.name} returned ${apiResponse.status}, trying next model`);
+            lastFailure = {
+                status: apiResponse.status,
+                details: await apiResponse.json().catch(() => null)
+            };
+            continue;
+        }
+
+        try {
+            response.setHeader('X-Model', model.id);
+
+            if (validated.stream && apiResponse.ok) {
+                response.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache, no-transform',
+                    'Connection': 'keep-alive',
+                });
+
+                if (model.api === 'chat') {
+                    // Already chat completion chunks; pass them straight through
+                    for await (const chunk of apiResponse.body) {
+                        response.write(chunk);
+                    }
+                } else {
+                    await relayTextGenerationStream(apiResponse.body, response);
+                }
+
+                return response.end();
+            }
+
+            const data = await apiResponse.json();
+
+            if (!apiResponse.ok) {
+                return response.status(apiResponse.status).json({
+                    error: data.error || 'Upstream API error',
+                    details: data
+                });
+            }
+
+            if (validated.input) {
+                return response.status(200).json(toEmbeddingList(model, data));
+            }
+
+            return response.status(200).json(model.api === 'chat' ? data : toChatCompletion(model, data));
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return response.end();
+            }
+            console.error('Proxy error:', error);
+            if (response.headersSent) {
+                return response.end();
+            }
+            return response.status(500).json({ error: 'Internal server error', details: error.message });
+        }
+    }
+
+    return response.status(lastFailure?.status || 503).json({
+        error: `All models for ${validated.task} are busy or unavailable, please try again shortly`,
+        details: lastFailure?.details
+    });
+}
+
+/**
+ * Send a one-token request to a model and record whether it answered
+ * @param {Object} model - Registry entry
+ * @returns {Promise<number>} - Upstream HTTP status (0 when unreachable)
+ */
+export async function probeModel(model) {
+    const payload = model.api === 'feature-extraction'
+        ? buildEmbeddingPayload(['ping'])
+        : buildModelPayload(model, {
+            messages: [{ role: 'user', content: 'ping' }],
+            parameters: { maxTokens: 1 },
+            stream: false
+        });
+
+    let status;
+    try {
+        const apiResponse = await callModel(model, payload, AbortSignal.timeout(10000));
+        await apiResponse.arrayBuffer().catch(() => null);
+        status = apiResponse.status;
+    } catch (error) {
+        status = 0;
+    }
+
+    recordModelResult(model.name, status);
+    return status;
+}
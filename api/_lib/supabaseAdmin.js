@@ -0,0 +1,30 @@
+import { createClient } from '@supabase/supabase-js';
+
+let adminClient = null;
+
+/**
+ * Supabase client for server-side use. It authenticates with the service
+ * role key, so it bypasses RLS and must never be exposed to the browser.
+ * @returns {import('@supabase/supabase-js').SupabaseClient}
+ */
+export function getSupabaseAdmin() {
+    if (adminClient) {
+        return adminClient;
+    }
+
+    const url = process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL;
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!url || !serviceRoleKey) {
+        throw new Error('Server configuration error: Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY');
+    }
+
+    adminClient = createClient(url, serviceRoleKey, {
+        auth: {
+            autoRefreshToken: false,
+            persistSession: false
+        }
+    });
+
+    return adminClient;
+}
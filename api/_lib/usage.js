@@ -0,0 +1,42 @@
+import { getSupabaseAdmin } from './supabaseAdmin.js';
+
+export const REQUESTS_PER_MINUTE = parseInt(process.env.LLM_REQUESTS_PER_MINUTE || '20', 10);
+export const DAILY_TOKEN_QUOTA = parseInt(process.env.LLM_DAILY_TOKEN_QUOTA || '200000', 10);
+
+/**
+ * Check the per-user rate limit and daily token quota and, if both allow it,
+ * record the request. The check and insert happen in one database call
+ * (reserve_llm_usage) so concurrent requests cannot slip past the limits.
+ * @param {string} userId - Authenticated user ID
+ * @param {Object} usage - Request details
+ * @param {string} usage.model - Model being called
+ * @param {number} usage.tokens - Estimated tokens (prompt + max_new_tokens)
+ * @returns {Promise<{allowed: boolean, status?: number, error?: string, retryAfter?: number}>}
+ */
+export async function reserveUsage(userId, { model, tokens }) {
+    const { data, error } = await getSupabaseAdmin().rpc('reserve_llm_usage', {
+        p_user_id: userId,
+        p_model: model,
+        p_tokens: tokens,
+        p_requests_per_minute: REQUESTS_PER_MINUTE,
+        p_daily_token_quota: DAILY_TOKEN_QUOTA
+    });
+
+    if (error) {
+        console.error('Usage reservation error:', error);
+        return { allowed: false, status: 500, error: 'Could not check usage limits' };
+    }
+
+    if (!data.allowed) {
+        return {
+            allowed: false,
+            status: 429,
+            error: data.reason === 'daily_quota'
+                ? `Daily token quota of ${DAILY_TOKEN_QUOTA} reached`
+                : `Rate limit of ${REQUESTS_PER_MINUTE} requests per minute reached`,
+            retryAfter: data.retry_after
+        };
+    }
+
+    return { allowed: true };
+}
@@ -0,0 +1,141 @@
+import { TASKS, EMBEDDING_TASK, getModelsForTask } from './modelRegistry.js';
+
+// Upper bound for max_tokens (quiz generation asks for 1500)
+export const MAX_NEW_TOKENS_CEILING = parseInt(process.env.HF_MAX_NEW_TOKENS || '2048', 10);
+
+// Longest prompt accepted, in characters
+export const MAX_INPUT_LENGTH = 40000;
+
+// Most texts embedded in one request (chunks are embedded in batches of 16)
+export const MAX_EMBEDDING_INPUTS = 64;
+
+const ALLOWED_FIELDS = ['task', 'messages', 'stream', 'max_tokens', 'temperature', 'top_p'];
+const EMBEDDING_FIELDS = ['task', 'input'];
+const ALLOWED_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Check the requested generation length and sampling settings
+ * @param {number|undefined} maxTokens - Requested generation length
+ * @param {Object} sampling - temperature / top_p
+ * @returns {{maxTokens?: number, status?: number, error?: string}}
+ */
+function validateSampling(maxTokens = 512, { temperature, top_p: topP } = {}) {
+    if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_NEW_TOKENS_CEILING) {
+        return { status: 400, error: `\`max_tokens\` must be an integer between 1 and ${MAX_NEW_TOKENS_CEILING}` };
+    }
+
+    if (temperature !== undefined &&
+        (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+        return { status: 400, error: '`temperature` must be a number between 0 and 2' };
+    }
+
+    if (topP !== undefined &&
+        (typeof topP !== 'number' || topP <= 0 || topP > 1)) {
+        return { status: 400, error: '`top_p` must be a number between 0 and 1' };
+    }
+
+    return { maxTokens };
+}
+
+/**
+ * Rough token estimate (~4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Validate an embeddings request: { task: 'embeddings', input: [texts] }
+ * @param {Object} body - Parsed request body
+ * @returns {{task?: string, model?: string, input?: Array<string>, stream?: boolean, tokens?: number, status?: number, error?: string}}
+ */
+function validateEmbeddingRequest(body) {
+    const unknownKeys = Object.keys(body).filter(key => !EMBEDDING_FIELDS.includes(key));
+    if (unknownKeys.length > 0) {
+        return { status: 400, error: `Unsupported fields: ${unknownKeys.join(', ')}` };
+    }
+
+    const { input } = body;
+    const validInput = Array.isArray(input) && input.length > 0 && input.length <= MAX_EMBEDDING_INPUTS &&
+        input.every(text => typeof text === 'string');
+    if (!validInput) {
+        return { status: 400, error: `\`input\` must be an array of 1 to ${MAX_EMBEDDING_INPUTS} strings` };
+    }
+
+    const inputLength = input.reduce((total, text) => total + text.length, 0);
+    if (inputLength > MAX_INPUT_LENGTH) {
+        return { status: 400, error: `\`input\` exceeds ${MAX_INPUT_LENGTH} characters` };
+    }
+
+    return {
+        task: EMBEDDING_TASK,
+        model: getModelsForTask(EMBEDDING_TASK)[0].id,
+        input,
+        stream: false,
+        tokens: estimateTokens(input.join(''))
+    };
+}
+
+/**
+ * Validate an /api/llm request body. Callers name a task rather than a
+ * model; the model registry decides which models serve it.
+ * @param {Object} body - Parsed request body
+ * @returns {{task?: string, model?: string, messages?: Array, input?: Array<string>, stream?: boolean, parameters?: Object, tokens?: number, status?: number, error?: string}}
+ */
+export function validateLLMRequest(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { status: 400, error: 'Request body must be a JSON object' };
+    }
+
+    if (body.task === EMBEDDING_TASK) {
+        return validateEmbeddingRequest(body);
+    }
+
+    const unknownKeys = Object.keys(body).filter(key => !ALLOWED_FIELDS.includes(key));
+    if (unknownKeys.length > 0) {
+        return { status: 400, error: `Unsupported fields: ${unknownKeys.join(', ')}` };
+    }
+
+    const { task = 'chat', messages, stream = false } = body;
+
+    if (typeof task !== 'string' || !TASKS.includes(task)) {
+        return { status: 400, error: `Unknown task: ${task}. Expected one of ${TASKS.join(', ')}` };
+    }
+    if (typeof stream !== 'boolean') {
+        return { status: 400, error: '`stream` must be a boolean' };
+    }
+
+    const validMessages = Array.isArray(messages) && messages.length > 0 && messages.every(message => (
+        message && ALLOWED_ROLES.includes(message.role) && typeof message.content === 'string'
+    ));
+    if (!validMessages) {
+        return { status: 400, error: '`messages` must be a non-empty array of { role, content } objects' };
+    }
+
+    const promptLength = messages.reduce((total, message) => total + message.content.length, 0);
+    if (promptLength > MAX_INPUT_LENGTH) {
+        return { status: 400, error: `\`messages\` exceed ${MAX_INPUT_LENGTH} characters` };
+    }
+
+    const sampling = validateSampling(body.max_tokens, body);
+    if (sampling.error) {
+        return sampling;
+    }
+
+    const parameters = { maxTokens: sampling.maxTokens };
+    if (body.temperature !== undefined) parameters.temperature = body.temperature;
+    if (body.top_p !== undefined) parameters.topP = body.top_p;
+
+    return {
+        task,
+        // Usage is recorded against the first model the task will try
+        model: getModelsForTask(task)[0].id,
+        messages: messages.map(({ role, content }) => ({ role, content })),
+        stream,
+        parameters,
+        // Charged up front: the prompt plus the most the model may generate
+        tokens: estimateTokens(messages.map(message => message.content).join('')) + sampling.maxTokens
+    };
+}
@@ -0,0 +1,14 @@
+import { guardLLMRequest, routeToModels } from './_lib/proxy.js';
+import { validateLLMRequest } from './_lib/validation.js';
+
+/**
+ * Single LLM endpoint for chat, quiz generation, grading and summarisation.
+ * The request names a task; the model registry picks the model, formats
+ * the prompt for it and falls back to the next model on 429/503.
+ */
+export default async function handler(request, response) {
+    const validated = await guardLLMRequest(request, response, validateLLMRequest);
+    if (!validated) return;
+
+    return routeToModels(request, response, validated);
+}
@@ -0,0 +1,81 @@
+import { applyCors } from './_lib/cors.js';
+import { authenticateRequest } from './_lib/auth.js';
+import { getHfApiKey, probeModel } from './_lib/proxy.js';
+import { MODELS, EMBEDDING_TASK, getTaskRoutes, getModelHealth } from './_lib/modelRegistry.js';
+
+// Models whose last result is older than this are probed again
+const PROBE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Whether a model's recorded health is missing or stale
+ * @param {string} name - Model name
+ * @returns {boolean}
+ */
+function needsProbe(name) {
+    const { checkedAt } = getModelHealth(name);
+    return !checkedAt || Date.now() - new Date(checkedAt).getTime() > PROBE_INTERVAL_MS;
+}
+
+/**
+ * Health of the LLM backends per task, for the app's status indicator.
+ * Models without a recent result get a one-token probe, so repeated calls
+ * reuse the last known state instead of spending the API key.
+ *
+ * Response: { status: 'ok' | 'degraded' | 'unavailable', checkedAt, tasks: {
+ *   [task]: { available, models: [{ name, id, state, lastStatus, checkedAt }] } } }
+ * A task is degraded when its first model is down but a fallback answers.
+ * Embeddings are optional (retrieval falls back to BM25), so losing them
+ * only degrades the overall status.
+ */
+export default async function handler(request, response) {
+    applyCors(request, response, 'GET,OPTIONS');
+
+    if (request.method === 'OPTIONS') {
+        return response.status(200).end();
+    }
+
+    if (request.method !== 'GET') {
+        return response.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const auth = await authenticateRequest(request);
+    if (auth.error) {
+        return response.status(auth.status).json({ error: auth.error });
+    }
+
+    if (!getHfApiKey()) {
+        return response.status(200).json({
+            status: 'unavailable',
+            error: 'Server configuration error: Missing API Key',
+            checkedAt: new Date().toISOString(),
+            tasks: {}
+        });
+    }
+
+    const routes = getTaskRoutes();
+    const modelNames = [...new Set(Object.values(routes).flat())];
+
+    await Promise.all(modelNames
+        .filter(needsProbe)
+        .map(name => probeModel({ name, ...MODELS[name] })));
+
+    const tasks = {};
+    let status = 'ok';
+
+    Object.entries(routes).forEach(([task, names]) => {
+        const models = names.map(name => ({ name, id: MODELS[name].id, ...getModelHealth(name) }));
+        const available = models.some(model => model.state === 'ok');
+
+        tasks[task] = { available, models };
+
+        if (!available && task === EMBEDDING_TASK) {
+            status = status === 'ok' ? 'degraded' : status;
+        } else if (!available) {
+            status = 'unavailable';
+        } else if (models[0].state !== 'ok' && status === 'ok') {
+            status = 'degraded';
+        }
+    });
+
+    return response.status(200).json({ status, checkedAt: new Date().toISOString(), tasks });
+}
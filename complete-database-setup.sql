@@ -22,6 +22,7 @@ CREATE TABLE IF NOT EXISTS base_files (
   file_path TEXT NOT NULL,
   file_size BIGINT NOT NULL,
   file_type VARCHAR(100) NOT NULL,
+  content_hash VARCHAR(64), -- SHA-256 of the uploaded bytes, hex
   uploaded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -31,6 +32,10 @@ CREATE TABLE IF NOT EXISTS pdf_text_content (
   file_id UUID NOT NULL REFERENCES base_files(id) ON DELETE CASCADE,
   extracted_text TEXT,
   text_length INTEGER DEFAULT 0,
+  content_hash VARCHAR(64), -- base_files.content_hash of the file version the text was extracted from
+  pages JSONB, -- [{ page, start, end, source, confidence, hash }] character offsets of each page in extracted_text; source is 'text' or 'ocr', confidence is the OCR mean (0-100), hash is the SHA-256 of the page's content (PDFs)
+  outline JSONB, -- [{ level, title, page, start }] headings found in the layout, start is an offset into extracted_text
+  search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(extracted_text, ''))) STORED, -- full-text search index of extracted_text
   extraction_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
   error_message TEXT,
@@ -38,16 +43,55 @@ CREATE TABLE IF NOT EXISTS pdf_text_content (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create pdf_text_chunks table for retrieval (overlapping passages of extracted text)
+CREATE TABLE IF NOT EXISTS pdf_text_chunks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  file_id UUID NOT NULL REFERENCES base_files(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  start_offset INTEGER DEFAULT 0,
+  token_count INTEGER DEFAULT 0,
+  page_start INTEGER,
+  page_end INTEGER,
+  sections JSONB, -- titles of the outline headings the chunk falls under
+  embedding JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(file_id, chunk_index)
+);
+
+-- Add page tracking columns to tables created by earlier versions of this script
+ALTER TABLE pdf_text_content ADD COLUMN IF NOT EXISTS pages JSONB;
+ALTER TABLE pdf_text_chunks ADD COLUMN IF NOT EXISTS page_start INTEGER;
+ALTER TABLE pdf_text_chunks ADD COLUMN IF NOT EXISTS page_end INTEGER;
+ALTER TABLE pdf_text_content ADD COLUMN IF NOT EXISTS outline JSONB;
+ALTER TABLE pdf_text_chunks ADD COLUMN IF NOT EXISTS sections JSONB;
+ALTER TABLE base_files ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+ALTER TABLE pdf_text_content ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+ALTER TABLE pdf_text_content ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (to_tsvector('english', COALESCE(extracted_text, ''))) STORED;
+
+-- One text row per file, so extraction can upsert on file_id. Earlier
+-- versions allowed duplicates; keep the newest.
+DELETE FROM pdf_text_content older
+  USING pdf_text_content newer
+  WHERE older.file_id = newer.file_id
+  AND (older.updated_at, older.id) < (newer.updated_at, newer.id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pdf_text_content_file_id_unique ON pdf_text_content(file_id);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_bases_user_id ON bases(user_id);
 CREATE INDEX IF NOT EXISTS idx_base_files_base_id ON base_files(base_id);
 CREATE INDEX IF NOT EXISTS idx_pdf_text_content_file_id ON pdf_text_content(file_id);
 CREATE INDEX IF NOT EXISTS idx_pdf_text_content_status ON pdf_text_content(status);
+CREATE INDEX IF NOT EXISTS idx_pdf_text_content_content_hash ON pdf_text_content(content_hash);
+CREATE INDEX IF NOT EXISTS idx_pdf_text_content_search_vector ON pdf_text_content USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_pdf_text_chunks_file_id ON pdf_text_chunks(file_id);
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE bases ENABLE ROW LEVEL SECURITY;
 ALTER TABLE base_files ENABLE ROW LEVEL SECURITY;
 ALTER TABLE pdf_text_content ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pdf_text_chunks ENABLE ROW LEVEL SECURITY;
 
 -- Drop existing policies if they exist
 DROP POLICY IF EXISTS "Users can view their own bases" ON bases;
@@ -65,6 +109,10 @@ DROP POLICY IF EXISTS "Users can insert text content for their files" ON pdf_tex
 DROP POLICY IF EXISTS "Users can update text content for their files" ON pdf_text_content;
 DROP POLICY IF EXISTS "Users can delete text content from their files" ON pdf_text_content;
 
+DROP POLICY IF EXISTS "Users can view text chunks from their files" ON pdf_text_chunks;
+DROP POLICY IF EXISTS "Users can insert text chunks for their files" ON pdf_text_chunks;
+DROP POLICY IF EXISTS "Users can delete text chunks from their files" ON pdf_text_chunks;
+
 -- Create RLS policies for bases table
 CREATE POLICY "Users can view their own bases" ON bases
   FOR SELECT USING (auth.uid() = user_id);
@@ -156,6 +204,37 @@ CREATE POLICY "Users can delete text content from their files" ON pdf_text_conte
     )
   );
 
+-- Create RLS policies for pdf_text_chunks table
+CREATE POLICY "Users can view text chunks from their files" ON pdf_text_chunks
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM base_files 
+      JOIN bases ON bases.id = base_files.base_id
+      WHERE base_files.id = pdf_text_chunks.file_id 
+      AND bases.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can insert text chunks for their files" ON pdf_text_chunks
+  FOR INSERT WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM base_files 
+      JOIN bases ON bases.id = base_files.base_id
+      WHERE base_files.id = pdf_text_chunks.file_id 
+      AND bases.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can delete text chunks from their files" ON pdf_text_chunks
+  FOR DELETE USING (
+    EXISTS (
+      SELECT 1 FROM base_files 
+      JOIN bases ON bases.id = base_files.base_id
+      WHERE base_files.id = pdf_text_chunks.file_id 
+      AND bases.user_id = auth.uid()
+    )
+  );
+
 -- Create storage bucket for files
 INSERT INTO storage.buckets (id, name, public) 
 VALUES ('files', 'files', false)
@@ -308,7 +387,10 @@ CREATE TABLE IF NOT EXISTS quizzes (
   marks_obtained INTEGER DEFAULT 0,
   percentage DECIMAL(5,2) DEFAULT 0.00,
   status VARCHAR(20) NOT NULL DEFAULT 'generating' CHECK (status IN ('generating', 'ready', 'in_progress', 'completed')),
+  time_limit_minutes INTEGER DEFAULT NULL CHECK (time_limit_minutes > 0), -- exam mode: time allowed for the whole quiz
+  question_time_limits JSONB DEFAULT NULL, -- exam mode, optional: { mcq, saq, laq } seconds allowed per question of each type
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NULL, -- database time the quiz was first opened (start_quiz_attempt)
   completed_at TIMESTAMP WITH TIME ZONE DEFAULT NULL
 );
 
@@ -331,7 +413,10 @@ CREATE TABLE IF NOT EXISTS quiz_questions (
   correct_answer TEXT NOT NULL,
   correct_option_number INTEGER DEFAULT NULL, -- for MCQs only
   explanation TEXT NOT NULL,
-  marks INTEGER NOT NULL CHECK (marks IN (1, 3, 5)) -- 1 for MCQ, 3 for SAQ, 5 for LAQ
+  marks INTEGER NOT NULL CHECK (marks IN (1, 3, 5)), -- 1 for MCQ, 3 for SAQ, 5 for LAQ
+  rubric JSONB DEFAULT NULL, -- for SAQs/LAQs: [{ point, marks }] key points of a full answer, marks add up to the question's marks
+  source_passage TEXT DEFAULT NULL, -- for SAQs/LAQs: the section of the source text the question was generated from
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NULL -- database time the question was first shown (start_quiz_question)
 );
 
 -- Create quiz_answers table to store user answers
@@ -343,9 +428,49 @@ CREATE TABLE IF NOT EXISTS quiz_answers (
   is_correct BOOLEAN DEFAULT FALSE,
   marks_obtained INTEGER DEFAULT 0,
   similarity_score DECIMAL(5,2) DEFAULT NULL, -- for SAQs/LAQs
+  matched_points JSONB DEFAULT NULL, -- for SAQs/LAQs with a rubric: [{ point, marks }] rubric points the answer made
+  missed_points JSONB DEFAULT NULL, -- for SAQs/LAQs with a rubric: [{ point, marks }] rubric points it left out
+  feedback JSONB DEFAULT NULL, -- for SAQs/LAQs: { summary, correct, missing, suggestion } written feedback on the answer
+  graded_by VARCHAR(10) DEFAULT NULL CHECK (graded_by IN ('llm', 'local', 'appeal', 'manual')), -- for SAQs/LAQs: the grading model, the offline grader when it was unavailable, an appeal or a manual override
+  time_spent_seconds INTEGER DEFAULT NULL CHECK (time_spent_seconds >= 0), -- time the question was on screen before this answer was submitted
   answered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create quiz_grade_history table: every appeal or manual override of an
+-- answer's grade, with the grade it replaced (written by regrade_quiz_answer).
+-- Rows outlive the answer they describe; they go only with the quiz.
+CREATE TABLE IF NOT EXISTS quiz_grade_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  answer_id UUID REFERENCES quiz_answers(id) ON DELETE SET NULL,
+  quiz_id UUID REFERENCES quizzes(id) ON DELETE CASCADE NOT NULL,
+  change_type VARCHAR(10) NOT NULL CHECK (change_type IN ('appeal', 'override')),
+  previous_grade JSONB NOT NULL, -- { is_correct, marks_obtained, similarity_score, matched_points, missed_points, feedback, graded_by }
+  new_grade JSONB NOT NULL, -- same shape as previous_grade
+  reason TEXT DEFAULT NULL, -- why the grade changed: the vote behind an appeal, or the reason given for an override
+  changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add exam mode, rubric grading, feedback and grading source columns to tables created by earlier versions of this script
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS time_limit_minutes INTEGER DEFAULT NULL CHECK (time_limit_minutes > 0);
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS question_time_limits JSONB DEFAULT NULL;
+ALTER TABLE quizzes ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS rubric JSONB DEFAULT NULL;
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS source_passage TEXT DEFAULT NULL;
+ALTER TABLE quiz_questions ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE DEFAULT NULL;
+ALTER TABLE quiz_answers ADD COLUMN IF NOT EXISTS matched_points JSONB DEFAULT NULL;
+ALTER TABLE quiz_answers ADD COLUMN IF NOT EXISTS missed_points JSONB DEFAULT NULL;
+ALTER TABLE quiz_answers ADD COLUMN IF NOT EXISTS feedback JSONB DEFAULT NULL;
+ALTER TABLE quiz_answers ADD COLUMN IF NOT EXISTS graded_by VARCHAR(10) DEFAULT NULL;
+ALTER TABLE quiz_answers DROP CONSTRAINT IF EXISTS quiz_answers_graded_by_check;
+ALTER TABLE quiz_answers ADD CONSTRAINT quiz_answers_graded_by_check CHECK (graded_by IN ('llm', 'local', 'appeal', 'manual'));
+ALTER TABLE quiz_answers ADD COLUMN IF NOT EXISTS time_spent_seconds INTEGER DEFAULT NULL CHECK (time_spent_seconds >= 0);
+
+-- Keep grade history when an answer is deleted (earlier versions cascaded)
+ALTER TABLE quiz_grade_history ALTER COLUMN answer_id DROP NOT NULL;
+ALTER TABLE quiz_grade_history DROP CONSTRAINT IF EXISTS quiz_grade_history_answer_id_fkey;
+ALTER TABLE quiz_grade_history ADD CONSTRAINT quiz_grade_history_answer_id_fkey
+  FOREIGN KEY (answer_id) REFERENCES quiz_answers(id) ON DELETE SET NULL;
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_quizzes_user_id ON quizzes(user_id);
 CREATE INDEX IF NOT EXISTS idx_quizzes_status ON quizzes(status);
@@ -356,12 +481,15 @@ CREATE INDEX IF NOT EXISTS idx_quiz_questions_quiz_id ON quiz_questions(quiz_id)
 CREATE INDEX IF NOT EXISTS idx_quiz_questions_type ON quiz_questions(question_type);
 CREATE INDEX IF NOT EXISTS idx_quiz_answers_quiz_id ON quiz_answers(quiz_id);
 CREATE INDEX IF NOT EXISTS idx_quiz_answers_question_id ON quiz_answers(question_id);
+CREATE INDEX IF NOT EXISTS idx_quiz_grade_history_answer_id ON quiz_grade_history(answer_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_quiz_grade_history_quiz_id ON quiz_grade_history(quiz_id);
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE quizzes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE quiz_sources ENABLE ROW LEVEL SECURITY;
 ALTER TABLE quiz_questions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE quiz_answers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE quiz_grade_history ENABLE ROW LEVEL SECURITY;
 
 -- Drop existing quiz policies if they exist
 DROP POLICY IF EXISTS "Users can view their own quizzes" ON quizzes;
@@ -383,6 +511,9 @@ DROP POLICY IF EXISTS "Users can insert answers to their quizzes" ON quiz_answer
 DROP POLICY IF EXISTS "Users can update answers in their quizzes" ON quiz_answers;
 DROP POLICY IF EXISTS "Users can delete answers from their quizzes" ON quiz_answers;
 
+DROP POLICY IF EXISTS "Users can view grade history of their quizzes" ON quiz_grade_history;
+DROP POLICY IF EXISTS "Users can insert grade history to their quizzes" ON quiz_grade_history;
+
 -- RLS Policies for quizzes table
 CREATE POLICY "Users can view their own quizzes" ON quizzes
   FOR SELECT USING (auth.uid() = user_id);
@@ -452,12 +583,14 @@ CREATE POLICY "Users can update questions in their quizzes" ON quiz_questions
     )
   );
 
+-- Deleting a question deletes its answer, so not once the quiz is completed
 CREATE POLICY "Users can delete questions from their quizzes" ON quiz_questions
   FOR DELETE USING (
     EXISTS (
       SELECT 1 FROM quizzes 
       WHERE quizzes.id = quiz_questions.quiz_id 
       AND quizzes.user_id = auth.uid()
+      AND quizzes.status <> 'completed'
     )
   );
 
@@ -477,23 +610,21 @@ CREATE POLICY "Users can insert answers to their quizzes" ON quiz_answers
       SELECT 1 FROM quizzes 
       WHERE quizzes.id = quiz_answers.quiz_id 
       AND quizzes.user_id = auth.uid()
+      AND quizzes.status <> 'completed'
     )
   );
 
-CREATE POLICY "Users can update answers in their quizzes" ON quiz_answers
-  FOR UPDATE USING (
-    EXISTS (
-      SELECT 1 FROM quizzes 
-      WHERE quizzes.id = quiz_answers.quiz_id 
-      AND quizzes.user_id = auth.uid()
-    )
-  );
+-- No update or delete policy: grades change only through regrade_quiz_answer,
+-- which records every change in quiz_grade_history. Answers go with their
+-- quiz or question.
 
-CREATE POLICY "Users can delete answers from their quizzes" ON quiz_answers
-  FOR DELETE USING (
+-- RLS Policies for quiz_grade_history table (read only: the history is an
+-- audit trail written by regrade_quiz_answer)
+CREATE POLICY "Users can view grade history of their quizzes" ON quiz_grade_history
+  FOR SELECT USING (
     EXISTS (
       SELECT 1 FROM quizzes 
-      WHERE quizzes.id = quiz_answers.quiz_id 
+      WHERE quizzes.id = quiz_grade_history.quiz_id 
       AND quizzes.user_id = auth.uid()
     )
   );
@@ -589,12 +720,318 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Start (or resume) an attempt at a quiz: stamps started_at with the
+-- database clock the first time and marks a ready quiz as in progress.
+-- Returns the start time with the current database time, so exam countdowns
+-- run on the server's clock, whatever the device clock says, and pick up
+-- where they were after a reload. Runs with the caller's rights.
+DROP FUNCTION IF EXISTS start_quiz_attempt(UUID);
+
+CREATE OR REPLACE FUNCTION start_quiz_attempt(p_quiz_id UUID)
+RETURNS TABLE (
+  attempt_started_at TIMESTAMP WITH TIME ZONE,
+  server_time TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE quizzes q SET
+    started_at = COALESCE(q.started_at, NOW()),
+    status = CASE WHEN q.status = 'ready' THEN 'in_progress' ELSE q.status END
+  WHERE q.id = p_quiz_id
+  RETURNING q.started_at, NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Stamp the database time a quiz question was first shown, for per-question
+-- time limits; like start_quiz_attempt, later calls keep the first time.
+DROP FUNCTION IF EXISTS start_quiz_question(UUID);
+
+CREATE OR REPLACE FUNCTION start_quiz_question(p_question_id UUID)
+RETURNS TABLE (
+  question_started_at TIMESTAMP WITH TIME ZONE,
+  server_time TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE quiz_questions qq SET
+    started_at = COALESCE(qq.started_at, NOW())
+  WHERE qq.id = p_question_id
+  RETURNING qq.started_at, NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Exam start times are the database's: a client may set started_at only
+-- through start_quiz_attempt / start_quiz_question (first call wins, always
+-- NOW()), and a started exam's time limits cannot be changed, so the
+-- deadline checked below cannot be moved by editing the rows directly.
+CREATE OR REPLACE FUNCTION keep_exam_start_times()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.started_at IS DISTINCT FROM OLD.started_at THEN
+    NEW.started_at := COALESCE(OLD.started_at, NOW());
+  END IF;
+
+  IF TG_TABLE_NAME = 'quizzes' AND OLD.started_at IS NOT NULL THEN
+    NEW.time_limit_minutes := OLD.time_limit_minutes;
+    NEW.question_time_limits := OLD.question_time_limits;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS keep_quiz_start_time ON quizzes;
+CREATE TRIGGER keep_quiz_start_time
+  BEFORE UPDATE ON quizzes
+  FOR EACH ROW
+  EXECUTE FUNCTION keep_exam_start_times();
+
+DROP TRIGGER IF EXISTS keep_quiz_question_start_time ON quiz_questions;
+CREATE TRIGGER keep_quiz_question_start_time
+  BEFORE UPDATE ON quiz_questions
+  FOR EACH ROW
+  EXECUTE FUNCTION keep_exam_start_times();
+
+-- Reject answers to a timed quiz that arrive after its time limit, or after
+-- the question's own limit, measured from the start times above. The grace
+-- period covers grading an answer submitted just before time ran out (the
+-- answer is graded before it is saved). The HINT tells the app which clock
+-- ran out ('exam_time_up' or 'question_time_up'). A clock that was never
+-- started (start_quiz_attempt or start_quiz_question did not get through)
+-- starts with the answer rather than counting as run out.
+CREATE OR REPLACE FUNCTION check_quiz_answer_deadline()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_grace CONSTANT INTERVAL := INTERVAL '60 seconds';
+  v_quiz quizzes%ROWTYPE;
+  v_question quiz_questions%ROWTYPE;
+  v_question_limit INTEGER;
+BEGIN
+  SELECT * INTO v_quiz FROM quizzes q WHERE q.id = NEW.quiz_id;
+  SELECT * INTO v_question FROM quiz_questions qq WHERE qq.id = NEW.question_id AND qq.quiz_id = NEW.quiz_id;
+  IF v_question.id IS NULL THEN
+    RAISE EXCEPTION 'Question % is not part of quiz %', NEW.question_id, NEW.quiz_id;
+  END IF;
+
+  IF v_quiz.time_limit_minutes IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF v_quiz.started_at IS NULL THEN
+    UPDATE quizzes SET started_at = NOW() WHERE id = v_quiz.id;
+    v_quiz.started_at := NOW();
+  END IF;
+
+  IF NOW() > v_quiz.started_at + make_interval(mins => v_quiz.time_limit_minutes) + v_grace THEN
+    RAISE EXCEPTION 'Time is up for this quiz' USING HINT = 'exam_time_up';
+  END IF;
+
+  v_question_limit := (v_quiz.question_time_limits->>v_question.question_type)::INTEGER;
+  IF v_question_limit IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF v_question.started_at IS NULL THEN
+    UPDATE quiz_questions SET started_at = NOW() WHERE id = v_question.id;
+    v_question.started_at := NOW();
+  END IF;
+
+  IF NOW() > v_question.started_at + make_interval(secs => v_question_limit) + v_grace THEN
+    RAISE EXCEPTION 'Time is up for this question' USING HINT = 'question_time_up';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_quiz_answer_deadline ON quiz_answers;
+CREATE TRIGGER check_quiz_answer_deadline
+  BEFORE INSERT ON quiz_answers
+  FOR EACH ROW
+  EXECUTE FUNCTION check_quiz_answer_deadline();
+
+-- Replace the grade of a quiz answer after an appeal or a manual override.
+-- p_grade holds the new grade, of which only the fields the change type
+-- allows are used:
+--   appeal:   matched_points (questions with a rubric; the marks are those of
+--             the rubric points it names) or marks_obtained (all or none of
+--             the marks otherwise), similarity_score and feedback
+--   override: marks_obtained
+-- Other grade columns keep their values; is_correct follows from the marks
+-- and graded_by from the change type. The old and new grade are recorded in
+-- quiz_grade_history with the reason, and the quiz's marks_obtained and
+-- percentage are recomputed from its answers, all in one transaction. An
+-- answer can be appealed once. Clients can neither update quiz_answers nor
+-- write the history themselves, so this runs as the owner and checks that
+-- the answer belongs to one of the caller's quizzes.
+DROP FUNCTION IF EXISTS regrade_quiz_answer(UUID, VARCHAR, JSONB, TEXT);
+
+CREATE OR REPLACE FUNCTION regrade_quiz_answer(
+  p_answer_id UUID,
+  p_change_type VARCHAR(10),
+  p_grade JSONB,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  quiz_marks_obtained INTEGER,
+  quiz_percentage DECIMAL
+) AS $$
+DECLARE
+  v_answer quiz_answers%ROWTYPE;
+  v_max_marks INTEGER;
+  v_rubric JSONB;
+  v_marks INTEGER;
+  v_matched JSONB;
+  v_missed JSONB;
+  v_previous JSONB;
+  v_new JSONB;
+BEGIN
+  SELECT qa.* INTO v_answer
+  FROM quiz_answers qa
+  JOIN quizzes q ON q.id = qa.quiz_id
+  WHERE qa.id = p_answer_id
+    AND q.user_id = auth.uid()
+  FOR UPDATE OF qa;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Answer % not found', p_answer_id;
+  END IF;
+
+  IF p_change_type NOT IN ('appeal', 'override') THEN
+    RAISE EXCEPTION 'Unknown grade change %', p_change_type;
+  END IF;
+
+  IF COALESCE(btrim(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'A reason is required to change a grade';
+  END IF;
+
+  IF p_change_type = 'appeal' AND EXISTS (
+    SELECT 1 FROM quiz_grade_history h
+    WHERE h.answer_id = p_answer_id AND h.change_type = 'appeal'
+  ) THEN
+    RAISE EXCEPTION 'This answer has already been appealed';
+  END IF;
+
+  SELECT qq.marks, qq.rubric INTO v_max_marks, v_rubric FROM quiz_questions qq WHERE qq.id = v_answer.question_id;
+
+  IF p_change_type = 'appeal' AND jsonb_typeof(v_rubric) = 'array' AND jsonb_array_length(v_rubric) > 0 THEN
+    SELECT
+      COALESCE(jsonb_agg(r.point ORDER BY r.n) FILTER (WHERE r.met), '[]'::jsonb),
+      COALESCE(jsonb_agg(r.point ORDER BY r.n) FILTER (WHERE NOT r.met), '[]'::jsonb),
+      COALESCE(SUM((r.point->>'marks')::INTEGER) FILTER (WHERE r.met), 0)
+    INTO v_matched, v_missed, v_marks
+    FROM (
+      SELECT e.point, e.n, COALESCE(p_grade->'matched_points', '[]'::jsonb) @> jsonb_build_array(e.point) AS met
+      FROM jsonb_array_elements(v_rubric) WITH ORDINALITY AS e(point, n)
+    ) r;
+  ELSE
+    v_marks := (p_grade->>'marks_obtained')::INTEGER;
+    v_matched := v_answer.matched_points;
+    v_missed := v_answer.missed_points;
+    IF p_change_type = 'appeal' AND v_marks NOT IN (0, v_max_marks) THEN
+      RAISE EXCEPTION 'An appeal without a rubric awards all of the marks or none';
+    END IF;
+  END IF;
+
+  IF v_marks IS NULL OR v_marks < 0 OR v_marks > v_max_marks THEN
+    RAISE EXCEPTION 'Marks must be between 0 and %', v_max_marks;
+  END IF;
+
+  v_previous := jsonb_build_object(
+    'is_correct', v_answer.is_correct,
+    'marks_obtained', v_answer.marks_obtained,
+    'similarity_score', v_answer.similarity_score,
+    'matched_points', v_answer.matched_points,
+    'missed_points', v_answer.missed_points,
+    'feedback', v_answer.feedback,
+    'graded_by', v_answer.graded_by
+  );
+  v_new := v_previous || jsonb_build_object(
+    'is_correct', v_marks = v_max_marks,
+    'marks_obtained', v_marks,
+    'matched_points', v_matched,
+    'missed_points', v_missed,
+    'graded_by', CASE WHEN p_change_type = 'appeal' THEN 'appeal' ELSE 'manual' END
+  );
+  IF p_change_type = 'appeal' THEN
+    v_new := v_new || jsonb_build_object(
+      'similarity_score', p_grade->'similarity_score',
+      'feedback', p_grade->'feedback'
+    );
+  END IF;
+
+  UPDATE quiz_answers SET
+    is_correct = (v_new->>'is_correct')::BOOLEAN,
+    marks_obtained = v_marks,
+    similarity_score = (v_new->>'similarity_score')::DECIMAL,
+    matched_points = NULLIF(v_new->'matched_points', 'null'::jsonb),
+    missed_points = NULLIF(v_new->'missed_points', 'null'::jsonb),
+    feedback = NULLIF(v_new->'feedback', 'null'::jsonb),
+    graded_by = v_new->>'graded_by'
+  WHERE id = p_answer_id;
+
+  INSERT INTO quiz_grade_history (answer_id, quiz_id, change_type, previous_grade, new_grade, reason)
+  VALUES (p_answer_id, v_answer.quiz_id, p_change_type, v_previous, v_new, NULLIF(btrim(p_reason), ''));
+
+  RETURN QUERY
+  UPDATE quizzes q SET
+    marks_obtained = totals.marks,
+    percentage = CASE WHEN q.total_marks > 0 THEN ROUND(totals.marks * 100.0 / q.total_marks) ELSE 0 END
+  FROM (
+    SELECT COALESCE(SUM(qa.marks_obtained), 0)::INTEGER AS marks
+    FROM quiz_answers qa
+    WHERE qa.quiz_id = v_answer.quiz_id
+  ) totals
+  WHERE q.id = v_answer.quiz_id
+  RETURNING q.marks_obtained, q.percentage;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- A quiz's score is the sum of its answers' marks, computed here on every
+-- update whatever the client sends (submitting a quiz, or the recomputation
+-- in regrade_quiz_answer). Question counts, and so total_marks, are fixed
+-- when the quiz is created, and a completed quiz stays completed.
+CREATE OR REPLACE FUNCTION keep_quiz_score()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.total_mcqs := OLD.total_mcqs;
+  NEW.total_saqs := OLD.total_saqs;
+  NEW.total_laqs := OLD.total_laqs;
+  NEW.total_marks := OLD.total_marks;
+
+  IF OLD.status = 'completed' THEN
+    NEW.status := OLD.status;
+    NEW.completed_at := OLD.completed_at;
+  END IF;
+
+  SELECT COALESCE(SUM(qa.marks_obtained), 0)::INTEGER INTO NEW.marks_obtained
+  FROM quiz_answers qa
+  WHERE qa.quiz_id = NEW.id;
+  NEW.percentage := CASE WHEN NEW.total_marks > 0 THEN ROUND(NEW.marks_obtained * 100.0 / NEW.total_marks) ELSE 0 END;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Named to run after calculate_quiz_marks (triggers fire in name order)
+DROP TRIGGER IF EXISTS keep_quiz_score ON quizzes;
+CREATE TRIGGER keep_quiz_score
+  BEFORE UPDATE ON quizzes
+  FOR EACH ROW
+  EXECUTE FUNCTION keep_quiz_score();
+
 -- Function to store PDF text content (bypasses RLS issues)
+DROP FUNCTION IF EXISTS store_pdf_text_content(UUID, TEXT, INTEGER, VARCHAR);
+DROP FUNCTION IF EXISTS store_pdf_text_content(UUID, TEXT, INTEGER, VARCHAR, JSONB);
+DROP FUNCTION IF EXISTS store_pdf_text_content(UUID, TEXT, INTEGER, VARCHAR, JSONB, JSONB);
+
 CREATE OR REPLACE FUNCTION store_pdf_text_content(
   p_file_id UUID,
   p_extracted_text TEXT,
   p_text_length INTEGER,
-  p_status VARCHAR(20)
+  p_status VARCHAR(20),
+  p_pages JSONB DEFAULT NULL,
+  p_outline JSONB DEFAULT NULL,
+  p_content_hash VARCHAR(64) DEFAULT NULL
 )
 RETURNS VOID AS $$
 BEGIN
@@ -613,6 +1050,9 @@ BEGIN
     file_id,
     extracted_text,
     text_length,
+    pages,
+    outline,
+    content_hash,
     extraction_date,
     status,
     created_at,
@@ -621,6 +1061,9 @@ BEGIN
     p_file_id,
     p_extracted_text,
     p_text_length,
+    p_pages,
+    p_outline,
+    p_content_hash,
     NOW(),
     p_status,
     NOW(),
@@ -630,12 +1073,113 @@ BEGIN
   DO UPDATE SET
     extracted_text = EXCLUDED.extracted_text,
     text_length = EXCLUDED.text_length,
+    pages = EXCLUDED.pages,
+    outline = EXCLUDED.outline,
+    content_hash = EXCLUDED.content_hash,
     extraction_date = EXCLUDED.extraction_date,
     status = EXCLUDED.status,
+    error_message = NULL,
     updated_at = NOW();
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Function to search the extracted text of the current user's files
+-- p_query is tsquery text (e.g. 'kinetics & (rate <-> law) & react:*'). Returns
+-- the best matching files with their ts_rank score and up to three
+-- ts_headline snippets from the best matching pages, as
+-- [{ page, headline }]; matched words are wrapped in chr(2) ... chr(3).
+-- Runs with the caller's rights, so row level security applies as well.
+DROP FUNCTION IF EXISTS search_user_documents(TEXT, UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_user_documents(
+  p_query TEXT,
+  p_base_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  file_id UUID,
+  file_name VARCHAR,
+  file_type VARCHAR,
+  base_id UUID,
+  base_name VARCHAR,
+  rank REAL,
+  matched_pages INTEGER,
+  snippets JSONB
+) AS $$
+  WITH search AS (
+    SELECT
+      to_tsquery('english', p_query) AS query,
+      format(
+        'StartSel="%s", StopSel="%s", MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "',
+        chr(2), chr(3)
+      ) AS options
+  ),
+  documents AS (
+    SELECT
+      ptc.file_id,
+      ptc.extracted_text,
+      ptc.pages,
+      bf.file_name,
+      bf.file_type,
+      bf.base_id,
+      b.name AS base_name,
+      -- Normalised by document length so long files don't win on size alone
+      ts_rank(ptc.search_vector, search.query, 1) AS doc_rank
+    FROM pdf_text_content ptc
+    JOIN base_files bf ON bf.id = ptc.file_id
+    JOIN bases b ON b.id = bf.base_id
+    CROSS JOIN search
+    WHERE b.user_id = auth.uid()
+      AND (p_base_id IS NULL OR bf.base_id = p_base_id)
+      AND ptc.status = 'completed'
+      AND ptc.search_vector @@ search.query
+    ORDER BY doc_rank DESC
+    LIMIT p_limit
+  )
+  SELECT
+    d.file_id,
+    d.file_name,
+    d.file_type,
+    d.base_id,
+    d.base_name,
+    d.doc_rank,
+    COALESCE(hits.page_count, 0)::INTEGER,
+    COALESCE(
+      hits.page_snippets,
+      -- No page offsets, or the match spans a page break: headline the whole text
+      jsonb_build_array(jsonb_build_object(
+        'page', NULL,
+        'headline', ts_headline('english', d.extracted_text, search.query, search.options)
+      ))
+    )
+  FROM documents d
+  CROSS JOIN search
+  LEFT JOIN LATERAL (
+    SELECT
+      COUNT(*) AS page_count,
+      jsonb_agg(
+        jsonb_build_object('page', ranked.page, 'headline', ts_headline('english', ranked.body, search.query, search.options))
+        ORDER BY ranked.page_rank DESC
+      ) FILTER (WHERE ranked.position <= 3) AS page_snippets
+    FROM (
+      SELECT
+        page_text.page,
+        page_text.body,
+        ts_rank(to_tsvector('english', page_text.body), search.query) AS page_rank,
+        ROW_NUMBER() OVER (ORDER BY ts_rank(to_tsvector('english', page_text.body), search.query) DESC) AS position
+      FROM (
+        SELECT
+          (entry->>'page')::INTEGER AS page,
+          SUBSTRING(d.extracted_text FROM (entry->>'start')::INTEGER + 1 FOR (entry->>'end')::INTEGER - (entry->>'start')::INTEGER) AS body
+        FROM jsonb_array_elements(COALESCE(d.pages, '[]'::jsonb)) AS entry
+      ) page_text
+      WHERE to_tsvector('english', page_text.body) @@ search.query
+    ) ranked
+    HAVING COUNT(*) > 0
+  ) hits ON TRUE
+  ORDER BY d.doc_rank DESC;
+$$ LANGUAGE sql STABLE;
+
 -- ===========================================
 -- PART 5: GRANT PERMISSIONS
 -- ===========================================
@@ -645,15 +1189,280 @@ GRANT USAGE ON SCHEMA public TO authenticated;
 GRANT ALL ON bases TO authenticated;
 GRANT ALL ON base_files TO authenticated;
 GRANT ALL ON pdf_text_content TO authenticated;
+GRANT ALL ON pdf_text_chunks TO authenticated;
 GRANT ALL ON chats TO authenticated;
 GRANT ALL ON chat_messages TO authenticated;
 GRANT ALL ON quizzes TO authenticated;
 GRANT ALL ON quiz_sources TO authenticated;
 GRANT ALL ON quiz_questions TO authenticated;
-GRANT ALL ON quiz_answers TO authenticated;
+GRANT SELECT, INSERT ON quiz_answers TO authenticated;
+REVOKE UPDATE, DELETE ON quiz_answers FROM authenticated;
+GRANT SELECT ON quiz_grade_history TO authenticated;
+REVOKE INSERT ON quiz_grade_history FROM authenticated;
 GRANT EXECUTE ON FUNCTION get_user_quiz_stats(UUID) TO authenticated;
 GRANT EXECUTE ON FUNCTION get_recent_quiz_performance(UUID) TO authenticated;
-GRANT EXECUTE ON FUNCTION store_pdf_text_content(UUID, TEXT, INTEGER, VARCHAR) TO authenticated;
+GRANT EXECUTE ON FUNCTION store_pdf_text_content(UUID, TEXT, INTEGER, VARCHAR, JSONB, JSONB, VARCHAR) TO authenticated;
+GRANT EXECUTE ON FUNCTION search_user_documents(TEXT, UUID, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION regrade_quiz_answer(UUID, VARCHAR, JSONB, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION start_quiz_attempt(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION start_quiz_question(UUID) TO authenticated;
+
+-- ===========================================
+-- PART 6: LLM PROXY USAGE LIMITS
+-- ===========================================
+
+-- One row per request accepted by the /api/llm proxy. Rows are written by the
+-- proxy with the service role key; users can only read their own usage.
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  tokens INTEGER NOT NULL DEFAULT 0, -- prompt estimate + max_new_tokens
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created ON llm_usage(user_id, created_at);
+
+ALTER TABLE llm_usage ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own LLM usage" ON llm_usage;
+
+CREATE POLICY "Users can view their own LLM usage" ON llm_usage
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Check the per-minute rate limit and daily token quota and record the
+-- request if both allow it. A per-user advisory lock makes check-and-insert
+-- atomic across concurrent requests.
+CREATE OR REPLACE FUNCTION reserve_llm_usage(
+  p_user_id UUID,
+  p_model VARCHAR(255),
+  p_tokens INTEGER,
+  p_requests_per_minute INTEGER,
+  p_daily_token_quota INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+  recent_requests INTEGER;
+  tokens_today INTEGER;
+  oldest_recent TIMESTAMP WITH TIME ZONE;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext(p_user_id::text));
+
+  SELECT COUNT(*), MIN(created_at) INTO recent_requests, oldest_recent
+  FROM llm_usage
+  WHERE user_id = p_user_id
+  AND created_at > NOW() - INTERVAL '1 minute';
+
+  IF recent_requests >= p_requests_per_minute THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'rate_limit',
+      'retry_after', GREATEST(1, CEIL(EXTRACT(EPOCH FROM (oldest_recent + INTERVAL '1 minute' - NOW()))))::INTEGER
+    );
+  END IF;
+
+  SELECT COALESCE(SUM(tokens), 0) INTO tokens_today
+  FROM llm_usage
+  WHERE user_id = p_user_id
+  AND created_at >= date_trunc('day', NOW());
+
+  IF tokens_today + p_tokens > p_daily_token_quota THEN
+    RETURN jsonb_build_object(
+      'allowed', false,
+      'reason', 'daily_quota',
+      'tokens_used', tokens_today,
+      'retry_after', CEIL(EXTRACT(EPOCH FROM (date_trunc('day', NOW()) + INTERVAL '1 day' - NOW())))::INTEGER
+    );
+  END IF;
+
+  INSERT INTO llm_usage (user_id, model, tokens)
+  VALUES (p_user_id, p_model, p_tokens);
+
+  RETURN jsonb_build_object(
+    'allowed', true,
+    'tokens_used', tokens_today + p_tokens
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the server (service role) may reserve usage
+REVOKE ALL ON FUNCTION reserve_llm_usage(UUID, VARCHAR, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reserve_llm_usage(UUID, VARCHAR, INTEGER, INTEGER, INTEGER) TO service_role;
+GRANT SELECT ON llm_usage TO authenticated;
+
+-- ===========================================
+-- PART 7: PDF EXTRACTION JOBS
+-- ===========================================
+
+-- One job per file. The app's job runner claims a job with a lease,
+-- reports per-page progress (which also extends the lease) and marks it
+-- completed, or re-queues it with backoff on failure. A job whose lease
+-- expires (the tab was closed mid-extraction) is picked up again.
+CREATE TABLE IF NOT EXISTS extraction_jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  file_id UUID NOT NULL UNIQUE REFERENCES base_files(id) ON DELETE CASCADE,
+  base_id UUID NOT NULL REFERENCES bases(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  last_error TEXT,
+  run_after TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- not claimed before this (retry backoff)
+  lease_expires_at TIMESTAMP WITH TIME ZONE,
+  leased_by TEXT, -- runner instance holding the lease
+  pages_done INTEGER NOT NULL DEFAULT 0,
+  pages_total INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_extraction_jobs_user_status ON extraction_jobs(user_id, status, run_after);
+CREATE INDEX IF NOT EXISTS idx_extraction_jobs_base_id ON extraction_jobs(base_id);
+
+ALTER TABLE extraction_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own extraction jobs" ON extraction_jobs;
+DROP POLICY IF EXISTS "Users can insert their own extraction jobs" ON extraction_jobs;
+DROP POLICY IF EXISTS "Users can update their own extraction jobs" ON extraction_jobs;
+DROP POLICY IF EXISTS "Users can delete their own extraction jobs" ON extraction_jobs;
+
+CREATE POLICY "Users can view their own extraction jobs" ON extraction_jobs
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own extraction jobs" ON extraction_jobs
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM base_files
+      JOIN bases ON bases.id = base_files.base_id
+      WHERE base_files.id = extraction_jobs.file_id
+      AND bases.id = extraction_jobs.base_id
+      AND bases.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can update their own extraction jobs" ON extraction_jobs
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own extraction jobs" ON extraction_jobs
+  FOR DELETE USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS update_extraction_jobs_updated_at ON extraction_jobs;
+CREATE TRIGGER update_extraction_jobs_updated_at
+  BEFORE UPDATE ON extraction_jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Publish job changes so BaseView can show progress through Supabase realtime
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+     AND NOT EXISTS (
+       SELECT 1 FROM pg_publication_tables
+       WHERE pubname = 'supabase_realtime' AND tablename = 'extraction_jobs'
+     ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE extraction_jobs;
+  END IF;
+END $$;
+
+-- Claim the caller's next runnable job: a queued job whose backoff has
+-- passed, or a running job whose lease expired. SKIP LOCKED lets several
+-- tabs run side by side without claiming the same job. Expired jobs that
+-- have used up their attempts are failed instead.
+CREATE OR REPLACE FUNCTION claim_extraction_job(
+  p_worker_id TEXT,
+  p_lease_seconds INTEGER DEFAULT 120
+)
+RETURNS SETOF extraction_jobs AS $$
+BEGIN
+  UPDATE extraction_jobs
+  SET status = 'failed',
+      last_error = COALESCE(last_error, 'Extraction stopped before finishing'),
+      lease_expires_at = NULL,
+      leased_by = NULL
+  WHERE user_id = auth.uid()
+  AND status = 'running'
+  AND lease_expires_at < NOW()
+  AND attempts >= max_attempts;
+
+  RETURN QUERY
+  UPDATE extraction_jobs
+  SET status = 'running',
+      attempts = attempts + 1,
+      lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+      leased_by = p_worker_id,
+      pages_done = 0
+  WHERE id = (
+    SELECT id FROM extraction_jobs
+    WHERE user_id = auth.uid()
+    AND attempts < max_attempts
+    AND (
+      (status = 'queued' AND run_after <= NOW())
+      OR (status = 'running' AND lease_expires_at < NOW())
+    )
+    ORDER BY run_after, created_at
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record progress and extend the lease. Returns false when the caller no
+-- longer holds the lease (another runner took the job over).
+CREATE OR REPLACE FUNCTION report_extraction_progress(
+  p_job_id UUID,
+  p_worker_id TEXT,
+  p_pages_done INTEGER,
+  p_pages_total INTEGER,
+  p_lease_seconds INTEGER DEFAULT 120
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE extraction_jobs
+  SET pages_done = p_pages_done,
+      pages_total = p_pages_total,
+      lease_expires_at = NOW() + make_interval(secs => p_lease_seconds)
+  WHERE id = p_job_id
+  AND leased_by = p_worker_id
+  AND status = 'running'
+  AND user_id = auth.uid();
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Release a failed attempt: re-queue with exponential backoff (30s, 60s,
+-- 120s, ... capped at an hour) or fail the job once attempts run out.
+-- Returns the job's new status.
+CREATE OR REPLACE FUNCTION fail_extraction_job(
+  p_job_id UUID,
+  p_worker_id TEXT,
+  p_error TEXT
+)
+RETURNS TEXT AS $$
+DECLARE
+  new_status TEXT;
+BEGIN
+  UPDATE extraction_jobs
+  SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+      last_error = p_error,
+      run_after = NOW() + make_interval(secs => LEAST(30 * POWER(2, GREATEST(attempts - 1, 0)), 3600)),
+      lease_expires_at = NULL,
+      leased_by = NULL
+  WHERE id = p_job_id
+  AND leased_by = p_worker_id
+  AND user_id = auth.uid()
+  RETURNING status INTO new_status;
+
+  RETURN new_status;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT ALL ON extraction_jobs TO authenticated;
+GRANT EXECUTE ON FUNCTION claim_extraction_job(TEXT, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION report_extraction_progress(UUID, TEXT, INTEGER, INTEGER, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION fail_extraction_job(UUID, TEXT, TEXT) TO authenticated;
 
 -- ===========================================
 -- COMPLETION MESSAGE
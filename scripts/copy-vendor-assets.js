@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Browser workers that have to be loaded as standalone scripts. Bundling
+// them through webpack would run them through Babel, which rewrites them
+// into modules that import its runtime helpers, so they are copied into
+// public/vendor/<package>@<version>/ instead and served from our own origin.
+// The version in the path keeps each copy matched to the installed library
+// (see src/lib/pdfjs.js) and safe to cache.
+const VENDOR_ASSETS = [
+    {
+        packageName: 'pdfjs-dist',
+        files: ['build/pdf.worker.min.mjs']
+    },
+    {
+        packageName: 'tesseract.js',
+        files: ['dist/worker.min.js']
+    },
+    {
+        // The LSTM-only cores tesseract.js picks from by browser support
+        packageName: 'tesseract.js-core',
+        files: [
+            'tesseract-core-relaxedsimd-lstm.wasm.js',
+            'tesseract-core-simd-lstm.wasm.js',
+            'tesseract-core-lstm.wasm.js'
+        ]
+    },
+    {
+        packageName: '@tesseract.js-data/eng',
+        files: ['4.0.0_best_int/eng.traineddata.gz']
+    }
+];
+
+const rootDir = path.resolve(__dirname, '..');
+const vendorDir = path.join(rootDir, 'public', 'vendor');
+
+const resolvePackage = (packageName) => {
+    const packageJson = require.resolve(`${packageName}/package.json`, { paths: [rootDir] });
+    return {
+        dir: path.dirname(packageJson),
+        version: JSON.parse(fs.readFileSync(packageJson, 'utf8')).version
+    };
+};
+
+// Start clean so copies from earlier versions are not deployed
+fs.rmSync(vendorDir, { recursive: true, force: true });
+
+VENDOR_ASSETS.forEach(({ packageName, files }) => {
+    const { dir: packageDir, version } = resolvePackage(packageName);
+    const targetDir = path.join(vendorDir, `${packageName}@${version}`);
+    fs.mkdirSync(targetDir, { recursive: true });
+
+    files.forEach((file) => {
+        fs.copyFileSync(path.join(packageDir, file), path.join(targetDir, path.basename(file)));
+    });
+
+    console.log(`Copied ${files.length} ${packageName} asset(s) to ${path.relative(rootDir, targetDir)}`);
+});
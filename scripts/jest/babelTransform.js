@@ -0,0 +1,31 @@
+const { pathToFileURL } = require('url');
+const babelJest = require('babel-jest').default;
+
+// Create React App's Jest transform, extended so the tests can load the
+// pdf.js build from node_modules: pdf.js ships modern ES modules with class
+// static blocks, and reads import.meta.url, which has no CommonJS equivalent
+// until it is rewritten to the module's file URL.
+
+const importMetaToFileUrl = ({ types: t }) => ({
+    visitor: {
+        MetaProperty(path, state) {
+            if (path.node.meta.name === 'import' && path.node.property.name === 'meta') {
+                path.replaceWith(t.objectExpression([
+                    t.objectProperty(t.identifier('url'), t.stringLiteral(pathToFileURL(state.filename).href))
+                ]));
+            }
+        }
+    }
+});
+
+module.exports = babelJest.createTransformer({
+    presets: [
+        [require.resolve('babel-preset-react-app'), { runtime: 'automatic' }]
+    ],
+    plugins: [
+        require.resolve('@babel/plugin-transform-class-static-block'),
+        importMetaToFileUrl
+    ],
+    babelrc: false,
+    configFile: false
+});
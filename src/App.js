@@ -14,13 +14,25 @@ import Quiz from './components/Quiz';
 import QuizTaking from './components/QuizTaking';
 import QuizResults from './components/QuizResults';
 import Dashboard from './components/Dashboard';
+import Search from './components/Search';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { extractionJobService } from './services/extractionJobService';
 
 function AppContent() {
   const [theme, setTheme] = useState('dark');
   const [showLogin, setShowLogin] = useState(false);
   const [showSignup, setShowSignup] = useState(false);
-  const { isAuthenticated, signOut } = useAuth();
+  const { user, isAuthenticated, signOut } = useAuth();
+  const userId = user?.id;
+
+  // Resume the user's queued or interrupted text extraction on any page
+  useEffect(() => {
+    if (userId) {
+      extractionJobService.start(userId);
+    } else {
+      extractionJobService.stop();
+    }
+  }, [userId]);
 
   useEffect(() => {
     // Load saved theme from localStorage, default to dark
@@ -90,6 +102,7 @@ function AppContent() {
         <Route path="/quiz" element={<Quiz />} />
         <Route path="/quiz/take/:quizId" element={<QuizTaking />} />
         <Route path="/quiz/results/:quizId" element={<QuizResults />} />
+        <Route path="/search" element={<Search />} />
       </Routes>
       
       {/* Authentication Modals */}
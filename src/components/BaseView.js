@@ -1,19 +1,28 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../lib/supabase';
 import { chatService } from '../services/chatService';
 import { chatPersistenceService } from '../services/chatPersistenceService';
+import { llmProvider } from '../services/llmProvider';
+import { extractionJobService } from '../services/extractionJobService';
+import { canExtractText } from '../services/documentTextExtractor';
 import './BaseView.css';
 
 const BaseView = () => {
   const { baseId } = useParams();
   const navigate = useNavigate();
+  // Search results link to a file, and optionally a page, with ?file=&page=
+  const [searchParams] = useSearchParams();
+  const linkedFileId = searchParams.get('file');
+  const linkedPage = parseInt(searchParams.get('page'), 10) || null;
+  const openedLinkRef = useRef(null);
   const { user } = useAuth();
   const [base, setBase] = useState(null);
   const [files, setFiles] = useState([]);
   const [selectedFile, setSelectedFile] = useState(null);
   const [fileViewerUrl, setFileViewerUrl] = useState(null);
+  const [viewerPage, setViewerPage] = useState(null);
   const [isLoadingFile, setIsLoadingFile] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
@@ -24,6 +33,11 @@ const BaseView = () => {
   const [isChatLoading, setIsChatLoading] = useState(false);
   const [isChatEnabled, setIsChatEnabled] = useState(false);
   const [chatError, setChatError] = useState('');
+  const [chatMode, setChatMode] = useState('file'); // 'file' or 'base'
+  const [baseSourceCount, setBaseSourceCount] = useState(0);
+  const [aiStatus, setAiStatus] = useState(null); // 'ok', 'degraded' or 'unavailable'
+  const [extractionJobs, setExtractionJobs] = useState({}); // file ID -> extraction_jobs row
+  const chatAbortControllerRef = useRef(null);
   
   // Chat management state
   const [userChats, setUserChats] = useState([]);
@@ -33,6 +47,22 @@ const BaseView = () => {
   const [showNewChatForm, setShowNewChatForm] = useState(false);
   const [isLoadingChats, setIsLoadingChats] = useState(false);
 
+  // Check once per visit whether the chat models are answering
+  useEffect(() => {
+    let cancelled = false;
+
+    const checkAiStatus = async () => {
+      const result = await llmProvider.getStatus();
+      if (cancelled) return;
+      setAiStatus(result.success ? result.status.status : 'unavailable');
+    };
+
+    checkAiStatus();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   useEffect(() => {
     const loadBaseData = async () => {
       if (!user || !baseId) return;
@@ -113,27 +143,94 @@ const BaseView = () => {
     return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
   }, [user, baseId]);
 
-  // Check if selected PDF file has extracted text and enable chat
+  // Follow text extraction progress for this base's files
+  useEffect(() => {
+    if (!user || !baseId) return;
+
+    let cancelled = false;
+    const updateJob = (job) => {
+      setExtractionJobs(prev => ({ ...prev, [job.file_id]: job }));
+    };
+
+    const loadJobs = async () => {
+      const result = await extractionJobService.getJobsForBase(baseId);
+      if (cancelled || !result.success) return;
+
+      const jobsByFile = {};
+      result.jobs.forEach(job => {
+        jobsByFile[job.file_id] = job;
+      });
+      setExtractionJobs(jobsByFile);
+    };
+
+    loadJobs();
+    const unsubscribe = extractionJobService.subscribeToBase(baseId, updateJob);
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [user, baseId]);
+
+  // Re-check chat availability whenever an extraction finishes
+  const completedJobCount = Object.values(extractionJobs).filter(job => job.status === 'completed').length;
+
+  // Check if the selected file (or, in base mode, any file in the base) has extracted text and enable chat
   useEffect(() => {
     const checkChatAvailability = async () => {
-      if (selectedFile && selectedFile.file_type === 'application/pdf') {
+      if (chatMode === 'base') {
+        try {
+          const sources = await chatService.getBaseSources(baseId);
+          setBaseSourceCount(sources.length);
+          setIsChatEnabled(sources.length > 0);
+          setChatError(sources.length > 0 ? '' : 'No files in this base have extracted text yet. Please wait for text extraction to complete.');
+        } catch (error) {
+          console.error('Error checking chat availability:', error);
+          setIsChatEnabled(false);
+          setChatError('Error checking text availability.');
+        }
+      } else if (selectedFile && canExtractText(selectedFile)) {
         try {
           const hasText = await chatService.hasExtractedText(selectedFile.id);
           setIsChatEnabled(hasText);
-          setChatError(hasText ? '' : 'No extracted text available for this PDF. Please wait for text extraction to complete.');
+          setChatError(hasText ? '' : 'No extracted text available for this file. Please wait for text extraction to complete.');
         } catch (error) {
           console.error('Error checking chat availability:', error);
           setIsChatEnabled(false);
-          setChatError('Error checking PDF text availability.');
+          setChatError('Error checking text availability.');
         }
       } else {
         setIsChatEnabled(false);
-        setChatError(selectedFile ? 'Chat is only available for PDF files.' : '');
+        setChatError(selectedFile ? 'Chat is not available for this file type.' : '');
       }
     };
 
     checkChatAvailability();
-  }, [selectedFile]);
+  }, [selectedFile, chatMode, baseId, completedJobCount]);
+
+  /**
+   * Short description of a file's text extraction for the file strip
+   * @param {Object} file - base_files row
+   * @param {Object} job - Its extraction_jobs row
+   * @returns {string|null}
+   */
+  const getExtractionLabel = (file, job) => {
+    // Files that are dropped in (or were uploaded before) but that no handler reads
+    if (!canExtractText(file)) return 'Unsupported for text extraction';
+    if (!job || job.status === 'completed') return null;
+
+    if (job.status === 'running') {
+      return job.pages_total
+        ? `Extracting ${job.pages_done}/${job.pages_total} pages`
+        : 'Extracting text...';
+    }
+    if (job.status === 'queued') {
+      return job.attempts > 0
+        ? `Retrying (attempt ${job.attempts + 1} of ${job.max_attempts})`
+        : 'Queued for extraction';
+    }
+    return 'Extraction failed';
+  };
 
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
@@ -154,10 +251,11 @@ const BaseView = () => {
     return '📁';
   };
 
-  const handleFileClick = async (file) => {
+  const handleFileClick = useCallback(async (file) => {
     setSelectedFile(file);
     setIsLoadingFile(true);
     setFileViewerUrl(null);
+    setViewerPage(null);
     
     try {
       // Get signed URL for file viewing
@@ -174,7 +272,21 @@ const BaseView = () => {
     } finally {
       setIsLoadingFile(false);
     }
-  };
+  }, []);
+
+  // Open the linked file once the base's files have loaded
+  useEffect(() => {
+    const linkKey = `${linkedFileId}:${linkedPage}`;
+    if (!linkedFileId || openedLinkRef.current === linkKey) return;
+
+    const file = files.find(item => item.id === linkedFileId);
+    if (!file) return;
+
+    openedLinkRef.current = linkKey;
+    handleFileClick(file).then(() => {
+      if (linkedPage) setViewerPage(linkedPage);
+    });
+  }, [files, linkedFileId, linkedPage, handleFileClick]);
 
   // Chat functionality
   const handleChatSubmit = async (e) => {
@@ -188,8 +300,10 @@ const BaseView = () => {
 
     // Create new chat if none exists
     if (!activeChatId) {
-      const chatName = selectedFile ? `Chat about ${selectedFile.file_name}` : 'New Chat';
-      const result = await chatPersistenceService.createChat(baseId, selectedFile?.id, chatName);
+      const chatName = chatMode === 'base'
+        ? `Chat about ${base.name}`
+        : selectedFile ? `Chat about ${selectedFile.file_name}` : 'New Chat';
+      const result = await chatPersistenceService.createChat(baseId, chatMode === 'base' ? null : selectedFile?.id, chatName);
       if (result.success) {
         setActiveChatId(result.chatId);
         await loadUserChats();
@@ -210,31 +324,63 @@ const BaseView = () => {
       await chatPersistenceService.saveMessage('user', userMessage);
     }
 
+    // Placeholder AI message that fills in as tokens stream back
+    const aiMessageId = Date.now() + 1;
+    setChatMessages(prev => [...prev, {
+      id: aiMessageId,
+      type: 'ai',
+      content: '',
+      timestamp: new Date().toISOString(),
+      isStreaming: true
+    }]);
+
+    const updateAiMessage = (changes) => {
+      setChatMessages(prev => prev.map(message => (
+        message.id === aiMessageId ? { ...message, ...changes } : message
+      )));
+    };
+
+    const abortController = new AbortController();
+    chatAbortControllerRef.current = abortController;
+
     try {
       // Get AI response
-      const result = await chatService.processMessage(selectedFile.id, userMessage);
+      const isBaseWide = chatMode === 'base';
+      const result = await chatService.processMessageStream(isBaseWide ? null : selectedFile.id, userMessage, {
+        chatId: chatPersistenceService.getCurrentChatId(),
+        baseId: isBaseWide ? baseId : undefined,
+        signal: abortController.signal,
+        onToken: (token, text) => updateAiMessage({ content: text })
+      });
       
       if (result.success) {
-        const aiMessage = {
-          id: Date.now() + 1,
-          type: 'ai',
-          content: result.response,
-          timestamp: new Date().toISOString()
-        };
-        setChatMessages(prev => [...prev, aiMessage]);
+        if (!result.response) {
+          // Stopped before anything was generated
+          setChatMessages(prev => prev.filter(message => message.id !== aiMessageId));
+          return;
+        }
+
+        const metadata = {};
+        if (result.aborted) metadata.stopped = true;
+        if (result.sources?.length > 0) {
+          metadata.sources = result.sources.map(source => ({ fileId: source.fileId, fileName: source.fileName }));
+        }
+        if (result.citations?.length > 0) {
+          metadata.citations = result.citations;
+        }
+
+        updateAiMessage({ content: result.response, isStreaming: false, metadata });
 
-        // Save AI message to database
+        // Save AI message to database (partial answers included when stopped)
         if (activeChatId) {
-          await chatPersistenceService.saveMessage('ai', result.response);
+          await chatPersistenceService.saveMessage('ai', result.response, metadata);
         }
       } else {
-        const errorMessage = {
-          id: Date.now() + 1,
+        updateAiMessage({
           type: 'error',
           content: result.error || 'Sorry, I encountered an error processing your question.',
-          timestamp: new Date().toISOString()
-        };
-        setChatMessages(prev => [...prev, errorMessage]);
+          isStreaming: false
+        });
 
         // Save error message to database
         if (activeChatId) {
@@ -243,28 +389,53 @@ const BaseView = () => {
       }
     } catch (error) {
       console.error('Chat error:', error);
-      const errorMessage = {
-        id: Date.now() + 1,
+      updateAiMessage({
         type: 'error',
         content: 'Sorry, I encountered an error processing your question.',
-        timestamp: new Date().toISOString()
-      };
-      setChatMessages(prev => [...prev, errorMessage]);
+        isStreaming: false
+      });
 
       // Save error message to database
       if (activeChatId) {
         await chatPersistenceService.saveMessage('error', 'Sorry, I encountered an error processing your question.');
       }
     } finally {
+      chatAbortControllerRef.current = null;
       setIsChatLoading(false);
     }
   };
 
+  const stopChatResponse = () => {
+    if (chatAbortControllerRef.current) {
+      chatAbortControllerRef.current.abort();
+    }
+  };
+
   const clearChat = () => {
     setChatMessages([]);
     setChatError('');
   };
 
+  // Show the cited page in the file viewer, opening the cited file first if needed
+  const openCitation = async (citation) => {
+    if (citation.fileId && citation.fileId !== selectedFile?.id) {
+      const file = files.find(item => item.id === citation.fileId);
+      if (!file) return;
+      await handleFileClick(file);
+    }
+    setViewerPage(citation.page);
+  };
+
+  const switchChatMode = (mode) => {
+    if (mode === chatMode || isChatLoading) return;
+
+    // A conversation belongs to one mode, so switching starts a fresh one
+    setChatMode(mode);
+    setActiveChatId(null);
+    setChatMessages([]);
+    chatPersistenceService.clearCurrentChat();
+  };
+
   // Chat management functions
   const loadUserChats = async () => {
     setIsLoadingChats(true);
@@ -288,7 +459,7 @@ const BaseView = () => {
     try {
       const result = await chatPersistenceService.createChat(
         baseId, 
-        selectedFile?.id, 
+        chatMode === 'base' ? null : selectedFile?.id, 
         newChatName.trim()
       );
       
@@ -310,6 +481,12 @@ const BaseView = () => {
     try {
       const result = await chatPersistenceService.getChatMessages(chatId);
       if (result.success) {
+        // Chats without a file are base-wide conversations
+        const chat = userChats.find(item => item.id === chatId);
+        if (chat) {
+          setChatMode(chat.fileId ? 'file' : 'base');
+        }
+
         setChatMessages(result.messages);
         setActiveChatId(chatId);
         chatPersistenceService.setCurrentChat(chatId);
@@ -454,21 +631,42 @@ const BaseView = () => {
             </div>
             {files.length > 0 ? (
               <div className="files-strip">
-                {files.map((file) => (
-                  <div 
-                    key={file.id} 
-                    className={`file-card ${selectedFile?.id === file.id ? 'selected' : ''}`}
-                    onClick={() => handleFileClick(file)}
-                  >
-                    <div className="file-card-icon">{getFileIcon(file.file_type)}</div>
-                    <div className="file-card-info">
-                      <div className="file-card-name">{file.file_name}</div>
-                      <div className="file-card-details">
-                        {formatFileSize(file.file_size)}
+                {files.map((file) => {
+                  const job = extractionJobs[file.id];
+                  const extractionLabel = getExtractionLabel(file, job);
+
+                  return (
+                    <div 
+                      key={file.id} 
+                      className={`file-card ${selectedFile?.id === file.id ? 'selected' : ''}`}
+                      onClick={() => handleFileClick(file)}
+                    >
+                      <div className="file-card-icon">{getFileIcon(file.file_type)}</div>
+                      <div className="file-card-info">
+                        <div className="file-card-name">{file.file_name}</div>
+                        <div className="file-card-details">
+                          {formatFileSize(file.file_size)}
+                        </div>
+                        {extractionLabel && (
+                          <div
+                            className={`file-card-extraction ${job?.status || 'unsupported'}`}
+                            title={job ? job.last_error || '' : 'Chat and quizzes leave out files without extracted text'}
+                          >
+                            <span>{extractionLabel}</span>
+                            {job?.status === 'running' && job.pages_total > 0 && (
+                              <div className="extraction-progress">
+                                <div
+                                  className="extraction-progress-fill"
+                                  style={{ width: `${Math.round(100 * job.pages_done / job.pages_total)}%` }}
+                                />
+                              </div>
+                            )}
+                          </div>
+                        )}
                       </div>
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
             ) : (
               <div className="no-files">
@@ -486,6 +684,36 @@ const BaseView = () => {
               <div className="chat-header">
                 <div className="chat-header-left">
                   <h2 className="section-title">Chat</h2>
+                  {aiStatus && (
+                    <span
+                      className={`ai-status ai-status-${aiStatus}`}
+                      title={{
+                        ok: 'AI models are available',
+                        degraded: 'Primary AI model is busy; answers come from a fallback model',
+                        unavailable: 'AI models are currently unavailable'
+                      }[aiStatus]}
+                    >
+                      {aiStatus === 'ok' ? 'AI online' : aiStatus === 'degraded' ? 'AI degraded' : 'AI offline'}
+                    </span>
+                  )}
+                  <div className="chat-mode-toggle" role="group" aria-label="Chat scope">
+                    <button
+                      className={`chat-mode-btn ${chatMode === 'file' ? 'active' : ''}`}
+                      onClick={() => switchChatMode('file')}
+                      disabled={isChatLoading}
+                      title="Ask about the selected file"
+                    >
+                      File
+                    </button>
+                    <button
+                      className={`chat-mode-btn ${chatMode === 'base' ? 'active' : ''}`}
+                      onClick={() => switchChatMode('base')}
+                      disabled={isChatLoading}
+                      title="Ask across every processed file in this base"
+                    >
+                      Whole base
+                    </button>
+                  </div>
                   <div className="chat-controls">
                     <button 
                       className="chat-list-btn" 
@@ -633,15 +861,19 @@ const BaseView = () => {
                     <div className="chat-welcome">
                       <div className="welcome-icon">💬</div>
                       <h3>
-                        {isChatEnabled 
-                          ? `Ask questions about "${selectedFile?.file_name}"` 
-                          : 'Select a PDF file to start chatting'
+                        {chatMode === 'base'
+                          ? `Ask questions about "${base.name}"`
+                          : isChatEnabled 
+                            ? `Ask questions about "${selectedFile?.file_name}"` 
+                            : 'Select a file to start chatting'
                         }
                       </h3>
                       <p>
-                        {isChatEnabled 
-                          ? 'I can help you understand the content of this PDF file.'
-                          : 'Chat is only available for PDF files with extracted text.'
+                        {chatMode === 'base'
+                          ? `I'll search all ${baseSourceCount} processed file${baseSourceCount === 1 ? '' : 's'} in this base and tell you which files each answer draws on.`
+                          : isChatEnabled 
+                            ? 'I can help you understand the content of this file.'
+                            : 'Chat is only available for files with extracted text.'
                         }
                       </p>
                     </div>
@@ -674,35 +906,49 @@ const BaseView = () => {
                             </div>
                           )}
                           <div className="message-text">
-                            <p>{message.content}</p>
-                            <span className="message-time">
-                              {new Date(message.timestamp).toLocaleTimeString()}
-                            </span>
+                            {message.isStreaming && !message.content ? (
+                              <div className="typing-indicator">
+                                <span></span>
+                                <span></span>
+                                <span></span>
+                              </div>
+                            ) : (
+                              <p className={message.isStreaming ? 'streaming' : ''}>{message.content}</p>
+                            )}
+                            {!message.isStreaming && (
+                              <span className="message-time">
+                                {new Date(message.timestamp).toLocaleTimeString()}
+                                {message.metadata?.stopped && ' • stopped'}
+                              </span>
+                            )}
+                            {!message.isStreaming && message.metadata?.citations?.length > 0 && (
+                              <div className="message-citations">
+                                {message.metadata.citations.map(citation => (
+                                  <button
+                                    key={`${citation.fileId}-${citation.page}`}
+                                    type="button"
+                                    className="citation-chip"
+                                    onClick={() => openCitation(citation)}
+                                    title={`Open ${citation.fileName || 'the file'} at page ${citation.page}`}
+                                  >
+                                    {citation.fileName ? `${citation.fileName} · ` : ''}p. {citation.page}
+                                  </button>
+                                ))}
+                              </div>
+                            )}
+                            {!message.isStreaming && message.metadata?.sources?.length > 0 && (
+                              <div className="message-sources">
+                                <span className="message-sources-label">Sources:</span>
+                                {message.metadata.sources.map(source => (
+                                  <span key={source.fileId} className="message-source">📄 {source.fileName}</span>
+                                ))}
+                              </div>
+                            )}
                           </div>
                         </div>
                       </div>
                     ))
                   )}
-                  {isChatLoading && (
-                    <div className="chat-message ai">
-                      <div className="message-content">
-                        <div className="message-avatar ai-avatar">
-                          <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
-                            <path d="M12 2L2 7L12 12L22 7L12 2Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                            <path d="M2 17L12 22L22 17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                            <path d="M2 12L12 17L22 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                          </svg>
-                        </div>
-                        <div className="message-text">
-                          <div className="typing-indicator">
-                            <span></span>
-                            <span></span>
-                            <span></span>
-                          </div>
-                        </div>
-                      </div>
-                    </div>
-                  )}
                 </div>
                 <div className="chat-input-container">
                   {chatError && (
@@ -718,28 +964,39 @@ const BaseView = () => {
                       <input
                         type="text"
                         placeholder={
-                          isChatEnabled 
-                            ? `Ask a question about "${selectedFile?.file_name}"...`
-                            : "Select a PDF file to start chatting..."
+                          chatMode === 'base'
+                            ? `Ask a question across "${base.name}"...`
+                            : isChatEnabled 
+                              ? `Ask a question about "${selectedFile?.file_name}"...`
+                              : "Select a file to start chatting..."
                         }
                         className="chat-input"
                         value={chatInput}
                         onChange={(e) => setChatInput(e.target.value)}
                         disabled={!isChatEnabled || isChatLoading}
                       />
-                      <button 
-                        type="submit"
-                        className="chat-send-btn" 
-                        disabled={!isChatEnabled || isChatLoading || !chatInput.trim()}
-                      >
-                        {isChatLoading ? (
-                          <div className="loading-spinner-small"></div>
-                        ) : (
+                      {isChatLoading ? (
+                        <button 
+                          type="button"
+                          className="chat-stop-btn" 
+                          onClick={stopChatResponse}
+                          title="Stop generating"
+                        >
+                          <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+                            <rect x="6" y="6" width="12" height="12" rx="2" fill="currentColor"/>
+                          </svg>
+                        </button>
+                      ) : (
+                        <button 
+                          type="submit"
+                          className="chat-send-btn" 
+                          disabled={!isChatEnabled || !chatInput.trim()}
+                        >
                           <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
                             <path d="M22 2L11 13M22 2L15 22L11 13M22 2L2 9L11 13" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                           </svg>
-                        )}
-                      </button>
+                        </button>
+                      )}
                     </div>
                   </form>
                 </div>
@@ -758,7 +1015,8 @@ const BaseView = () => {
                 <div className="file-viewer">
                   {selectedFile?.file_type.includes('pdf') ? (
                     <iframe
-                      src={fileViewerUrl}
+                      key={viewerPage || 'start'}
+                      src={viewerPage ? `${fileViewerUrl}#page=${viewerPage}` : fileViewerUrl}
                       className="pdf-viewer"
                       title={selectedFile.file_name}
                     />
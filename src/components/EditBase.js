@@ -2,7 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../lib/supabase';
-import { pdfTextExtractor } from '../services/pdfTextExtractor';
+import { extractionJobService } from '../services/extractionJobService';
+import { canExtractText } from '../services/documentTextExtractor';
+import { hashContent } from '../lib/contentHash';
 import './EditBase.css';
 
 const EditBase = () => {
@@ -134,14 +136,27 @@ const EditBase = () => {
     }
   };
 
+  // A new file with the same name as a current one is a new version of it
+  const findCurrentVersion = (file) => files.find(f => f.file_name === file.name);
+
   const uploadNewFiles = async () => {
-    if (newFiles.length === 0) return [];
+    if (newFiles.length === 0) return { added: [], replaced: [], unchanged: [] };
 
     setIsUploading(true);
-    const uploadedFiles = [];
+    const added = [];
+    const replaced = [];
+    const unchanged = [];
 
     for (const file of newFiles) {
       try {
+        const contentHash = await hashContent(file);
+        const currentVersion = findCurrentVersion(file);
+
+        if (currentVersion && currentVersion.content_hash === contentHash) {
+          unchanged.push(file.name);
+          continue;
+        }
+
         const fileExt = file.name.split('.').pop();
         const fileName = `${Date.now()}-${Math.random().toString(36).substring(2)}.${fileExt}`;
         const filePath = `${user.id}/${base.name}/${fileName}`;
@@ -152,21 +167,56 @@ const EditBase = () => {
 
         if (uploadError) throw uploadError;
 
-        uploadedFiles.push({
-          base_id: baseId,
+        const record = {
           file_name: file.name,
           file_path: filePath,
           file_size: file.size,
           file_type: file.type,
+          content_hash: contentHash,
           uploaded_at: new Date().toISOString()
-        });
+        };
+
+        if (currentVersion) {
+          replaced.push({ currentVersion, record });
+        } else {
+          added.push({ base_id: baseId, ...record });
+        }
       } catch (error) {
         console.error(`Failed to upload ${file.name}:`, error);
       }
     }
 
     setIsUploading(false);
-    return uploadedFiles;
+    return { added, replaced, unchanged };
+  };
+
+  const replaceFileVersions = async (replaced) => {
+    const updatedFiles = [];
+
+    for (const { currentVersion, record } of replaced) {
+      // Keeping the row keeps the file's chats and quiz sources pointing at it;
+      // its text is re-extracted from the new upload
+      const { data: updatedFile, error: updateError } = await supabase
+        .from('base_files')
+        .update(record)
+        .eq('id', currentVersion.id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      const { error: storageError } = await supabase.storage
+        .from('files')
+        .remove([currentVersion.file_path]);
+
+      if (storageError) {
+        console.warn(`Could not delete the previous upload of ${currentVersion.file_name}:`, storageError);
+      }
+
+      updatedFiles.push(updatedFile);
+    }
+
+    return updatedFiles;
   };
 
   const handleSave = async () => {
@@ -176,44 +226,50 @@ const EditBase = () => {
 
     try {
       // Upload new files
-      const uploadedFiles = await uploadNewFiles();
+      const { added, replaced, unchanged } = await uploadNewFiles();
 
       // Save new file records to database
-      if (uploadedFiles.length > 0) {
-        const { data: insertedFiles, error: filesError } = await supabase
+      let insertedFiles = [];
+      if (added.length > 0) {
+        const { data, error: filesError } = await supabase
           .from('base_files')
-          .insert(uploadedFiles)
+          .insert(added)
           .select();
 
         if (filesError) throw filesError;
+        insertedFiles = data;
+      }
 
+      const updatedFiles = await replaceFileVersions(replaced);
+      const savedFiles = [...insertedFiles, ...updatedFiles];
+
+      if (savedFiles.length > 0) {
         // Update local state - sort by upload date to maintain chronological order
         setFiles(prev => {
-          const allFiles = [...insertedFiles, ...prev];
+          const allFiles = [...savedFiles, ...prev.filter(f => !updatedFiles.some(u => u.id === f.id))];
           return allFiles.sort((a, b) => new Date(b.uploaded_at) - new Date(a.uploaded_at));
         });
-        setNewFiles([]);
-
-        // Automatically extract text from PDF files
-        const pdfFiles = insertedFiles.filter(file => file.file_type === 'application/pdf');
-        if (pdfFiles.length > 0) {
-          console.log(`Starting automatic text extraction for ${pdfFiles.length} PDF file(s)...`);
-          
-          // Extract text from each PDF file asynchronously (don't wait for completion)
-          pdfFiles.forEach(async (file) => {
-            try {
-              console.log(`Extracting text from PDF: ${file.file_name}`);
-              await pdfTextExtractor.extractAndStoreText(file.id, file.file_path, file.file_name);
-              console.log(`Successfully extracted text from: ${file.file_name}`);
-            } catch (extractionError) {
-              console.error(`Failed to extract text from ${file.file_name}:`, extractionError);
-              // Don't throw error - extraction failure shouldn't prevent file upload
-            }
-          });
+      }
+      setNewFiles([]);
+
+      // Automatically extract text from documents and images
+      const extractableFiles = savedFiles.filter(canExtractText);
+      if (extractableFiles.length > 0) {
+        // Queue extraction; the app's job runner processes it in the background
+        // and picks it up again if the page is closed before it finishes.
+        // A queueing failure shouldn't prevent file upload.
+        const queueResult = await extractionJobService.enqueue(baseId, extractableFiles);
+        if (!queueResult.success) {
+          console.error('Failed to queue text extraction:', queueResult.error);
         }
       }
 
-      setSuccess(`Base updated successfully! ${uploadedFiles.length} new files added.${uploadedFiles.filter(f => f.file_type === 'application/pdf').length > 0 ? ' PDF text extraction started automatically.' : ''}`);
+      const summary = [
+        `${insertedFiles.length} new files added`,
+        updatedFiles.length > 0 && `${updatedFiles.length} updated to a new version`,
+        unchanged.length > 0 && `${unchanged.length} unchanged and skipped`
+      ].filter(Boolean).join(', ');
+      setSuccess(`Base updated successfully! ${summary}.${extractableFiles.length > 0 ? ' Text extraction started automatically.' : ''}`);
       
       // Redirect back to base view after a short delay
       setTimeout(() => {
@@ -374,7 +430,7 @@ const EditBase = () => {
               <div className="drag-drop-content">
                 <div className="drag-drop-icon">📁</div>
                 <h3>Drop files here or click to browse</h3>
-                <p>Support for PDF, DOC, DOCX, PPT, PPTX, XLS, XLSX, images, audio, and video files</p>
+                <p>Support for PDF, DOCX, PPTX, XLSX, text, Markdown, images, audio, and video files</p>
               </div>
             </div>
 
@@ -384,7 +440,7 @@ const EditBase = () => {
               multiple
               onChange={handleFileInput}
               className="file-input"
-              accept=".pdf,.doc,.docx,.ppt,.pptx,.xls,.xlsx,.jpg,.jpeg,.png,.gif,.mp4,.mp3,.wav"
+              accept=".pdf,.docx,.pptx,.xlsx,.txt,.md,.jpg,.jpeg,.png,.gif,.mp4,.mp3,.wav"
             />
 
             {/* New Files Preview */}
@@ -399,6 +455,7 @@ const EditBase = () => {
                         <div className="file-name">{file.name}</div>
                         <div className="file-details">
                           {formatFileSize(file.size)} • {file.type}
+                          {findCurrentVersion(file) && ' • Replaces the current file'}
                         </div>
                       </div>
                       <button 
@@ -52,6 +52,7 @@ const Navbar = ({ theme, toggleTheme, isAuthenticated, onLogin, onSignUp, onLogo
                 <li><a href="#new-base" className="nav-link" onClick={() => navigate('/new-base')}>New Base</a></li>
                 <li><a href="#my-bases" className="nav-link" onClick={() => navigate('/my-bases')}>My Bases</a></li>
                 <li><a href="#quiz" className="nav-link" onClick={() => navigate('/quiz')}>Quiz</a></li>
+                <li><a href="#search" className="nav-link" onClick={() => navigate('/search')}>Search</a></li>
               </>
             )}
           </ul>
@@ -172,6 +173,7 @@ const Navbar = ({ theme, toggleTheme, isAuthenticated, onLogin, onSignUp, onLogo
                 <li><a href="#new-base" className="mobile-nav-link" onClick={() => { navigate('/new-base'); toggleMobileMenu(); }}>New Base</a></li>
                 <li><a href="#my-bases" className="mobile-nav-link" onClick={() => { navigate('/my-bases'); toggleMobileMenu(); }}>My Bases</a></li>
                 <li><a href="#quiz" className="mobile-nav-link" onClick={() => { navigate('/quiz'); toggleMobileMenu(); }}>Quiz</a></li>
+                <li><a href="#search" className="mobile-nav-link" onClick={() => { navigate('/search'); toggleMobileMenu(); }}>Search</a></li>
               </>
             )}
           </ul>
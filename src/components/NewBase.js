@@ -2,7 +2,9 @@ import React, { useState, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { supabase } from '../lib/supabase';
-import { pdfTextExtractor } from '../services/pdfTextExtractor';
+import { extractionJobService } from '../services/extractionJobService';
+import { canExtractText } from '../services/documentTextExtractor';
+import { hashContent } from '../lib/contentHash';
 import './NewBase.css';
 
 const NewBase = () => {
@@ -89,7 +91,10 @@ const NewBase = () => {
 
       if (uploadError) throw uploadError;
 
-      return { path: filePath, name: file.name };
+      // Lets extraction recognise content it has already read
+      const contentHash = await hashContent(file);
+
+      return { path: filePath, name: file.name, contentHash };
     } catch (error) {
       console.error('Upload error:', error);
       throw error;
@@ -140,6 +145,7 @@ const NewBase = () => {
             file_path: uploadResult.path,
             file_size: fileItem.size,
             file_type: fileItem.type,
+            content_hash: uploadResult.contentHash,
             uploaded_at: new Date().toISOString()
           });
         } catch (error) {
@@ -156,26 +162,20 @@ const NewBase = () => {
 
         if (filesError) throw filesError;
 
-        // Automatically extract text from PDF files
-        const pdfFiles = insertedFiles.filter(file => file.file_type === 'application/pdf');
-        if (pdfFiles.length > 0) {
-          console.log(`Starting automatic text extraction for ${pdfFiles.length} PDF file(s)...`);
-          
-          // Extract text from each PDF file asynchronously (don't wait for completion)
-          pdfFiles.forEach(async (file) => {
-            try {
-              console.log(`Extracting text from PDF: ${file.file_name}`);
-              await pdfTextExtractor.extractAndStoreText(file.id, file.file_path, file.file_name);
-              console.log(`Successfully extracted text from: ${file.file_name}`);
-            } catch (extractionError) {
-              console.error(`Failed to extract text from ${file.file_name}:`, extractionError);
-              // Don't throw error - extraction failure shouldn't prevent base creation
-            }
-          });
+        // Automatically extract text from documents and images
+        const extractableFiles = insertedFiles.filter(canExtractText);
+        if (extractableFiles.length > 0) {
+          // Queue extraction; the app's job runner processes it in the background
+          // and picks it up again if the page is closed before it finishes.
+          // A queueing failure shouldn't prevent base creation.
+          const queueResult = await extractionJobService.enqueue(baseData.id, extractableFiles);
+          if (!queueResult.success) {
+            console.error('Failed to queue text extraction:', queueResult.error);
+          }
         }
       }
 
-      setSuccess(`Base "${baseName}" created successfully with ${uploadedFiles.length} files!${uploadedFiles.filter(f => f.file_type === 'application/pdf').length > 0 ? ' PDF text extraction started automatically.' : ''}`);
+      setSuccess(`Base "${baseName}" created successfully with ${uploadedFiles.length} files!${uploadedFiles.some(canExtractText) ? ' Text extraction started automatically.' : ''}`);
       
       // Redirect to the base view after a short delay
       setTimeout(() => {
@@ -260,7 +260,7 @@ const NewBase = () => {
                 or <span className="click-to-browse">click to browse</span>
               </p>
               <p className="drop-zone-info">
-                Supports PDF, DOC, DOCX, PPT, PPTX, XLS, XLSX, images, and more
+                Supports PDF, DOCX, PPTX, XLSX, text, Markdown, images, and more
               </p>
             </div>
           </div>
@@ -272,7 +272,7 @@ const NewBase = () => {
             multiple
             onChange={handleFileInput}
             className="hidden-file-input"
-            accept=".pdf,.doc,.docx,.ppt,.pptx,.xls,.xlsx,.txt,.jpg,.jpeg,.png,.gif,.mp4,.mp3,.wav"
+            accept=".pdf,.docx,.pptx,.xlsx,.txt,.md,.jpg,.jpeg,.png,.gif,.mp4,.mp3,.wav"
           />
 
           {/* File List */}
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { pdfTextExtractor } from '../services/pdfTextExtractor';
+import { documentTextExtractor } from '../services/documentTextExtractor';
 
 /**
  * PDF Text Extraction Test Component
@@ -38,7 +38,7 @@ const PDFExtractionTest = () => {
       const arrayBuffer = await testFile.arrayBuffer();
       
       // Test the extraction service
-      const result = await pdfTextExtractor.extractAndStoreText(
+      const result = await documentTextExtractor.extractAndStoreText(
         'test-file-id', // Mock file ID
         'test/path/file.pdf', // Mock file path
         testFile.name
@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { usePDFTextExtraction } from '../hooks/usePDFTextExtraction';
+import { canExtractText } from '../services/documentTextExtractor';
 import './PDFTextExtraction.css';
 
 /**
  * PDF Text Extraction Component
- * Provides UI for extracting and managing text content from PDF files
+ * Provides UI for extracting and managing text content from uploaded documents
  */
 const PDFTextExtraction = ({ baseId, files, onExtractionComplete }) => {
   const {
@@ -23,28 +24,28 @@ const PDFTextExtraction = ({ baseId, files, onExtractionComplete }) => {
   const [showSearchResults, setShowSearchResults] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
 
-  // Filter PDF files
-  const pdfFiles = files.filter(file => file.file_type === 'application/pdf');
+  // Files text can be extracted from (PDFs, Office documents, text, images)
+  const extractableFiles = files.filter(canExtractText);
 
   // Load extraction status for all PDF files on component mount
   useEffect(() => {
     const loadExtractionStatus = async () => {
-      for (const file of pdfFiles) {
+      for (const file of extractableFiles) {
         await getExtractionStatus(file.id);
       }
     };
 
-    if (pdfFiles.length > 0) {
+    if (extractableFiles.length > 0) {
       loadExtractionStatus();
     }
-  }, [pdfFiles, getExtractionStatus]);
+  }, [extractableFiles, getExtractionStatus]);
 
   /**
    * Handle extracting text from a single PDF file
    */
   const handleExtractSingleFile = async (file) => {
     try {
-      const result = await extractTextFromFile(file.id, file.file_path, file.file_name);
+      const result = await extractTextFromFile(file.id, file.file_path, file.file_name, file.file_type);
       
       if (result.success && onExtractionComplete) {
         onExtractionComplete(file.id, result.text);
@@ -124,13 +125,13 @@ const PDFTextExtraction = ({ baseId, files, onExtractionComplete }) => {
     );
   };
 
-  if (pdfFiles.length === 0) {
+  if (extractableFiles.length === 0) {
     return (
       <div className="pdf-extraction-section">
         <h3 className="section-title">PDF Text Extraction</h3>
         <div className="no-pdfs">
           <div className="no-pdfs-icon">📄</div>
-          <p>No PDF files found in this base</p>
+          <p>No documents to extract text from in this base</p>
         </div>
       </div>
     );
@@ -199,9 +200,9 @@ const PDFTextExtraction = ({ baseId, files, onExtractionComplete }) => {
 
       {/* PDF Files List */}
       <div className="pdf-files-list">
-        <h4 className="list-title">PDF Files ({pdfFiles.length})</h4>
+        <h4 className="list-title">Documents ({extractableFiles.length})</h4>
         <div className="files-grid">
-          {pdfFiles.map((file) => {
+          {extractableFiles.map((file) => {
             const status = extractionStatus[file.id];
             return (
               <div key={file.id} className="pdf-file-item">
@@ -279,13 +280,20 @@ const PDFTextExtraction = ({ baseId, files, onExtractionComplete }) => {
           {searchResults.length > 0 ? (
             <div className="results-list">
               {searchResults.map((result) => (
-                <div key={result.id} className="search-result-item">
+                <div key={result.fileId} className="search-result-item">
                   <div className="result-file">
-                    📄 {result.base_files.file_name}
-                  </div>
-                  <div className="result-preview">
-                    {result.extracted_text.substring(0, 200)}...
+                    📄 {result.fileName}
                   </div>
+                  {result.snippets.map((snippet, index) => (
+                    <div key={index} className="result-preview">
+                      {snippet.page && <strong>Page {snippet.page}: </strong>}
+                      {snippet.segments.map((segment, segmentIndex) => (
+                        segment.highlight
+                          ? <mark key={segmentIndex}>{segment.text}</mark>
+                          : <React.Fragment key={segmentIndex}>{segment.text}</React.Fragment>
+                      ))}
+                    </div>
+                  ))}
                 </div>
               ))}
             </div>
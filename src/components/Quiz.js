@@ -4,6 +4,7 @@ import { supabase } from '../lib/supabase';
 import { useAuth } from '../contexts/AuthContext';
 import { quizGenerationService } from '../services/quizGenerationService';
 import { quizPersistenceService } from '../services/quizPersistenceService';
+import { canExtractText } from '../services/documentTextExtractor';
 import './Quiz.css';
 
 const Quiz = () => {
@@ -22,7 +23,11 @@ const Quiz = () => {
     difficulty: 'medium',
     totalMcqs: 5,
     totalSaqs: 3,
-    totalLaqs: 2
+    totalLaqs: 2,
+    examMode: false,
+    durationMinutes: 30,
+    perQuestionLimits: false,
+    questionTimeLimits: { mcq: 60, saq: 180, laq: 420 }
   });
 
   useEffect(() => {
@@ -57,7 +62,7 @@ const Quiz = () => {
 
       // Get all files for these bases
       const baseIds = basesData.map(base => base.id);
-      const { data: filesData, error: filesError } = await supabase
+      const { data: allFiles, error: filesError } = await supabase
         .from('base_files')
         .select(`
           id,
@@ -67,12 +72,13 @@ const Quiz = () => {
           uploaded_at
         `)
         .in('base_id', baseIds)
-        .eq('file_type', 'application/pdf')
         .order('uploaded_at', { ascending: false });
 
       if (filesError) throw filesError;
 
-      if (!filesData || filesData.length === 0) {
+      const filesData = (allFiles || []).filter(canExtractText);
+
+      if (filesData.length === 0) {
         setBases([]);
         return;
       }
@@ -98,11 +104,11 @@ const Quiz = () => {
         fileStatusMap.set(item.file_id, item.status);
       });
 
-      console.log('PDF files found:', filesData.length);
+      console.log('Extractable files found:', filesData.length);
       console.log('Text extraction records found:', textData?.length || 0);
       console.log('File status map:', fileStatusMap);
 
-      // Combine bases with their files (show all PDF files, not just processed ones)
+      // Combine bases with their files (show all extractable files, not just processed ones)
       const basesWithFiles = basesData.map(base => {
         const baseFiles = filesData
           .filter(file => file.base_id === base.id)
@@ -120,7 +126,7 @@ const Quiz = () => {
       }).filter(base => base.base_files.length > 0);
 
       setBases(basesWithFiles);
-      console.log(`Loaded ${basesWithFiles.length} bases with PDF files`);
+      console.log(`Loaded ${basesWithFiles.length} bases with extractable files`);
 
     } catch (error) {
       console.error('Error loading bases:', error);
@@ -165,6 +171,16 @@ const Quiz = () => {
     }));
   };
 
+  const handleQuestionTimeLimitChange = (type, value) => {
+    setQuizConfig(prev => ({
+      ...prev,
+      questionTimeLimits: {
+        ...prev.questionTimeLimits,
+        [type]: value
+      }
+    }));
+  };
+
   const validateConfig = () => {
     const validation = quizGenerationService.validateQuizConfig(quizConfig);
     if (!validation.valid) {
@@ -283,14 +299,14 @@ const Quiz = () => {
           <div className="quiz-section">
             <h2>Select Files</h2>
             <p className="section-description">
-              Choose the PDF files you want to generate questions from. Only files with completed text extraction can be selected.
+              Choose the documents you want to generate questions from. Only files with completed text extraction can be selected.
             </p>
             
             {bases.length === 0 ? (
               <div className="no-bases">
                 <div className="no-bases-icon">📚</div>
-                <h3>No PDF Files Found</h3>
-                <p>You need to upload PDF files to your bases first. The system will automatically extract text from them for quiz generation.</p>
+                <h3>No Study Files Found</h3>
+                <p>You need to upload documents (PDF, Word, PowerPoint, Excel, text or images) to your bases first. The system will automatically extract text from them for quiz generation.</p>
                 <button 
                   className="btn-primary"
                   onClick={() => navigate('/new-base')}
@@ -439,6 +455,65 @@ const Quiz = () => {
                 </div>
               </div>
 
+              <div className="exam-mode">
+                <label className="exam-mode-toggle">
+                  <input
+                    type="checkbox"
+                    checked={quizConfig.examMode}
+                    onChange={(e) => handleConfigChange('examMode', e.target.checked)}
+                  />
+                  <span>Exam Mode</span>
+                </label>
+                <p className="exam-mode-info">
+                  Timed attempt: the countdown keeps running if you leave or reload the page, and the test is submitted when time runs out.
+                </p>
+
+                {quizConfig.examMode && (
+                  <div className="exam-mode-settings">
+                    <div className="form-group">
+                      <label htmlFor="durationMinutes">Total Duration (minutes)</label>
+                      <input
+                        type="number"
+                        id="durationMinutes"
+                        value={quizConfig.durationMinutes}
+                        onChange={(e) => handleConfigChange('durationMinutes', parseInt(e.target.value) || 1)}
+                        min="1"
+                        max="300"
+                        className="form-input"
+                      />
+                    </div>
+
+                    <label className="exam-mode-toggle">
+                      <input
+                        type="checkbox"
+                        checked={quizConfig.perQuestionLimits}
+                        onChange={(e) => handleConfigChange('perQuestionLimits', e.target.checked)}
+                      />
+                      <span>Limit time per question</span>
+                    </label>
+
+                    {quizConfig.perQuestionLimits && (
+                      <div className="question-counts">
+                        {[['mcq', 'Per MCQ'], ['saq', 'Per SAQ'], ['laq', 'Per LAQ']].map(([type, label]) => (
+                          <div className="form-group" key={type}>
+                            <label htmlFor={`${type}TimeLimit`}>{label} (seconds)</label>
+                            <input
+                              type="number"
+                              id={`${type}TimeLimit`}
+                              value={quizConfig.questionTimeLimits[type]}
+                              onChange={(e) => handleQuestionTimeLimitChange(type, parseInt(e.target.value) || 10)}
+                              min="10"
+                              max="3600"
+                              className="form-input"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+
               <div className="quiz-summary">
                 <div className="summary-item">
                   <span className="summary-label">Total Questions:</span>
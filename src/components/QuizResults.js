@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { quizPersistenceService } from '../services/quizPersistenceService';
+import { quizEvaluationService } from '../services/quizEvaluationService';
+import { formatCountdown } from '../lib/examClock';
 import './QuizResults.css';
 
 const QuizResults = () => {
@@ -12,6 +14,9 @@ const QuizResults = () => {
   const [results, setResults] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
+  const [regradingAnswerId, setRegradingAnswerId] = useState(null);
+  const [override, setOverride] = useState(null); // { answerId, marks, reason } while adjusting marks
+  const [gradeError, setGradeError] = useState(null); // { answerId, message }
 
   useEffect(() => {
     if (user && quizId) {
@@ -40,6 +45,58 @@ const QuizResults = () => {
     }
   };
 
+  // Reload after a grade change, without the full-page loading state
+  const refreshResults = async () => {
+    const result = await quizPersistenceService.getQuizResults(quizId);
+    if (result.success) {
+      setResults(result.results);
+    }
+  };
+
+  const handleAppeal = async (question, answer) => {
+    if (!window.confirm('Appeal this grade? Your answer is re-marked more strictly by several independent evaluations, so the mark can go down as well as up. Each answer can be appealed once.')) {
+      return;
+    }
+
+    setRegradingAnswerId(answer.id);
+    setGradeError(null);
+
+    const appeal = await quizEvaluationService.appealAnswer(question.question_type, answer.user_answer, {
+      correctAnswer: question.correct_answer,
+      questionText: question.question_text,
+      rubric: question.rubric
+    });
+
+    const saved = appeal.success
+      ? await quizPersistenceService.appealGrade(answer.id, appeal.evaluation)
+      : appeal;
+
+    if (saved.success) {
+      await refreshResults();
+    } else {
+      setGradeError({ answerId: answer.id, message: saved.error });
+    }
+    setRegradingAnswerId(null);
+  };
+
+  const handleOverride = async (e, question) => {
+    e.preventDefault();
+    const { answerId, marks, reason } = override;
+
+    setRegradingAnswerId(answerId);
+    setGradeError(null);
+
+    const saved = await quizPersistenceService.overrideGrade(answerId, parseInt(marks, 10), question.marks, reason);
+
+    if (saved.success) {
+      setOverride(null);
+      await refreshResults();
+    } else {
+      setGradeError({ answerId, message: saved.error });
+    }
+    setRegradingAnswerId(null);
+  };
+
   const getQuestionTypeLabel = (type) => {
     switch (type) {
       case 'mcq': return 'Multiple Choice Question';
@@ -122,7 +179,7 @@ const QuizResults = () => {
     );
   }
 
-  const { quiz, answers } = results;
+  const { quiz, answers, gradeHistory = [] } = results;
   const correctAnswersCount = getCorrectAnswersCount();
   const gradeColor = getGradeColor(quiz.percentage);
   const gradeText = getGradeText(quiz.percentage);
@@ -188,18 +245,29 @@ const QuizResults = () => {
               const isCorrect = answer ? answer.is_correct : false;
               const marksObtained = answer ? answer.marks_obtained : 0;
               const similarityScore = answer ? answer.similarity_score : 0;
+              const isPartial = !isCorrect && marksObtained > 0;
+              const hasRubricResult = answer && (answer.matched_points || answer.missed_points);
+              const history = answer ? gradeHistory.filter(entry => entry.answer_id === answer.id) : [];
+              const hasAppealed = history.some(entry => entry.change_type === 'appeal');
 
               return (
-                <div key={question.id} className={`result-item ${isCorrect ? 'correct' : 'incorrect'}`}>
+                <div key={question.id} className={`result-item ${isCorrect ? 'correct' : isPartial ? 'partial' : 'incorrect'}`}>
                   <div className="result-header">
                     <div className="result-question-info">
                       <span className="question-number">Q{question.question_number}</span>
                       <span className="question-type">{getQuestionTypeLabel(question.question_type)}</span>
                       <span className="question-marks">({question.marks} marks)</span>
+                      {answer && answer.time_spent_seconds != null && (
+                        <span className="time-spent" title="Time spent on this question">
+                          ⏱ {formatCountdown(answer.time_spent_seconds)}
+                        </span>
+                      )}
                     </div>
                     <div className="result-status">
                       {isCorrect ? (
                         <span className="status-correct">✓ Correct</span>
+                      ) : isPartial ? (
+                        <span className="status-partial">◐ Partial Credit</span>
                       ) : (
                         <span className="status-incorrect">✗ Incorrect</span>
                       )}
@@ -251,12 +319,156 @@ const QuizResults = () => {
                           </div>
                         </div>
 
+                        {hasRubricResult && (
+                          <div className="rubric-breakdown">
+                            <h5>Marking Rubric:</h5>
+                            <ul className="rubric-points">
+                              {(answer.matched_points || []).map((entry, pointIndex) => (
+                                <li key={`matched-${pointIndex}`} className="rubric-point matched">
+                                  <span className="rubric-point-status">✓</span>
+                                  <span className="rubric-point-text">{entry.point}</span>
+                                  <span className="rubric-point-marks">+{entry.marks}</span>
+                                </li>
+                              ))}
+                              {(answer.missed_points || []).map((entry, pointIndex) => (
+                                <li key={`missed-${pointIndex}`} className="rubric-point missed">
+                                  <span className="rubric-point-status">✗</span>
+                                  <span className="rubric-point-text">{entry.point}</span>
+                                  <span className="rubric-point-marks">0/{entry.marks}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
+
                         {(question.question_type === 'saq' || question.question_type === 'laq') && similarityScore !== null && (
                           <div className="similarity-info">
                             <span className="similarity-label">Similarity Score:</span>
                             <span className="similarity-score">{similarityScore}%</span>
+                            {answer?.graded_by === 'local' && (
+                              <span className="grade-source offline" title="The grading model was unavailable, so this answer was graded on this device">
+                                Graded offline
+                              </span>
+                            )}
+                            {answer?.graded_by === 'appeal' && (
+                              <span className="grade-source appeal">Regraded on appeal</span>
+                            )}
+                            {answer?.graded_by === 'manual' && (
+                              <span className="grade-source manual">Adjusted by you</span>
+                            )}
+                          </div>
+                        )}
+
+                        {answer?.feedback && (
+                          <div className="answer-feedback">
+                            <h5>Feedback:</h5>
+                            {answer.feedback.summary && (
+                              <p className="feedback-summary">{answer.feedback.summary}</p>
+                            )}
+                            {answer.feedback.correct && (
+                              <div className="feedback-item correct">
+                                <span className="feedback-label">What was correct</span>
+                                <p>{answer.feedback.correct}</p>
+                              </div>
+                            )}
+                            {answer.feedback.missing && (
+                              <div className="feedback-item missing">
+                                <span className="feedback-label">What was missing</span>
+                                <p>{answer.feedback.missing}</p>
+                              </div>
+                            )}
+                            {answer.feedback.suggestion && (
+                              <div className="feedback-item suggestion">
+                                <span className="feedback-label">How to improve</span>
+                                <p>{answer.feedback.suggestion}</p>
+                              </div>
+                            )}
                           </div>
                         )}
+
+                        {history.length > 0 && (
+                          <div className="grade-history">
+                            <h5>Grade History:</h5>
+                            <p className="grade-history-original">
+                              Originally graded {history[0].previous_grade.marks_obtained}/{question.marks}
+                              {history[0].previous_grade.graded_by === 'local' ? ' offline' : ''}
+                            </p>
+                            <ul className="grade-history-list">
+                              {history.map(entry => (
+                                <li key={entry.id} className="grade-history-entry">
+                                  <span className="grade-history-type">
+                                    {entry.change_type === 'appeal' ? 'Appeal' : 'Adjusted by you'}
+                                  </span>
+                                  <span className="grade-history-marks">
+                                    {entry.previous_grade.marks_obtained} → {entry.new_grade.marks_obtained}/{question.marks}
+                                  </span>
+                                  <span className="grade-history-date">
+                                    {new Date(entry.changed_at).toLocaleDateString()}
+                                  </span>
+                                  {entry.reason && <p className="grade-history-reason">{entry.reason}</p>}
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        )}
+
+                        {answer && (
+                          <div className="grade-actions">
+                            <button
+                              className="grade-action-button"
+                              onClick={() => handleAppeal(question, answer)}
+                              disabled={regradingAnswerId !== null || hasAppealed}
+                              title={hasAppealed ? 'This answer has already been appealed' : 'Ask for a stricter re-grade of this answer'}
+                            >
+                              {regradingAnswerId === answer.id && !override ? 'Appealing...' : hasAppealed ? 'Appealed' : '⚖️ Appeal Grade'}
+                            </button>
+                            <button
+                              className="grade-action-button"
+                              onClick={() => setOverride({ answerId: answer.id, marks: String(marksObtained), reason: '' })}
+                              disabled={regradingAnswerId !== null || override?.answerId === answer.id}
+                            >
+                              ✏️ Adjust Marks
+                            </button>
+                          </div>
+                        )}
+
+                        {override && answer && override.answerId === answer.id && (
+                          <form className="grade-override-form" onSubmit={(e) => handleOverride(e, question)}>
+                            <label className="grade-override-field">
+                              <span>Marks</span>
+                              <input
+                                type="number"
+                                min="0"
+                                max={question.marks}
+                                step="1"
+                                value={override.marks}
+                                onChange={(e) => setOverride({ ...override, marks: e.target.value })}
+                              />
+                              <span>/ {question.marks}</span>
+                            </label>
+                            <label className="grade-override-field">
+                              <span>Reason</span>
+                              <textarea
+                                value={override.reason}
+                                onChange={(e) => setOverride({ ...override, reason: e.target.value })}
+                                placeholder="Why should this answer get these marks?"
+                                rows={2}
+                              />
+                            </label>
+                            <div className="grade-override-buttons">
+                              <button type="submit" className="grade-action-button primary" disabled={regradingAnswerId !== null}>
+                                {regradingAnswerId === answer.id ? 'Saving...' : 'Save Marks'}
+                              </button>
+                              <button type="button" className="grade-action-button" onClick={() => setOverride(null)}>
+                                Cancel
+                              </button>
+                            </div>
+                          </form>
+                        )}
+
+                        {gradeError && gradeError.answerId === answer?.id && (
+                          <div className="grade-error">{gradeError.message}</div>
+                        )}
                       </div>
                     )}
 
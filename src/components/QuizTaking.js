@@ -1,11 +1,17 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { quizPersistenceService } from '../services/quizPersistenceService';
 import { quizEvaluationService } from '../services/quizEvaluationService';
 import { supabase } from '../lib/supabase';
+import { measureClockOffset, getRemainingSeconds, getQuestionTimeLimit, formatCountdown } from '../lib/examClock';
 import './QuizTaking.css';
 
+// A question's clock is started this many times before giving up, waiting a
+// little longer after each failure
+const START_ATTEMPTS = 3;
+const START_RETRY_MS = 1000;
+
 const QuizTaking = () => {
   const { quizId } = useParams();
   const navigate = useNavigate();
@@ -21,6 +27,36 @@ const QuizTaking = () => {
   const [answeredQuestions, setAnsweredQuestions] = useState(new Set());
   const [userAnswers, setUserAnswers] = useState({});
 
+  // Exam mode: start times are database times, and now is the device clock
+  // corrected by its offset from the database clock
+  const [attemptStartedAt, setAttemptStartedAt] = useState(null);
+  const [questionStarts, setQuestionStarts] = useState({});
+  const [now, setNow] = useState(Date.now());
+  // Closed because the database refused an answer as late, whatever the countdown says
+  const [examClosed, setExamClosed] = useState(false);
+  const [closedQuestions, setClosedQuestions] = useState(new Set());
+  const clockOffsetRef = useRef(0);
+  const pendingSaveRef = useRef(null);
+  const timeUpRef = useRef(false);
+  const expiredQuestionsRef = useRef(new Set());
+  const handleTimeUpRef = useRef(null);
+  const handleQuestionTimeUpRef = useRef(null);
+  const timeSpentRef = useRef({});
+  const questionShownAtRef = useRef(Date.now());
+
+  const currentQuestionId = quiz?.questions[currentQuestionIndex]?.id;
+  const isTimed = Boolean(quiz?.time_limit_minutes) && quiz.status !== 'completed';
+  const examRemaining = isTimed && attemptStartedAt
+    ? getRemainingSeconds(attemptStartedAt, quiz.time_limit_minutes * 60, now)
+    : null;
+  const questionLimit = isTimed && currentQuestionId
+    ? getQuestionTimeLimit(quiz, quiz.questions[currentQuestionIndex].question_type)
+    : null;
+  const questionRemaining = questionLimit && questionStarts[currentQuestionId]
+    ? getRemainingSeconds(questionStarts[currentQuestionId], questionLimit, now)
+    : null;
+  const isTimeUp = examRemaining === 0 || examClosed;
+
   useEffect(() => {
     if (user && quizId) {
       quizPersistenceService.setCurrentUser(user.id);
@@ -28,6 +64,70 @@ const QuizTaking = () => {
     }
   }, [user, quizId]);
 
+  useEffect(() => {
+    if (!isTimed) return undefined;
+
+    const timer = setInterval(() => setNow(Date.now() + clockOffsetRef.current), 1000);
+    return () => clearInterval(timer);
+  }, [isTimed]);
+
+  // Time spent on a question only counts while it is on screen
+  useEffect(() => {
+    if (!currentQuestionId) return undefined;
+
+    const timeSpent = timeSpentRef.current;
+    const shownAt = Date.now();
+    questionShownAtRef.current = shownAt;
+
+    return () => {
+      timeSpent[currentQuestionId] = (timeSpent[currentQuestionId] || 0) + Date.now() - shownAt;
+    };
+  }, [currentQuestionId]);
+
+  // The database keeps the first start time, so revisiting a question does
+  // not reset its clock. Without a start time there is no countdown (the
+  // database then times the question from its answer), so failures are
+  // retried and then reported.
+  useEffect(() => {
+    if (!currentQuestionId || !questionLimit) return undefined;
+
+    let cancelled = false;
+    const startQuestion = async () => {
+      for (let attempt = 1; attempt <= START_ATTEMPTS; attempt++) {
+        const result = await quizPersistenceService.startQuestion(currentQuestionId);
+        if (cancelled) return;
+        if (result.success) {
+          setQuestionStarts(prev => ({ ...prev, [currentQuestionId]: result.startedAt }));
+          return;
+        }
+        if (attempt < START_ATTEMPTS) {
+          await new Promise(resolve => setTimeout(resolve, START_RETRY_MS * attempt));
+          if (cancelled) return;
+        }
+      }
+      setError('The timer for this question could not be started, so no countdown is shown. You can still answer it.');
+    };
+
+    startQuestion();
+    return () => {
+      cancelled = true;
+    };
+  }, [currentQuestionId, questionLimit]);
+
+  useEffect(() => {
+    if (isTimeUp && !timeUpRef.current) {
+      timeUpRef.current = true;
+      handleTimeUpRef.current();
+    }
+  }, [isTimeUp]);
+
+  useEffect(() => {
+    if (questionRemaining === 0 && !expiredQuestionsRef.current.has(currentQuestionId)) {
+      expiredQuestionsRef.current.add(currentQuestionId);
+      handleQuestionTimeUpRef.current();
+    }
+  }, [questionRemaining, currentQuestionId]);
+
   const loadQuiz = async () => {
     try {
       setIsLoading(true);
@@ -39,6 +139,9 @@ const QuizTaking = () => {
       }
 
       setQuiz(result.quiz);
+      setQuestionStarts(Object.fromEntries(result.quiz.questions
+        .filter(question => question.started_at)
+        .map(question => [question.id, question.started_at])));
 
       // Load answered questions
       const answeredResult = await quizPersistenceService.getAnsweredQuestions(quizId);
@@ -46,9 +149,16 @@ const QuizTaking = () => {
         setAnsweredQuestions(new Set(answeredResult.answeredQuestions));
       }
 
-      // Update quiz status to in_progress if it's ready
-      if (result.quiz.status === 'ready') {
-        await quizPersistenceService.updateQuizProgress(quizId, { status: 'in_progress' });
+      // Start the attempt (a ready quiz becomes in_progress) and sync the exam clock
+      if (result.quiz.status !== 'completed') {
+        const attemptResult = await quizPersistenceService.startQuizAttempt(quizId);
+        if (attemptResult.success) {
+          clockOffsetRef.current = measureClockOffset(attemptResult.serverTime);
+          setNow(Date.now() + clockOffsetRef.current);
+          setAttemptStartedAt(attemptResult.startedAt);
+        } else if (result.quiz.time_limit_minutes) {
+          throw new Error(attemptResult.error);
+        }
       }
 
     } catch (error) {
@@ -63,12 +173,28 @@ const QuizTaking = () => {
     setUserAnswer(value);
   };
 
+  const getTimeSpentSeconds = (questionId) => Math.round(
+    ((timeSpentRef.current[questionId] || 0) + Date.now() - questionShownAtRef.current) / 1000
+  );
+
   const handleSubmitAnswer = async () => {
     if (!userAnswer.trim()) {
       setError('Please provide an answer before submitting.');
       return;
     }
 
+    await saveCurrentAnswer();
+  };
+
+  // Evaluate and save the current answer; the pending save is kept so the
+  // exam timer can wait for it before submitting the test
+  const saveCurrentAnswer = () => {
+    const save = evaluateAndSaveAnswer();
+    pendingSaveRef.current = save;
+    return save;
+  };
+
+  const evaluateAndSaveAnswer = async () => {
     try {
       setIsSubmitting(true);
       setError('');
@@ -82,7 +208,9 @@ const QuizTaking = () => {
         {
           correctAnswer: currentQuestion.correct_answer,
           correctOptionNumber: currentQuestion.correct_option_number,
-          questionText: currentQuestion.question_text
+          questionText: currentQuestion.question_text,
+          rubric: currentQuestion.rubric,
+          sourcePassage: currentQuestion.source_passage
         }
       );
 
@@ -91,10 +219,15 @@ const QuizTaking = () => {
         quizId,
         currentQuestion.id,
         userAnswer,
-        evaluation
+        evaluation,
+        getTimeSpentSeconds(currentQuestion.id)
       );
 
       if (!saveResult.success) {
+        if (saveResult.timeUp) {
+          handleLateAnswer(saveResult.timeUp, currentQuestion.id);
+          return;
+        }
         throw new Error(saveResult.error);
       }
 
@@ -169,6 +302,51 @@ const QuizTaking = () => {
     }
   };
 
+  // Exam time is up: keep the answer being written, then submit as the Submit Test button does
+  const handleTimeUp = async () => {
+    const currentQuestion = quiz.questions[currentQuestionIndex];
+
+    if (isSubmitting) {
+      await pendingSaveRef.current;
+    } else if (!examClosed && userAnswer.trim() && !answeredQuestions.has(currentQuestion.id)) {
+      await saveCurrentAnswer();
+    }
+
+    await handleSubmitTest();
+  };
+
+  // The database refused an answer as past a time limit (e.g. the countdown
+  // was not running): close the exam, or lock the question and move on
+  const handleLateAnswer = (scope, questionId) => {
+    if (scope === 'exam') {
+      setExamClosed(true);
+      return;
+    }
+
+    expiredQuestionsRef.current.add(questionId);
+    setClosedQuestions(prev => new Set([...prev, questionId]));
+    setError('Time was up for this question, so the answer could not be saved.');
+
+    if (currentQuestionIndex < quiz.questions.length - 1) {
+      handleQuestionNavigation(currentQuestionIndex + 1);
+    }
+  };
+
+  // A question's own time is up: keep what was written, otherwise leave it unanswered and move on
+  const handleQuestionTimeUp = async () => {
+    const currentQuestion = quiz.questions[currentQuestionIndex];
+    if (timeUpRef.current || isSubmitting || answeredQuestions.has(currentQuestion.id)) return;
+
+    if (userAnswer.trim()) {
+      await saveCurrentAnswer();
+    } else if (currentQuestionIndex < quiz.questions.length - 1) {
+      handleQuestionNavigation(currentQuestionIndex + 1);
+    }
+  };
+
+  handleTimeUpRef.current = handleTimeUp;
+  handleQuestionTimeUpRef.current = handleQuestionTimeUp;
+
   const handleQuestionNavigation = (index) => {
     if (index >= 0 && index < quiz.questions.length) {
       setCurrentQuestionIndex(index);
@@ -238,6 +416,7 @@ const QuizTaking = () => {
   const currentQuestion = quiz.questions[currentQuestionIndex];
   const isLastQuestion = currentQuestionIndex === quiz.questions.length - 1;
   const isQuestionAnswered = answeredQuestions.has(currentQuestion.id);
+  const isQuestionLocked = isTimeUp || questionRemaining === 0 || closedQuestions.has(currentQuestion.id);
 
   return (
     <div className="quiz-taking-container">
@@ -254,6 +433,12 @@ const QuizTaking = () => {
             <h1>{quiz.quiz_name}</h1>
             <p>Difficulty: <span className="difficulty-badge">{quiz.difficulty}</span></p>
           </div>
+          {examRemaining !== null && (
+            <div className={`exam-timer ${examRemaining <= 60 ? 'urgent' : ''}`} role="timer">
+              <span className="exam-timer-label">Time Left</span>
+              <span className="exam-timer-value">{formatCountdown(examRemaining)}</span>
+            </div>
+          )}
           <div className="quiz-progress">
             <div className="progress-bar">
               <div 
@@ -293,6 +478,11 @@ const QuizTaking = () => {
               {getQuestionTypeLabel(currentQuestion.question_type)}
               <span className="question-marks">({getQuestionMarks(currentQuestion.question_type)} marks)</span>
             </div>
+            {questionRemaining !== null && (
+              <div className={`question-timer ${questionRemaining <= 10 ? 'urgent' : ''}`}>
+                {questionRemaining > 0 ? `⏱ ${formatCountdown(questionRemaining)}` : 'Time up'}
+              </div>
+            )}
             {isQuestionAnswered && (
               <div className="answered-badge">Answered</div>
             )}
@@ -311,6 +501,7 @@ const QuizTaking = () => {
                       name="mcq-answer"
                       value={optionNumber}
                       checked={userAnswer === optionNumber}
+                      disabled={isQuestionLocked}
                       onChange={(e) => handleAnswerChange(e.target.value)}
                     />
                     <span className="option-number">{optionNumber})</span>
@@ -328,6 +519,7 @@ const QuizTaking = () => {
                   onChange={(e) => handleAnswerChange(e.target.value)}
                   placeholder={`Enter your ${currentQuestion.question_type === 'saq' ? 'short' : 'detailed'} answer here...`}
                   className="answer-textarea"
+                  disabled={isQuestionLocked}
                   rows={currentQuestion.question_type === 'laq' ? 8 : 4}
                 />
               </div>
@@ -340,13 +532,28 @@ const QuizTaking = () => {
             </div>
           )}
 
+          {isTimeUp && (
+            <div className="exam-time-up">
+              <p>
+                {error
+                  ? 'Time is up, but the test could not be submitted.'
+                  : 'Time is up. Submitting your test...'}
+              </p>
+              {error && !isSubmittingTest && (
+                <button className="btn-success" onClick={handleSubmitTest}>
+                  Submit Test
+                </button>
+              )}
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="question-actions">
             {!isLastQuestion ? (
               <button
                 className={`btn-primary ${isSubmitting ? 'loading' : ''}`}
                 onClick={handleSubmitAnswer}
-                disabled={isSubmitting || !userAnswer.trim()}
+                disabled={isSubmitting || isQuestionLocked || !userAnswer.trim()}
               >
                 {isSubmitting ? (
                   <>
@@ -362,7 +569,7 @@ const QuizTaking = () => {
                 <button
                   className={`btn-primary ${isSubmitting ? 'loading' : ''}`}
                   onClick={handleSubmitAnswer}
-                  disabled={isSubmitting || !userAnswer.trim()}
+                  disabled={isSubmitting || isQuestionLocked || !userAnswer.trim()}
                 >
                   {isSubmitting ? (
                     <>
@@ -374,7 +581,7 @@ const QuizTaking = () => {
                   )}
                 </button>
                 
-                {isQuestionAnswered && (
+                {(isQuestionAnswered || isQuestionLocked) && !isTimeUp && (
                   <button
                     className={`btn-success ${isSubmittingTest ? 'loading' : ''}`}
                     onClick={handleSubmitTest}
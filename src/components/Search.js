@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { searchService } from '../services/searchService';
+import './Search.css';
+
+const Search = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  // The query lives in the URL so searches can be bookmarked and revisited with Back
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const [input, setInput] = useState(query);
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setInput(query);
+  }, [query]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const runSearch = async () => {
+      if (!user || !query.trim()) {
+        setResults([]);
+        setIsSearching(false);
+        return;
+      }
+
+      setIsSearching(true);
+      setError('');
+
+      const result = await searchService.searchDocuments(query);
+      if (cancelled) return;
+
+      if (result.success) {
+        setResults(result.results);
+      } else {
+        setResults([]);
+        setError('Search failed. Please try again.');
+      }
+      setIsSearching(false);
+    };
+
+    runSearch();
+    return () => {
+      cancelled = true;
+    };
+  }, [user, query]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = input.trim();
+    setSearchParams(trimmed ? { q: trimmed } : {});
+  };
+
+  // Open the file in its base, at the snippet's page when known
+  const openResult = (result, page) => {
+    const params = new URLSearchParams({ file: result.fileId });
+    if (page) params.set('page', page);
+    navigate(`/base/${result.baseId}?${params.toString()}`);
+  };
+
+  return (
+    <div className="search-page">
+      <div className="search-container">
+        {/* Header */}
+        <div className="search-header">
+          <div className="search-header-icon">🔍</div>
+          <h1 className="search-header-title">Search</h1>
+          <p className="search-header-subtitle">Find passages across all of your bases</p>
+
+          <form className="search-form" onSubmit={handleSubmit}>
+            <input
+              type="search"
+              className="search-input"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder='e.g. rate law, "activation energy" or kinet*'
+              autoFocus
+            />
+            <button type="submit" className="search-button" disabled={isSearching}>
+              Search
+            </button>
+          </form>
+          <p className="search-hint">
+            Use quotes for an exact phrase and * at the end of a word to match words that start with it.
+          </p>
+        </div>
+
+        {/* Error Message */}
+        {error && (
+          <div className="search-error">
+            {error}
+          </div>
+        )}
+
+        {/* Results */}
+        {query && (
+          <div className="search-result-list">
+            {isSearching ? (
+              <div className="search-loading">
+                <div className="search-spinner"></div>
+                <p>Searching your documents...</p>
+              </div>
+            ) : results.length > 0 ? (
+              <>
+                <p className="search-summary">
+                  {results.length} {results.length === 1 ? 'document matches' : 'documents match'} "{query}"
+                </p>
+                {results.map(result => (
+                  <div key={result.fileId} className="search-result">
+                    <div className="search-result-header" onClick={() => openResult(result, result.snippets[0]?.page)}>
+                      <h3 className="search-result-title">{result.fileName}</h3>
+                      <span className="search-result-base">{result.baseName}</span>
+                      {result.matchedPages > 0 && (
+                        <span className="search-result-count">
+                          Matches on {result.matchedPages} {result.matchedPages === 1 ? 'page' : 'pages'}
+                        </span>
+                      )}
+                    </div>
+
+                    {result.snippets.map((snippet, snippetIndex) => (
+                      <button
+                        key={snippetIndex}
+                        className="search-snippet"
+                        onClick={() => openResult(result, snippet.page)}
+                      >
+                        {snippet.page && <span className="search-snippet-page">Page {snippet.page}</span>}
+                        <span className="search-snippet-text">
+                          {snippet.segments.map((segment, index) => (
+                            segment.highlight
+                              ? <mark key={index}>{segment.text}</mark>
+                              : <React.Fragment key={index}>{segment.text}</React.Fragment>
+                          ))}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                ))}
+              </>
+            ) : !error && (
+              <div className="search-empty">
+                <div className="search-empty-icon">📄</div>
+                <h3>No matches</h3>
+                <p>Nothing in your extracted documents matches "{query}".</p>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Search;
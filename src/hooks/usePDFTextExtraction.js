@@ -1,5 +1,7 @@
 import { useState, useCallback } from 'react';
 import { pdfTextExtractor } from '../services/pdfTextExtractor';
+import { documentTextExtractor } from '../services/documentTextExtractor';
+import { extractionJobService } from '../services/extractionJobService';
 
 /**
  * Custom hook for PDF text extraction functionality
@@ -11,13 +13,14 @@ export const usePDFTextExtraction = () => {
   const [extractionStatus, setExtractionStatus] = useState({});
 
   /**
-   * Extract text from a single PDF file
+   * Extract text from a single file
    * @param {string} fileId - File ID from base_files table
-   * @param {string} filePath - Storage path of the PDF
+   * @param {string} filePath - Storage path of the file
    * @param {string} fileName - Original filename
+   * @param {string} fileType - MIME type stored with the file
    * @returns {Promise<Object>} - Extraction result
    */
-  const extractTextFromFile = useCallback(async (fileId, filePath, fileName) => {
+  const extractTextFromFile = useCallback(async (fileId, filePath, fileName, fileType) => {
     setIsExtracting(true);
     setExtractionStatus(prev => ({
       ...prev,
@@ -25,7 +28,7 @@ export const usePDFTextExtraction = () => {
     }));
 
     try {
-      const result = await pdfTextExtractor.extractAndStoreText(fileId, filePath, fileName);
+      const result = await documentTextExtractor.extractAndStoreText(fileId, filePath, fileName, { fileType });
       
       setExtractionStatus(prev => ({
         ...prev,
@@ -50,7 +53,7 @@ export const usePDFTextExtraction = () => {
       return {
         success: false,
         error: error.message,
-        message: 'Failed to extract text from PDF'
+        message: 'Failed to extract text from file'
       };
     } finally {
       setIsExtracting(false);
@@ -58,28 +61,16 @@ export const usePDFTextExtraction = () => {
   }, []);
 
   /**
-   * Process all PDF files in a base
+   * Queue every extractable file in a base for background extraction
    * @param {string} baseId - Base ID
-   * @returns {Promise<Object>} - Processing results
+   * @returns {Promise<Object>} - Queueing result
    */
   const processBasePDFs = useCallback(async (baseId) => {
     setIsExtracting(true);
     setExtractionProgress(0);
 
     try {
-      const result = await pdfTextExtractor.processBasePDFs(baseId);
-      
-      // Update status for each processed file
-      if (result.results) {
-        const statusUpdates = {};
-        result.results.forEach(fileResult => {
-          statusUpdates[fileResult.fileId] = {
-            status: fileResult.success ? 'completed' : 'failed',
-            message: fileResult.message
-          };
-        });
-        setExtractionStatus(prev => ({ ...prev, ...statusUpdates }));
-      }
+      const result = await extractionJobService.enqueueBase(baseId);
 
       setExtractionProgress(100);
       return result;
@@ -88,7 +79,7 @@ export const usePDFTextExtraction = () => {
       return {
         success: false,
         error: error.message,
-        message: 'Failed to process PDF files in base'
+        message: 'Failed to process files in base'
       };
     } finally {
       setIsExtracting(false);
@@ -0,0 +1,23 @@
+/**
+ * SHA-256 content hashes
+ * Uploads store the hash of their bytes and extracted PDF pages the hash of
+ * their content, so text extraction can recognise a file (or page) it has
+ * already read and reuse the result instead of processing it again.
+ */
+
+/**
+ * Hash content with SHA-256
+ * @param {ArrayBuffer|ArrayBufferView|Blob|string} data - Content to hash; strings are hashed as UTF-8
+ * @returns {Promise<string>} - Lowercase hex digest (64 characters)
+ */
+export const hashContent = async (data) => {
+  let bytes = data;
+  if (typeof data === 'string') {
+    bytes = new TextEncoder().encode(data);
+  } else if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    bytes = await data.arrayBuffer();
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
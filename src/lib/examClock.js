@@ -0,0 +1,52 @@
+/**
+ * Exam clock helpers
+ * Timed quizzes count down on the database's clock: start times come from
+ * the database (start_quiz_attempt, start_quiz_question) together with its
+ * current time, and the device's offset from that time is applied to every
+ * reading, so countdowns survive reloads and ignore a wrong device clock.
+ */
+
+/**
+ * Offset of the database clock from the device clock
+ * @param {string} serverTime - Current database time, as returned with a start time
+ * @param {number} receivedAt - Device time (ms) the response arrived
+ * @returns {number} - Milliseconds to add to Date.now() to get database time
+ */
+export const measureClockOffset = (serverTime, receivedAt = Date.now()) => (
+  Date.parse(serverTime) - receivedAt
+);
+
+/**
+ * Seconds left before a time limit runs out
+ * @param {string} startedAt - When the clock started (database time)
+ * @param {number} limitSeconds - Time allowed
+ * @param {number} now - Current database time in ms
+ * @returns {number} - Whole seconds left, never below 0
+ */
+export const getRemainingSeconds = (startedAt, limitSeconds, now) => (
+  Math.max(0, Math.ceil((Date.parse(startedAt) + limitSeconds * 1000 - now) / 1000))
+);
+
+/**
+ * Per-question time limit of a quiz for a question type
+ * @param {Object} quiz - Quiz row
+ * @param {string} questionType - 'mcq', 'saq' or 'laq'
+ * @returns {number|null} - Seconds allowed, or null without per-question limits
+ */
+export const getQuestionTimeLimit = (quiz, questionType) => (
+  quiz.time_limit_minutes && quiz.question_time_limits ? quiz.question_time_limits[questionType] || null : null
+);
+
+/**
+ * Format seconds as a countdown, e.g. "4:05" or "1:02:30"
+ * @param {number} seconds - Seconds
+ * @returns {string} - Countdown text
+ */
+export const formatCountdown = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+};
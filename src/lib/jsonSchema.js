@@ -0,0 +1,173 @@
+/**
+ * JSON helpers for structured LLM output
+ * A small JSON Schema validator (the subset our prompts use: type, enum,
+ * required, properties, additionalProperties, items, minItems, maxItems,
+ * minLength, minimum, maximum) and a parser that copes with the code
+ * fences and truncated output models tend to produce.
+ */
+
+/**
+ * Check a JSON value's type against a schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean}
+ */
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+};
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (supported subset only)
+ * @param {string} path - Location used in error messages
+ * @returns {Array<string>} - Validation errors; empty when the value is valid
+ */
+export const validateJsonSchema = (value, schema, path = '$') => {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.properties?.[key]) {
+        errors.push(...validateJsonSchema(child, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Find the complete top-level objects inside the first JSON array of a
+ * string, ignoring a truncated trailing object
+ * @param {string} text - Text containing a (possibly cut off) JSON array
+ * @returns {Array<Object>}
+ */
+const salvageArrayObjects = (text) => {
+  const arrayStart = text.indexOf('[');
+  if (arrayStart === -1) return [];
+
+  const objects = [];
+  let depth = 0;
+  let objectStart = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = arrayStart + 1; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) objectStart = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0 && objectStart !== -1) {
+        try {
+          objects.push(JSON.parse(text.substring(objectStart, i + 1)));
+        } catch (error) {
+          // Skip malformed objects; the caller asks for them again
+        }
+        objectStart = -1;
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+  }
+
+  return objects;
+};
+
+/**
+ * Parse JSON from a model response. Strips code fences and surrounding
+ * prose; when the JSON is cut off (e.g. the token limit was reached) the
+ * complete objects of its first array are returned as { items }.
+ * @param {string} response - Raw model output
+ * @returns {{data?: *, items?: Array<Object>, error?: string}}
+ */
+export const parseJsonResponse = (response) => {
+  const text = (response || '').replace(/```(?:json)?/gi, '').trim();
+  const start = text.search(/[[{]/);
+
+  if (start === -1) {
+    return { error: 'Response contains no JSON' };
+  }
+
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  try {
+    return { data: JSON.parse(text.substring(start, end + 1)) };
+  } catch (error) {
+    const items = salvageArrayObjects(text.substring(start));
+    if (items.length > 0) {
+      return { items };
+    }
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+};
@@ -0,0 +1,73 @@
+/**
+ * pdf.js setup shared by text extraction and any in-app PDF rendering
+ * The worker is copied from the installed pdfjs-dist package into
+ * public/vendor by scripts/copy-vendor-assets.js (run before start and
+ * build) and served from our own origin, so it matches the library version
+ * and works offline or behind a proxy. react-pdf bundles pdf.js too; its
+ * `pdfjs` export must be configured with configurePdfjs() before rendering:
+ *
+ *   import { pdfjs } from 'react-pdf';
+ *   configurePdfjs(pdfjs);
+ *
+ * pdfjs-dist is pinned to the version react-pdf depends on so both share
+ * one copy (and one worker).
+ */
+
+import pdfjsPackage from 'pdfjs-dist/package.json';
+
+// Version the bundled worker was built from
+export const PDF_WORKER_VERSION = pdfjsPackage.version;
+
+// The copy lives in a versioned directory, so a stale copy is a 404 rather
+// than a worker from another release
+export const PDF_WORKER_URL = `${process.env.PUBLIC_URL}/vendor/pdfjs-dist@${PDF_WORKER_VERSION}/pdf.worker.min.mjs`;
+
+/**
+ * Error for a pdf.js instance that cannot use the bundled worker
+ * @param {string} libraryVersion - Version of the pdf.js API in use
+ * @param {string} expectedVersion - Version the worker was built from
+ * @returns {Error}
+ */
+const versionMismatchError = (libraryVersion, expectedVersion) => {
+  const error = new Error(
+    `PDF worker version mismatch: pdf.js ${libraryVersion} cannot use the bundled worker from pdfjs-dist ${expectedVersion}. ` +
+    'Make sure pdfjs-dist in package.json matches the version react-pdf depends on, reinstall dependencies and rebuild.'
+  );
+  error.name = 'PdfWorkerVersionError';
+  return error;
+};
+
+/**
+ * Point a pdf.js instance at the bundled worker. A pdf.js copy whose
+ * version differs from the worker's throws here instead of failing later
+ * inside the worker.
+ * @param {Object} pdfjs - pdf.js module (pdfjs-dist, or react-pdf's `pdfjs` export)
+ * @returns {Object} - The same module, configured
+ */
+export const configurePdfjs = (pdfjs) => {
+  if (pdfjs.version !== PDF_WORKER_VERSION) {
+    throw versionMismatchError(pdfjs.version, PDF_WORKER_VERSION);
+  }
+
+  pdfjs.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+  return pdfjs;
+};
+
+/**
+ * Load pdfjs-dist on demand, configured with the bundled worker
+ * @returns {Promise<Object>} - The pdf.js module
+ */
+export const loadPdfjs = async () => {
+  const pdfjs = await import('pdfjs-dist');
+  return configurePdfjs(pdfjs);
+};
+
+/**
+ * Turn pdf.js's own API/worker mismatch error into the explanation above
+ * @param {Error} error - Error thrown while loading a document
+ * @returns {Error} - A clearer error for version mismatches, otherwise the original
+ */
+export const explainPdfjsError = (error) => {
+  const match = /API version "([^"]+)" does not match the Worker version "([^"]+)"/.exec(error?.message || '');
+  return match ? versionMismatchError(match[1], match[2]) : error;
+};
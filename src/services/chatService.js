@@ -1,45 +1,36 @@
 import { supabase } from "../lib/supabase";
+import { llmProvider } from "./llmProvider";
+import { retrievalService, estimateTokens } from "./retrievalService";
+import { chatPersistenceService } from "./chatPersistenceService";
+
+const NO_EXTRACTED_TEXT_ERROR =
+  "No extracted text found for this file. Please ensure the file has been processed for text extraction.";
+
+const NO_BASE_TEXT_ERROR =
+  "No processed files found in this base. Please wait for text extraction to complete.";
+
+const SYSTEM_PROMPT =
+  "You are a study assistant. Answer questions using the document passages provided with each question. " +
+  "Use the earlier conversation to resolve follow-ups such as \"explain that more simply\". " +
+  "If the passages do not contain the answer, say so. " +
+  "Passages are tagged with the pages and sections they come from, e.g. [p. 4, section \"Kinetics\"]; " +
+  "cite the pages you used in the same form, like (p. 4), and name the section when it helps.";
+
+const BASE_WIDE_PROMPT =
+  "The passages come from several study documents and each starts with a [Source: file name] label. " +
+  "Combine information across documents where relevant and mention which document a point comes from.";
 
 class ChatService {
   constructor() {
-    this.apiKey = process.env.REACT_APP_HF_API_KEY;
-    this.apiUrls = ["/api/hf"];
-    this.currentUrlIndex = 0;
-
-    // Enhanced debugging for API key
-    console.log("Environment check:");
-    console.log(
-      "- REACT_APP_HF_API_KEY exists:",
-      !!process.env.REACT_APP_HF_API_KEY
-    );
-    console.log(
-      "- API key length:",
-      process.env.REACT_APP_HF_API_KEY
-        ? process.env.REACT_APP_HF_API_KEY.length
-        : 0
-    );
-    console.log(
-      "- API key starts with hf_:",
-      process.env.REACT_APP_HF_API_KEY
-        ? process.env.REACT_APP_HF_API_KEY.startsWith("hf_")
-        : false
-    );
-
-    if (!this.apiKey) {
-      console.error("❌ Hugging Face API key not found!");
-      console.error("Please check:");
-      console.error("1. .env.local file exists in project root");
-      console.error("2. REACT_APP_HF_API_KEY is set correctly");
-      console.error("3. Development server has been restarted");
-      console.error("4. No extra spaces around the API key");
-    } else {
-      console.log("✅ Hugging Face API key loaded successfully!");
-    }
+    // Token budget for previous turns sent along with each question
+    this.historyTokenBudget = 1200;
+    // Rolling summaries of turns that no longer fit, keyed by chat ID
+    this.summaryCache = new Map();
   }
 
   /**
-   * Get extracted text for a specific PDF file
-   * @param {string} fileId - The ID of the PDF file
+   * Get extracted text for a specific file
+   * @param {string} fileId - The ID of the file
    * @returns {Promise<string|null>} - Extracted text or null if not found
    */
   async getExtractedText(fileId) {
@@ -64,91 +55,295 @@ class ChatService {
   }
 
   /**
-   * Generate a response using Hugging Face API
+   * Get the files in a base that have completed text extraction
+   * @param {string} baseId - The ID of the base
+   * @returns {Promise<Array<{fileId: string, fileName: string}>>} - Files usable for base-wide chat
+   */
+  async getBaseSources(baseId) {
+    try {
+      const { data, error } = await supabase
+        .from("pdf_text_content")
+        .select("file_id, base_files!inner(id, file_name, base_id)")
+        .eq("base_files.base_id", baseId)
+        .eq("status", "completed");
+
+      if (error) {
+        console.error("Error fetching base sources:", error);
+        return [];
+      }
+
+      return (data || []).map((row) => ({
+        fileId: row.file_id,
+        fileName: row.base_files.file_name,
+      }));
+    } catch (error) {
+      console.error("Error in getBaseSources:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Build the prompt context for a question from the most relevant passages
+   * of the file instead of the first couple of thousand characters.
+   * With options.baseId set, passages are drawn from every processed file in
+   * the base and labelled with their file names.
+   * @param {string|null} fileId - The ID of the file (ignored in base-wide mode)
    * @param {string} question - User's question
-   * @param {string} context - Extracted text from PDF
+   * @param {Object} options - Context options
+   * @param {string} options.baseId - Base to search across instead of a single file
+   * @returns {Promise<{text: string, passages: Array<Object>, sources: Array<{fileId: string, fileName: string}>}|null>} - Context or null if nothing has extracted text
+   */
+  async buildContext(fileId, question, { baseId } = {}) {
+    if (!baseId) {
+      const chunks = await retrievalService.retrieve(fileId, question);
+
+      if (chunks.length === 0) {
+        return null;
+      }
+
+      return { text: retrievalService.formatPassages(chunks), passages: chunks, sources: [] };
+    }
+
+    const baseSources = await this.getBaseSources(baseId);
+    const chunks = await retrievalService.retrieveAcrossFiles(
+      baseSources.map((source) => source.fileId),
+      question
+    );
+
+    if (chunks.length === 0) {
+      return null;
+    }
+
+    const fileNames = Object.fromEntries(
+      baseSources.map((source) => [source.fileId, source.fileName])
+    );
+    const contributingIds = new Set(chunks.map((chunk) => chunk.fileId));
+
+    return {
+      text: retrievalService.formatPassages(chunks, fileNames),
+      passages: chunks.map((chunk) => ({ ...chunk, fileName: fileNames[chunk.fileId] })),
+      sources: baseSources.filter((source) => contributingIds.has(source.fileId)),
+    };
+  }
+
+  /**
+   * Work out which pages an answer cites. Page references the model makes
+   * ("p. 4", "pp. 4-5") are kept only if a retrieved passage covers that
+   * page. An answer that cites no page gets no citations: the passages it
+   * was given are not evidence that it used them.
+   * @param {string} response - Model answer
+   * @param {Array<Object>} passages - Passages sent with the question
+   * @returns {Array<{fileId: string, fileName?: string, page: number}>} - Citations in order of appearance
+   */
+  extractCitations(response, passages) {
+    const citations = [];
+    const seen = new Set();
+
+    const addCitation = (passage, page) => {
+      const key = `${passage.fileId}:${page}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const citation = { fileId: passage.fileId, page };
+      if (passage.fileName) citation.fileName = passage.fileName;
+      citations.push(citation);
+    };
+
+    const pagePattern = /\bpp?\.\s*(\d+)(?:\s*[-–]\s*(\d+))?/gi;
+    for (const match of (response || "").matchAll(pagePattern)) {
+      const firstPage = parseInt(match[1], 10);
+      const lastPage = match[2] ? parseInt(match[2], 10) : firstPage;
+
+      for (let page = firstPage; page <= Math.min(lastPage, firstPage + 10); page++) {
+        const passage = passages.find((item) => (
+          item.pageStart && item.pageStart <= page && page <= (item.pageEnd || item.pageStart)
+        ));
+        if (passage) addCitation(passage, page);
+      }
+    }
+
+    return citations;
+  }
+
+  /**
+   * Collect everything needed to ask the model a question: history, the
+   * retrieved passages and the final chat messages
+   * @param {string|null} fileId - The ID of the selected file
+   * @param {string} question - User's question
+   * @param {Object} options - Message options
+   * @param {string} options.chatId - Chat whose earlier turns are sent as history
+   * @param {string} options.baseId - Base to search across instead of a single file
+   * @returns {Promise<{messages: Array, passages: Array, sources: Array, history: Object}>}
+   */
+  async prepareRequest(fileId, question, { chatId, baseId } = {}) {
+    const history = await this.buildHistory(chatId, question);
+    const context = await this.buildContext(
+      fileId,
+      this.buildRetrievalQuery(question, history),
+      { baseId }
+    );
+
+    if (!context) {
+      throw new Error(baseId ? NO_BASE_TEXT_ERROR : NO_EXTRACTED_TEXT_ERROR);
+    }
+
+    return {
+      messages: this.buildMessages(question, context.text, history, { baseWide: !!baseId }),
+      passages: context.passages,
+      sources: context.sources,
+      history,
+    };
+  }
+
+  /**
+   * Assemble the conversation so far for a chat, fitted to the history budget.
+   * The newest turns are kept verbatim; older turns are folded into a summary.
+   * @param {string|null} chatId - The ID of the active chat
+   * @param {string} question - The question being asked (dropped if already saved)
+   * @returns {Promise<{summary: string|null, messages: Array<{role: string, content: string}>}>}
+   */
+  async buildHistory(chatId, question) {
+    const history = { summary: null, messages: [] };
+    if (!chatId) return history;
+
+    const result = await chatPersistenceService.getChatMessages(chatId);
+    if (!result.success) return history;
+
+    const turns = result.messages
+      .filter((message) => (message.type === "user" || message.type === "ai") && message.content)
+      .map((message) => ({
+        role: message.type === "ai" ? "assistant" : "user",
+        content: message.content,
+      }));
+
+    // The question is saved before it is answered, so it may already be the last turn
+    const lastTurn = turns[turns.length - 1];
+    if (lastTurn && lastTurn.role === "user" && lastTurn.content === question) {
+      turns.pop();
+    }
+
+    // Walk back from the newest turn until the budget is used up
+    let usedTokens = 0;
+    let firstKept = turns.length;
+    while (firstKept > 0) {
+      const tokens = estimateTokens(turns[firstKept - 1].content);
+      if (usedTokens + tokens > this.historyTokenBudget) break;
+      usedTokens += tokens;
+      firstKept--;
+    }
+
+    history.messages = turns.slice(firstKept);
+
+    const olderTurns = turns.slice(0, firstKept);
+    if (olderTurns.length > 0) {
+      history.summary = await this.summarizeTurns(chatId, olderTurns);
+    }
+
+    return history;
+  }
+
+  /**
+   * Summarise turns that fell out of the history budget. Summaries are cached
+   * per chat and extended with only the turns that dropped out since.
+   * @param {string} chatId - The ID of the active chat
+   * @param {Array<{role: string, content: string}>} turns - Older turns, oldest first
+   * @returns {Promise<string|null>} - Summary text or null if summarising failed
+   */
+  async summarizeTurns(chatId, turns) {
+    const cached = this.summaryCache.get(chatId);
+    if (cached && cached.turnCount === turns.length) {
+      return cached.summary;
+    }
+
+    const usableCache = cached && cached.turnCount < turns.length;
+    const newTurns = usableCache ? turns.slice(cached.turnCount) : turns;
+    const transcript = newTurns
+      .map((turn) => `${turn.role === "assistant" ? "Assistant" : "Student"}: ${turn.content}`)
+      .join("\n\n");
+
+    const prompt = `Summarise this study conversation in a short paragraph. Keep the topics asked about, key facts given and anything the student said they did not understand.
+${usableCache ? `\nSummary so far: ${cached.summary}\n` : ""}
+Conversation:
+${transcript}
+
+Summary:`;
+
+    const result = await llmProvider.generate(
+      [{ role: "user", content: prompt }],
+      { profile: "summarization", maxTokens: 300, temperature: 0.3 }
+    );
+
+    if (!result.success) {
+      console.warn("Could not summarise earlier turns:", result.error);
+      return usableCache ? cached.summary : null;
+    }
+
+    const summary = result.response.trim();
+    this.summaryCache.set(chatId, { turnCount: turns.length, summary });
+
+    return summary;
+  }
+
+  /**
+   * Build the chat messages sent to the model: instructions, earlier turns
+   * and the new question with its document passages. The provider's adapter
+   * renders these with the model's chat template (Llama 3 role headers).
+   * @param {string} question - User's question
+   * @param {string} context - Relevant passages from the document
+   * @param {{summary: string|null, messages: Array}} history - Output of buildHistory()
+   * @param {Object} options - Prompt options
+   * @param {boolean} options.baseWide - Whether the passages come from several labelled files
+   * @returns {Array<{role: string, content: string}>} - Chat messages
+   */
+  buildMessages(question, context, history = { summary: null, messages: [] }, { baseWide = false } = {}) {
+    let system = baseWide ? `${SYSTEM_PROMPT} ${BASE_WIDE_PROMPT}` : SYSTEM_PROMPT;
+    if (history.summary) {
+      system += `\n\nSummary of the earlier conversation: ${history.summary}`;
+    }
+
+    return [
+      { role: "system", content: system },
+      ...history.messages,
+      { role: "user", content: this.createPrompt(question, context) },
+    ];
+  }
+
+  /**
+   * Build the text used to retrieve passages. Follow-ups such as "explain
+   * that in simpler terms" carry no keywords, so the previous question is
+   * included.
+   * @param {string} question - User's question
+   * @param {{messages: Array}} history - Output of buildHistory()
+   * @returns {string} - Retrieval query
+   */
+  buildRetrievalQuery(question, history) {
+    const previousQuestion = [...history.messages]
+      .reverse()
+      .find((message) => message.role === "user");
+
+    return previousQuestion ? `${previousQuestion.content} ${question}` : question;
+  }
+
+  /**
+   * Generate a response using the configured LLM provider
+   * @param {Array<{role: string, content: string}>} messages - Output of buildMessages()
    * @returns {Promise<{success: boolean, response?: string, error?: string}>}
    */
-  async generateResponse(question, context) {
+  async generateResponse(messages) {
     try {
-      if (!this.apiKey) {
-        throw new Error(
-          "Hugging Face API key not found. Please create a .env.local file in your project root and add: REACT_APP_HF_API_KEY=your_api_key_here. Get your API key from: https://huggingface.co/settings/tokens"
-        );
-      }
+      const result = await llmProvider.generate(
+        messages,
+        { maxTokens: 1000, temperature: 0.7 }
+      );
 
-      // Create a comprehensive prompt that includes the context and question
-      // Using Llama 3 prompt format
-      const rawPrompt = this.createPrompt(question, context);
-      const prompt = `<|begin_of_text|><|start_header_id|>user<|end_header_id|>\n\n${rawPrompt}<|eot_id|><|start_header_id|>assistant<|end_header_id|>\n\n`;
-
-      // Try each model until one works
-      for (let i = 0; i < this.apiUrls.length; i++) {
-        const apiUrl = this.apiUrls[i];
-        console.log(`Trying model ${i + 1}/${this.apiUrls.length}: ${apiUrl}`);
-
-        try {
-          const response = await fetch(apiUrl, {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify({
-              inputs: prompt,
-              parameters: {
-                max_new_tokens: 1000,
-                return_full_text: false,
-                temperature: 0.7
-              }
-            }),
-          });
-
-          if (response.ok) {
-            const data = await response.json();
-            console.log(`✅ Success with model ${i + 1}:`, data);
-
-            if (data.error) {
-              throw new Error(`API error: ${data.error}`);
-            }
-
-            // Extract the generated text from the standard HF Inference API response (array)
-            // Llama 3 endpoint usually returns [{ generated_text: "..." }]
-            let generatedText = "";
-            if (Array.isArray(data) && data.length > 0) {
-              generatedText = data[0].generated_text;
-            } else if (data.generated_text) {
-              generatedText = data.generated_text;
-            } else {
-              // Fallback if structure is unexpected
-              generatedText = JSON.stringify(data);
-            }
-
-            return {
-              success: true,
-              response: this.cleanResponse(generatedText),
-            };
-          } else {
-            console.log(
-              `❌ Model ${i + 1} failed: ${response.status} ${response.statusText
-              }`
-            );
-            if (i === this.apiUrls.length - 1) {
-              // Last model failed, throw error
-              const errorData = await response.json().catch(() => ({}));
-              throw new Error(
-                `API request failed: ${response.status} - ${errorData.error || response.statusText
-                }`
-              );
-            }
-          }
-        } catch (error) {
-          console.log(`❌ Model ${i + 1} error:`, error.message);
-          if (i === this.apiUrls.length - 1) {
-            // Last model failed, throw error
-            throw error;
-          }
-        }
+      if (!result.success) {
+        throw new Error(result.error);
       }
+
+      return {
+        success: true,
+        response: this.cleanResponse(result.response),
+      };
     } catch (error) {
       console.error("Error generating response:", error);
       return {
@@ -161,18 +356,12 @@ class ChatService {
   /**
    * Create a prompt for the LLM that includes context and question
    * @param {string} question - User's question
-   * @param {string} context - Extracted text from PDF
+   * @param {string} context - Relevant passages from the document
    * @returns {string} - Formatted prompt
    */
   createPrompt(question, context) {
-    // Truncate context if it's too long (to stay within API limits)
-    const maxContextLength = 2000;
-    const truncatedContext =
-      context.length > maxContextLength
-        ? context.substring(0, maxContextLength) + "..."
-        : context;
-
-    return `Context from PDF: ${truncatedContext}
+    return `Context from the document (relevant passages, separated by ---):
+${context}
 
 Question: ${question}
 
@@ -209,27 +398,30 @@ Answer based on the context above:`;
 
   /**
    * Process a chat message (question) and return a response
-   * @param {string} fileId - The ID of the selected PDF file
+   * @param {string} fileId - The ID of the selected file
    * @param {string} question - User's question
-   * @returns {Promise<{success: boolean, response?: string, error?: string}>}
+   * @param {Object} options - Message options
+   * @param {string} options.chatId - Chat whose earlier turns are sent as history
+   * @param {string} options.baseId - Chat across every processed file in this base (fileId may be null)
+   * @returns {Promise<{success: boolean, response?: string, sources?: Array, citations?: Array, error?: string}>}
    */
-  async processMessage(fileId, question) {
+  async processMessage(fileId, question, { chatId, baseId } = {}) {
     try {
-      // Get the extracted text for the PDF file
-      const extractedText = await this.getExtractedText(fileId);
-
-      if (!extractedText) {
-        return {
-          success: false,
-          error:
-            "No extracted text found for this PDF file. Please ensure the PDF has been processed for text extraction.",
-        };
-      }
+      // Pick the passages that are relevant to the question
+      const { messages, passages, sources } = await this.prepareRequest(fileId, question, { chatId, baseId });
 
       // Generate response using the LLM
-      const result = await this.generateResponse(question, extractedText);
+      const result = await this.generateResponse(messages);
+
+      if (!result.success) {
+        return result;
+      }
 
-      return result;
+      return {
+        ...result,
+        sources,
+        citations: this.extractCitations(result.response, passages),
+      };
     } catch (error) {
       console.error("Error processing message:", error);
       return {
@@ -240,8 +432,80 @@ Answer based on the context above:`;
   }
 
   /**
-   * Check if a PDF file has extracted text available
-   * @param {string} fileId - The ID of the PDF file
+   * Stream a response to a question about a file
+   * @param {string} fileId - The ID of the selected file
+   * @param {string} question - User's question
+   * @param {Object} options - Streaming options
+   * @param {AbortSignal} options.signal - Signal that stops generation
+   * @param {string} options.chatId - Chat whose earlier turns are sent as history
+   * @param {string} options.baseId - Chat across every processed file in this base (fileId may be null)
+   * @yields {string} - Response text fragments as they are generated
+   */
+  async *streamMessage(fileId, question, { signal, chatId, baseId } = {}) {
+    const { messages } = await this.prepareRequest(fileId, question, { chatId, baseId });
+
+    yield* llmProvider.stream(messages, { maxTokens: 1000, temperature: 0.7, signal });
+  }
+
+  /**
+   * Process a chat message, reporting the response as it streams in
+   * @param {string} fileId - The ID of the selected file
+   * @param {string} question - User's question
+   * @param {Object} options - Streaming options
+   * @param {Function} options.onToken - Called with (token, textSoFar) for every fragment
+   * @param {AbortSignal} options.signal - Signal that stops generation
+   * @param {string} options.chatId - Chat whose earlier turns are sent as history
+   * @param {string} options.baseId - Chat across every processed file in this base (fileId may be null)
+   * @returns {Promise<{success: boolean, response?: string, sources?: Array, citations?: Array, aborted?: boolean, error?: string}>}
+   */
+  async processMessageStream(fileId, question, { onToken, signal, chatId, baseId } = {}) {
+    let text = "";
+    let sources = [];
+    let passages = [];
+
+    try {
+      const request = await this.prepareRequest(fileId, question, { chatId, baseId });
+      sources = request.sources;
+      passages = request.passages;
+
+      const tokens = llmProvider.stream(request.messages, { maxTokens: 1000, temperature: 0.7, signal });
+      for await (const token of tokens) {
+        text += token;
+        if (onToken) {
+          onToken(token, text);
+        }
+      }
+
+      return {
+        success: true,
+        response: this.cleanResponse(text),
+        sources,
+        citations: this.extractCitations(text, passages),
+      };
+    } catch (error) {
+      if (error.name === "AbortError") {
+        // Stopped by the user - hand back whatever was produced so far
+        return {
+          success: true,
+          aborted: true,
+          response: text.trim(),
+          sources,
+          citations: text.trim() ? this.extractCitations(text, passages) : [],
+        };
+      }
+
+      console.error("Error streaming message:", error);
+      return {
+        success: false,
+        error: error.message,
+        response: text.trim(),
+      };
+    }
+  }
+
+  /**
+   * Check if a file has extracted text available
+   * @param {string} fileId - The ID of the file
    * @returns {Promise<boolean>} - True if extracted text is available
    */
   async hasExtractedText(fileId) {
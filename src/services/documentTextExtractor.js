@@ -0,0 +1,576 @@
+import JSZip from 'jszip';
+import { supabase } from '../lib/supabase';
+import { pdfTextExtractor } from './pdfTextExtractor';
+import { retrievalService } from './retrievalService';
+import { ocrService } from './ocrService';
+import { hashContent } from '../lib/contentHash';
+
+/**
+ * Document Text Extraction Service
+ * Extracts text from any supported upload (PDF, scanned image, Word,
+ * PowerPoint, Excel, plain text and Markdown) by dispatching to a handler
+ * for its format, then stores it in pdf_text_content keyed by file so chat
+ * and quizzes treat every format alike. Files are identified by a hash of
+ * their content: text already extracted from identical content is copied
+ * rather than extracted again, and a new version of a PDF only OCRs the
+ * scanned pages that changed (its text-layer pages are cheap to read and
+ * are always read again).
+ */
+
+// Formats by MIME type; the extension is used when the browser sent none
+const FORMATS_BY_TYPE = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/gif': 'image',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'text/plain': 'text',
+  'text/markdown': 'text',
+  'text/x-markdown': 'text'
+};
+
+const FORMATS_BY_EXTENSION = {
+  pdf: 'pdf',
+  jpg: 'image',
+  jpeg: 'image',
+  png: 'image',
+  gif: 'image',
+  docx: 'docx',
+  pptx: 'pptx',
+  xlsx: 'xlsx',
+  txt: 'text',
+  md: 'text',
+  markdown: 'text'
+};
+
+/**
+ * Work out which handler reads a file. Legacy binary Office files
+ * (.doc, .ppt, .xls) are not supported.
+ * @param {string} fileType - MIME type stored with the file
+ * @param {string} fileName - Original filename
+ * @returns {string|null} - 'pdf', 'image', 'docx', 'pptx', 'xlsx', 'text', or null
+ */
+export const getDocumentFormat = (fileType, fileName = '') => {
+  if (FORMATS_BY_TYPE[fileType]) {
+    return FORMATS_BY_TYPE[fileType];
+  }
+
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  return FORMATS_BY_EXTENSION[extension] || null;
+};
+
+/**
+ * Whether text can be extracted from a base_files row
+ * @param {{file_type: string, file_name: string}} file - File row
+ * @returns {boolean}
+ */
+export const canExtractText = (file) => getDocumentFormat(file.file_type, file.file_name) !== null;
+
+/**
+ * Parse an XML part of an Office document
+ * @param {JSZip} zip - Opened document
+ * @param {string} path - Part path inside the archive
+ * @returns {Promise<Document|null>} - Parsed XML, or null if the part is missing
+ */
+const readXml = async (zip, path) => {
+  const part = zip.file(path);
+  if (!part) return null;
+
+  const xml = await part.async('string');
+  return new DOMParser().parseFromString(xml, 'application/xml');
+};
+
+/**
+ * Resolve the targets of a part's relationships
+ * @param {JSZip} zip - Opened document
+ * @param {string} relsPath - Path of the .rels part
+ * @param {string} baseDir - Directory relative targets are resolved against
+ * @returns {Promise<Map<string, string>>} - Relationship ID to part path
+ */
+const readRelationships = async (zip, relsPath, baseDir) => {
+  const rels = await readXml(zip, relsPath);
+  const targets = new Map();
+  if (!rels) return targets;
+
+  Array.from(rels.getElementsByTagName('Relationship')).forEach(rel => {
+    const target = rel.getAttribute('Target');
+    targets.set(rel.getAttribute('Id'), target.startsWith('/') ? target.substring(1) : `${baseDir}/${target}`);
+  });
+
+  return targets;
+};
+
+/**
+ * Whether a text node belongs directly to a paragraph, rather than to a
+ * paragraph nested inside it (text boxes) or to the fallback copy Office
+ * writes alongside newer content
+ * @param {Element} node - Descendant of the paragraph
+ * @param {Element} paragraph - Paragraph element
+ * @returns {boolean}
+ */
+const isOwnText = (node, paragraph) => {
+  for (let parent = node.parentNode; parent && parent !== paragraph; parent = parent.parentNode) {
+    if (parent.tagName === paragraph.tagName || parent.tagName === 'mc:Fallback') {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Collect the text of each paragraph element, keeping tabs and line breaks
+ * @param {Document|Element} root - XML to read
+ * @param {string} prefix - Namespace prefix ('w' for Word, 'a' for DrawingML)
+ * @returns {Array<string>} - Non-empty paragraphs
+ */
+const readParagraphs = (root, prefix) => (
+  Array.from(root.getElementsByTagName(`${prefix}:p`))
+    .map(paragraph => Array.from(paragraph.getElementsByTagName('*'))
+      .filter(node => isOwnText(node, paragraph))
+      .map(node => {
+        if (node.tagName === `${prefix}:t`) return node.textContent;
+        if (node.tagName === `${prefix}:tab`) return '\t';
+        if (node.tagName === `${prefix}:br` || node.tagName === `${prefix}:cr`) return '\n';
+        return '';
+      })
+      .join('')
+      .trim())
+    .filter(Boolean)
+);
+
+class DocumentTextExtractor {
+  /**
+   * Extract text from an uploaded file and store it in the database.
+   * Nothing is extracted when the stored text is for the file's current
+   * content, or when identical content has been extracted for another of
+   * the user's files (in any base); that text is copied instead.
+   * @param {string} fileId - The ID of the file in base_files table
+   * @param {string} filePath - The storage path of the file
+   * @param {string} fileName - The original filename
+   * @param {Object} options - Extraction options
+   * @param {Function} options.onProgress - Called with (pagesDone, pagesTotal) as pages,
+   *   slides or sheets are read
+   * @param {boolean} options.recordFailure - Mark the file as failed on error (the job runner
+   *   passes false and records the failure itself once retries run out)
+   * @param {string} options.fileType - MIME type stored with the file (the extension is used without it)
+   * @returns {Promise<Object>} - Result object with success status and extracted text
+   */
+  async extractAndStoreText(fileId, filePath, fileName, { onProgress, recordFailure = true, fileType = '' } = {}) {
+    try {
+      console.log(`Starting text extraction for file: ${fileName}`);
+
+      const format = getDocumentFormat(fileType, fileName);
+      if (!format) {
+        throw new Error(`Text extraction is not supported for ${fileType || fileName}`);
+      }
+
+      const contentHash = await this.getContentHash(fileId);
+      const stored = await pdfTextExtractor.getStoredText(fileId);
+
+      // Check if text is already extracted from this version of the file.
+      // Files uploaded before content hashing have no hash to compare.
+      if (stored?.status === 'completed' && (!contentHash || stored.content_hash === contentHash)) {
+        console.log(`Text already extracted for file: ${fileName}`);
+        return {
+          success: true,
+          text: stored.extracted_text,
+          message: 'Text already extracted'
+        };
+      }
+
+      if (contentHash) {
+        const copied = await this.copyExtractedText(fileId, fileName, contentHash);
+        if (copied) {
+          return copied;
+        }
+      }
+
+      // Download the file from Supabase storage
+      const buffer = await this.downloadFile(filePath);
+      if (!buffer) {
+        throw new Error('Failed to download file');
+      }
+
+      const versionHash = contentHash || await this.storeContentHash(fileId, buffer);
+
+      // Completed text for another hash is the file's previous version
+      const previous = stored?.status === 'completed' && stored.extracted_text
+        ? { text: stored.extracted_text, pages: stored.pages || [] }
+        : null;
+
+      const { text: extractedText, pages, outline = [] } = await this.extractText(buffer, format, fileType, onProgress, previous);
+      if (!extractedText || extractedText.trim().length === 0) {
+        throw new Error(format === 'image' ? 'No text found in image' : `No text content found in ${fileName}`);
+      }
+
+      // Store extracted text in database
+      await pdfTextExtractor.storeExtractedText(fileId, extractedText, fileName, pages, outline, versionHash);
+
+      // Split into retrieval chunks for chat. Chunks are rebuilt on demand
+      // if this fails, so it must not fail the extraction.
+      const chunkResult = await retrievalService.storeChunks(fileId, extractedText, pages, outline);
+      if (!chunkResult.success) {
+        console.warn(`Could not store chunks for ${fileName}:`, chunkResult.error);
+      }
+
+      console.log(`Successfully extracted and stored text for file: ${fileName}`);
+
+      return {
+        success: true,
+        text: extractedText,
+        message: 'Text extracted and stored successfully'
+      };
+
+    } catch (error) {
+      console.error(`Error extracting text from ${fileName}:`, error);
+
+      // Store error information
+      if (recordFailure) {
+        await pdfTextExtractor.storeExtractionError(fileId, error.message);
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to extract text from file'
+      };
+    }
+  }
+
+  /**
+   * Get the content hash stored with a file at upload
+   * @param {string} fileId - File ID
+   * @returns {Promise<string|null>} - SHA-256 hex digest, or null for files uploaded before hashing
+   */
+  async getContentHash(fileId) {
+    const { data, error } = await supabase
+      .from('base_files')
+      .select('content_hash')
+      .eq('id', fileId)
+      .maybeSingle();
+
+    if (error) {
+      console.warn('Could not read file content hash:', error.message);
+      return null;
+    }
+
+    return data?.content_hash || null;
+  }
+
+  /**
+   * Hash a file uploaded before content hashing and store the hash on it
+   * @param {string} fileId - File ID
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Promise<string>} - SHA-256 hex digest
+   */
+  async storeContentHash(fileId, buffer) {
+    const contentHash = await hashContent(buffer);
+
+    const { error } = await supabase
+      .from('base_files')
+      .update({ content_hash: contentHash })
+      .eq('id', fileId);
+
+    if (error) {
+      console.warn('Could not store file content hash:', error.message);
+    }
+
+    return contentHash;
+  }
+
+  /**
+   * Copy the text and chunks of another file with identical content
+   * @param {string} fileId - File being extracted
+   * @param {string} fileName - Its original filename
+   * @param {string} contentHash - Its content hash
+   * @returns {Promise<Object|null>} - Result object like extractAndStoreText(), or null if no
+   *   identical file has been extracted
+   */
+  async copyExtractedText(fileId, fileName, contentHash) {
+    const source = await pdfTextExtractor.findTextByHash(contentHash, fileId);
+    if (!source) {
+      return null;
+    }
+
+    const pages = source.pages || [];
+    const outline = source.outline || [];
+    await pdfTextExtractor.storeExtractedText(fileId, source.extracted_text, fileName, pages, outline, contentHash);
+
+    const chunkResult = await retrievalService.copyChunks(source.file_id, fileId);
+    if (!chunkResult.success) {
+      // Chunk the copied text instead
+      const rebuilt = await retrievalService.storeChunks(fileId, source.extracted_text, pages, outline);
+      if (!rebuilt.success) {
+        console.warn(`Could not store chunks for ${fileName}:`, rebuilt.error);
+      }
+    }
+
+    console.log(`♻️ Copied text for ${fileName} from an identical file`);
+
+    return {
+      success: true,
+      text: source.extracted_text,
+      message: 'Text copied from an identical file'
+    };
+  }
+
+  /**
+   * Download a file from Supabase storage
+   * @param {string} filePath - Storage path of the file
+   * @returns {Promise<ArrayBuffer|null>} - File as ArrayBuffer
+   */
+  async downloadFile(filePath) {
+    try {
+      const { data, error } = await supabase.storage
+        .from('files')
+        .download(filePath);
+
+      if (error) {
+        console.error('Error downloading file:', error);
+        return null;
+      }
+
+      return await data.arrayBuffer();
+
+    } catch (error) {
+      console.error('Error converting file to ArrayBuffer:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Run the handler for a file's format
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {string} format - Format from getDocumentFormat()
+   * @param {string} fileType - MIME type
+   * @param {Function} onProgress - Optional callback with (pagesDone, pagesTotal)
+   * @param {{text: string, pages: Array<Object>}|null} previous - Stored text of the file's previous
+   *   version; PDFs reuse its OCR text for unchanged scanned pages
+   * @returns {Promise<{text: string, pages: Array<Object>, outline?: Array<Object>}>} - Extracted text, page offsets and (for PDFs) outline
+   */
+  async extractText(buffer, format, fileType, onProgress, previous = null) {
+    switch (format) {
+      case 'pdf':
+        return pdfTextExtractor.extractTextFromPDF(buffer, onProgress, previous);
+      case 'image':
+        return this.extractTextFromImage(buffer, fileType, onProgress);
+      case 'docx':
+        return this.extractTextFromDocx(buffer, onProgress);
+      case 'pptx':
+        return this.extractTextFromPptx(buffer, onProgress);
+      case 'xlsx':
+        return this.extractTextFromXlsx(buffer, onProgress);
+      default:
+        return this.extractPlainText(buffer, onProgress);
+    }
+  }
+
+  /**
+   * Join per-page text into one string with page offsets, like extractTextFromPDF()
+   * @param {Array<string>} pageTexts - Text of each page (slide, sheet)
+   * @returns {{text: string, pages: Array<Object>}}
+   */
+  joinPages(pageTexts) {
+    let text = '';
+    const pages = [];
+
+    pageTexts.forEach((rawText, index) => {
+      const pageText = pdfTextExtractor.cleanExtractedText(rawText);
+      if (!pageText) return;
+
+      if (text) text += '\n\n';
+      pages.push({ page: index + 1, start: text.length, end: text.length + pageText.length, source: 'text', confidence: null });
+      text += pageText;
+    });
+
+    return { text, pages };
+  }
+
+  /**
+   * Extract text from an uploaded image with OCR
+   * @param {ArrayBuffer} imageBuffer - Image file as ArrayBuffer
+   * @param {string} fileType - Image MIME type
+   * @param {Function} onProgress - Optional callback with (pagesDone, pagesTotal)
+   * @returns {Promise<{text: string, pages: Array<Object>}>} - Extracted text, as a single OCR page
+   */
+  async extractTextFromImage(imageBuffer, fileType, onProgress) {
+    // Decode through the browser so every accepted format (including GIF)
+    // reaches Tesseract as plain pixels
+    const bitmap = await createImageBitmap(new Blob([imageBuffer], { type: fileType }));
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    try {
+      const { text: rawText, confidence } = await ocrService.recognize(canvas);
+      const text = pdfTextExtractor.cleanExtractedText(rawText);
+
+      if (onProgress) {
+        onProgress(1, 1);
+      }
+
+      console.log(`🔍 OCR extracted ${text.length} characters from image (confidence ${confidence}%)`);
+
+      return {
+        text,
+        pages: text ? [{ page: 1, start: 0, end: text.length, source: 'ocr', confidence }] : []
+      };
+    } finally {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+  }
+
+  /**
+   * Extract text from a Word document (.docx). Word files carry no page
+   * layout, so no page offsets are returned.
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {Function} onProgress - Optional callback with (pagesDone, pagesTotal)
+   * @returns {Promise<{text: string, pages: Array}>}
+   */
+  async extractTextFromDocx(buffer, onProgress) {
+    const zip = await JSZip.loadAsync(buffer);
+    const documentXml = await readXml(zip, 'word/document.xml');
+    if (!documentXml) {
+      throw new Error('Not a valid Word document (word/document.xml is missing)');
+    }
+
+    const text = pdfTextExtractor.cleanExtractedText(readParagraphs(documentXml, 'w').join('\n\n'));
+
+    if (onProgress) {
+      onProgress(1, 1);
+    }
+
+    console.log(`📄 Extracted ${text.length} characters from Word document`);
+    return { text, pages: [] };
+  }
+
+  /**
+   * Extract text from a PowerPoint presentation (.pptx), one page per slide
+   * in presentation order
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {Function} onProgress - Optional callback with (slidesDone, slidesTotal)
+   * @returns {Promise<{text: string, pages: Array<Object>}>}
+   */
+  async extractTextFromPptx(buffer, onProgress) {
+    const zip = await JSZip.loadAsync(buffer);
+    const presentation = await readXml(zip, 'ppt/presentation.xml');
+    if (!presentation) {
+      throw new Error('Not a valid PowerPoint presentation (ppt/presentation.xml is missing)');
+    }
+
+    const slideTargets = await readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+    const slidePaths = Array.from(presentation.getElementsByTagName('p:sldId'))
+      .map(slideId => slideTargets.get(slideId.getAttribute('r:id')))
+      .filter(Boolean);
+
+    const slideTexts = [];
+    for (const slidePath of slidePaths) {
+      const slide = await readXml(zip, slidePath);
+      slideTexts.push(slide ? readParagraphs(slide, 'a').join('\n') : '');
+
+      if (onProgress) {
+        onProgress(slideTexts.length, slidePaths.length);
+      }
+    }
+
+    console.log(`📊 Extracted text from ${slidePaths.length} slides`);
+    return this.joinPages(slideTexts);
+  }
+
+  /**
+   * Extract text from an Excel workbook (.xlsx), one page per sheet. Rows
+   * are written one per line, cells separated by " | ", under the sheet's name.
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {Function} onProgress - Optional callback with (sheetsDone, sheetsTotal)
+   * @returns {Promise<{text: string, pages: Array<Object>}>}
+   */
+  async extractTextFromXlsx(buffer, onProgress) {
+    const zip = await JSZip.loadAsync(buffer);
+    const workbook = await readXml(zip, 'xl/workbook.xml');
+    if (!workbook) {
+      throw new Error('Not a valid Excel workbook (xl/workbook.xml is missing)');
+    }
+
+    // Most cell text lives in the shared string table and is referenced by index
+    const sharedStringsXml = await readXml(zip, 'xl/sharedStrings.xml');
+    const sharedStrings = sharedStringsXml
+      ? Array.from(sharedStringsXml.getElementsByTagName('si')).map(item => (
+        Array.from(item.getElementsByTagName('t')).map(t => t.textContent).join('')
+      ))
+      : [];
+
+    const sheetTargets = await readRelationships(zip, 'xl/_rels/workbook.xml.rels', 'xl');
+    const sheets = Array.from(workbook.getElementsByTagName('sheet'))
+      .map(sheet => ({ name: sheet.getAttribute('name'), path: sheetTargets.get(sheet.getAttribute('r:id')) }))
+      .filter(sheet => sheet.path);
+
+    const sheetTexts = [];
+    for (const sheet of sheets) {
+      const worksheet = await readXml(zip, sheet.path);
+      const rows = worksheet
+        ? Array.from(worksheet.getElementsByTagName('row'))
+          .map(row => Array.from(row.getElementsByTagName('c'))
+            .map(cell => this.readCellValue(cell, sharedStrings))
+            .filter(Boolean)
+            .join(' | '))
+          .filter(Boolean)
+        : [];
+
+      sheetTexts.push(rows.length > 0 ? `${sheet.name}\n${rows.join('\n')}` : '');
+
+      if (onProgress) {
+        onProgress(sheetTexts.length, sheets.length);
+      }
+    }
+
+    console.log(`📈 Extracted text from ${sheets.length} sheets`);
+    return this.joinPages(sheetTexts);
+  }
+
+  /**
+   * Read a worksheet cell's displayed value
+   * @param {Element} cell - <c> element
+   * @param {Array<string>} sharedStrings - Workbook shared string table
+   * @returns {string}
+   */
+  readCellValue(cell, sharedStrings) {
+    const type = cell.getAttribute('t');
+
+    if (type === 'inlineStr') {
+      return Array.from(cell.getElementsByTagName('t')).map(t => t.textContent).join('');
+    }
+
+    const value = cell.getElementsByTagName('v')[0]?.textContent || '';
+    if (type === 's') {
+      return sharedStrings[parseInt(value, 10)] || '';
+    }
+    if (type === 'b') {
+      return value === '1' ? 'TRUE' : 'FALSE';
+    }
+
+    return value;
+  }
+
+  /**
+   * Read a plain text or Markdown file
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {Function} onProgress - Optional callback with (pagesDone, pagesTotal)
+   * @returns {Promise<{text: string, pages: Array}>}
+   */
+  async extractPlainText(buffer, onProgress) {
+    const text = pdfTextExtractor.cleanExtractedText(new TextDecoder('utf-8').decode(buffer));
+
+    if (onProgress) {
+      onProgress(1, 1);
+    }
+
+    return { text, pages: [] };
+  }
+}
+
+export const documentTextExtractor = new DocumentTextExtractor();
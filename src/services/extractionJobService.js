@@ -0,0 +1,383 @@
+import { supabase } from '../lib/supabase';
+import { pdfTextExtractor } from './pdfTextExtractor';
+import { documentTextExtractor, canExtractText } from './documentTextExtractor';
+
+/**
+ * Extraction Job Service
+ * Persistent queue for text extraction from uploaded documents.
+ * Uploads enqueue one job per file in the extraction_jobs table; a runner
+ * started for the signed-in
+ * user claims jobs under a lease, reports per-page progress, and retries
+ * failures with backoff. Jobs survive navigation and closed tabs: an
+ * expired lease makes the job claimable again by the next runner.
+ */
+
+// How long a claimed job stays ours without a progress report
+const LEASE_SECONDS = 120;
+
+// How often an idle runner checks for new or retryable jobs
+const IDLE_POLL_MS = 30000;
+
+// Minimum time between progress reports while extracting
+const PROGRESS_INTERVAL_MS = 1000;
+
+class ExtractionJobService {
+  constructor() {
+    // Identifies this tab's runner in the job's lease
+    this.workerId = typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `worker-${Date.now()}-${Math.random().toString(36).substring(2)}`;
+    this.userId = null;
+    this.isRunning = false;
+    this.wakeUp = null;
+    // Each start() runs a new loop generation; older loops exit at their next check
+    this.generation = 0;
+    this.loop = Promise.resolve();
+  }
+
+  /**
+   * Queue extraction for a set of files, resetting any earlier job for them
+   * @param {string} baseId - Base the files belong to
+   * @param {Array<{id: string}>} files - Files to extract
+   * @returns {Promise<{success: boolean, jobs?: Array, error?: string}>}
+   */
+  async enqueue(baseId, files) {
+    try {
+      if (!files || files.length === 0) {
+        return { success: true, jobs: [] };
+      }
+
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) {
+        throw new Error('You must be signed in to extract text');
+      }
+
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from('extraction_jobs')
+        .upsert(files.map(file => ({
+          file_id: file.id,
+          base_id: baseId,
+          user_id: user.id,
+          status: 'queued',
+          attempts: 0,
+          last_error: null,
+          run_after: now,
+          lease_expires_at: null,
+          leased_by: null,
+          pages_done: 0,
+          pages_total: null
+        })), { onConflict: 'file_id' })
+        .select();
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      console.log(`📥 Queued text extraction for ${files.length} file(s)`);
+      this.wake();
+
+      return { success: true, jobs: data || [] };
+
+    } catch (error) {
+      console.error('Error queueing extraction jobs:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Queue extraction for every file in a base text can be extracted from
+   * @param {string} baseId - Base ID
+   * @returns {Promise<{success: boolean, queued?: number, message?: string, error?: string}>}
+   */
+  async enqueueBase(baseId) {
+    try {
+      const { data, error } = await supabase
+        .from('base_files')
+        .select('id, file_name, file_type')
+        .eq('base_id', baseId);
+
+      if (error) {
+        throw new Error(`Error fetching files: ${error.message}`);
+      }
+
+      const files = (data || []).filter(canExtractText);
+      if (files.length === 0) {
+        return { success: true, queued: 0, message: 'No documents to extract text from in this base' };
+      }
+
+      const result = await this.enqueue(baseId, files);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        success: true,
+        queued: files.length,
+        message: `Queued ${files.length} files for text extraction`
+      };
+
+    } catch (error) {
+      console.error('Error queueing base files:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to queue files in base'
+      };
+    }
+  }
+
+  /**
+   * Start processing the user's jobs in the background. Safe to call
+   * repeatedly. Starting after a stop, or for another user, replaces the
+   * loop: the new one begins only once the old one has finished its
+   * current job and exited, so two loops never claim jobs at once.
+   * @param {string} userId - Signed-in user ID
+   */
+  start(userId) {
+    if (this.isRunning && this.userId === userId) {
+      this.wake();
+      return;
+    }
+
+    const generation = ++this.generation;
+    this.userId = userId;
+    this.isRunning = true;
+    this.wake();
+    console.log('⚙️ Extraction job runner started');
+    this.loop = this.loop.then(() => this.runLoop(generation));
+  }
+
+  /**
+   * Stop the runner after the current job (e.g. on sign out)
+   */
+  stop() {
+    this.generation++;
+    this.isRunning = false;
+    this.userId = null;
+    this.wake();
+  }
+
+  /**
+   * Check for jobs now instead of waiting for the next poll
+   */
+  wake() {
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+
+  /**
+   * Claim and run jobs until none are runnable, then wait for a wake-up or
+   * the next poll, until the runner is stopped or restarted
+   * @param {number} generation - The start() this loop belongs to
+   */
+  async runLoop(generation) {
+    const isCurrent = () => generation === this.generation;
+
+    while (isCurrent()) {
+      let job = null;
+
+      try {
+        job = await this.claimNextJob();
+        if (job) {
+          await this.runJob(job);
+        }
+      } catch (error) {
+        console.error('Extraction job runner error:', error);
+      }
+
+      if (!job && isCurrent()) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, IDLE_POLL_MS);
+          this.wakeUp = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        this.wakeUp = null;
+      }
+    }
+
+    console.log('Extraction job runner stopped');
+  }
+
+  /**
+   * Claim the next runnable job (queued and due, or with an expired lease)
+   * @returns {Promise<Object|null>} - The claimed job row
+   */
+  async claimNextJob() {
+    if (!this.userId) return null;
+
+    const { data, error } = await supabase.rpc('claim_extraction_job', {
+      p_worker_id: this.workerId,
+      p_lease_seconds: LEASE_SECONDS
+    });
+
+    if (error) {
+      throw new Error(`Could not claim extraction job: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Extract one claimed job's file and record the outcome
+   * @param {Object} job - Claimed extraction_jobs row
+   */
+  async runJob(job) {
+    const { data: file, error: fileError } = await supabase
+      .from('base_files')
+      .select('id, file_name, file_path, file_type')
+      .eq('id', job.file_id)
+      .maybeSingle();
+
+    if (fileError || !file) {
+      // Deleting the file deletes its job, so this is a transient lookup failure
+      await this.failJob(job, `File lookup failed: ${fileError?.message || 'file not found'}`);
+      return;
+    }
+
+    console.log(`⚙️ Extracting ${file.file_name} (attempt ${job.attempts}/${job.max_attempts})`);
+
+    let lastReport = 0;
+    const onProgress = (pagesDone, pagesTotal) => {
+      const now = Date.now();
+      if (pagesDone < pagesTotal && now - lastReport < PROGRESS_INTERVAL_MS) return;
+
+      lastReport = now;
+      this.reportProgress(job, pagesDone, pagesTotal);
+    };
+
+    const result = await documentTextExtractor.extractAndStoreText(file.id, file.file_path, file.file_name, {
+      onProgress,
+      recordFailure: false,
+      fileType: file.file_type
+    });
+
+    if (!result.success) {
+      const status = await this.failJob(job, result.error);
+      if (status === 'failed') {
+        await pdfTextExtractor.storeExtractionError(file.id, result.error);
+      }
+      return;
+    }
+
+    const { error } = await supabase
+      .from('extraction_jobs')
+      .update({
+        status: 'completed',
+        last_error: null,
+        lease_expires_at: null,
+        leased_by: null
+      })
+      .eq('id', job.id)
+      .eq('leased_by', this.workerId);
+
+    if (error) {
+      console.error('Error completing extraction job:', error);
+    } else {
+      console.log(`✅ Extraction job completed: ${file.file_name}`);
+    }
+  }
+
+  /**
+   * Publish page progress and extend the lease
+   * @param {Object} job - Running job
+   * @param {number} pagesDone - Pages processed so far
+   * @param {number} pagesTotal - Pages in the document
+   */
+  async reportProgress(job, pagesDone, pagesTotal) {
+    const { data, error } = await supabase.rpc('report_extraction_progress', {
+      p_job_id: job.id,
+      p_worker_id: this.workerId,
+      p_pages_done: pagesDone,
+      p_pages_total: pagesTotal,
+      p_lease_seconds: LEASE_SECONDS
+    });
+
+    if (error) {
+      console.warn('Could not report extraction progress:', error.message);
+    } else if (data === false) {
+      console.warn(`Lost the lease on extraction job ${job.id}; another runner took it over`);
+    }
+  }
+
+  /**
+   * Release a failed attempt; the database re-queues it with backoff or
+   * fails it once attempts run out
+   * @param {Object} job - Running job
+   * @param {string} errorMessage - Why the attempt failed
+   * @returns {Promise<string|null>} - The job's new status ('queued' or 'failed')
+   */
+  async failJob(job, errorMessage) {
+    const { data, error } = await supabase.rpc('fail_extraction_job', {
+      p_job_id: job.id,
+      p_worker_id: this.workerId,
+      p_error: errorMessage
+    });
+
+    if (error) {
+      console.error('Error recording extraction failure:', error);
+      return null;
+    }
+
+    console.warn(data === 'failed'
+      ? `❌ Extraction job failed after ${job.attempts} attempts: ${errorMessage}`
+      : `🔁 Extraction attempt ${job.attempts} failed, retrying later: ${errorMessage}`);
+
+    return data;
+  }
+
+  /**
+   * Get the extraction jobs of a base
+   * @param {string} baseId - Base ID
+   * @returns {Promise<{success: boolean, jobs?: Array, error?: string}>}
+   */
+  async getJobsForBase(baseId) {
+    try {
+      const { data, error } = await supabase
+        .from('extraction_jobs')
+        .select('*')
+        .eq('base_id', baseId);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, jobs: data || [] };
+
+    } catch (error) {
+      console.error('Error loading extraction jobs:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Follow job inserts and updates in a base through Supabase realtime
+   * @param {string} baseId - Base ID
+   * @param {Function} onChange - Called with the new job row
+   * @returns {Function} - Unsubscribe
+   */
+  subscribeToBase(baseId, onChange) {
+    const channel = supabase
+      .channel(`extraction-jobs-${baseId}`)
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'extraction_jobs', filter: `base_id=eq.${baseId}` },
+        (payload) => {
+          // Deletes carry no base_id to filter on; they follow file deletion anyway
+          if (payload.eventType !== 'DELETE') {
+            onChange(payload.new);
+          }
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }
+}
+
+export const extractionJobService = new ExtractionJobService();
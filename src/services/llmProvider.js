@@ -0,0 +1,484 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * LLM Provider
+ * Single entry point for every model call made by the app (chat, quiz
+ * generation and answer grading). Each wire format lives in an adapter,
+ * so switching models or pointing the app at a local stand-in server is
+ * a configuration change rather than a change to every service.
+ */
+
+/**
+ * Format chat messages using the Llama 3 prompt template
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {string} - Prompt string ending with an open assistant turn
+ */
+export const formatLlama3Prompt = (messages) => {
+  const turns = messages
+    .map(message => `<|start_header_id|>${message.role}<|end_header_id|>\n\n${message.content}<|eot_id|>`)
+    .join('');
+
+  return `<|begin_of_text|>${turns}<|start_header_id|>assistant<|end_header_id|>\n\n`;
+};
+
+/**
+ * Hugging Face text-generation adapter, for pointing the app at a
+ * text-generation-inference server directly
+ */
+const huggingFaceAdapter = {
+  streamFormat: 'sse',
+
+  buildRequest(messages, options, config) {
+    const parameters = { return_full_text: false };
+    if (options.maxTokens) parameters.max_new_tokens = options.maxTokens;
+    if (options.temperature !== undefined) parameters.temperature = options.temperature;
+
+    const body = {
+      inputs: formatLlama3Prompt(messages),
+      parameters
+    };
+    if (options.stream) body.stream = true;
+
+    return {
+      url: config.baseUrl,
+      body
+    };
+  },
+
+  parseResponse(data) {
+    // The Inference API usually returns [{ generated_text: "..." }]
+    if (Array.isArray(data) && data.length > 0) {
+      return data[0].generated_text;
+    }
+    if (data.generated_text) {
+      return data.generated_text;
+    }
+    // Fallback if structure is unexpected
+    return JSON.stringify(data);
+  },
+
+  parseStreamEvent(event) {
+    // { token: { text, special }, generated_text } - skip <|eot_id|> and friends
+    if (!event.token || event.token.special) return '';
+    return event.token.text || '';
+  }
+};
+
+/**
+ * The app's own `/api/llm` route. The server picks the model for the
+ * profile's task, applies that model's prompt template and replies in
+ * chat completions format.
+ */
+const studyBaseAdapter = {
+  streamFormat: 'sse',
+
+  buildRequest(messages, options, config) {
+    const body = {
+      task: config.task,
+      messages,
+      stream: !!options.stream
+    };
+    if (options.maxTokens) body.max_tokens = options.maxTokens;
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+
+    return {
+      url: config.baseUrl,
+      body
+    };
+  },
+
+  parseResponse(data) {
+    return data.choices?.[0]?.message?.content || '';
+  },
+
+  parseStreamEvent(event) {
+    return event.choices?.[0]?.delta?.content || '';
+  },
+
+  buildEmbeddingRequest(texts, config) {
+    return {
+      url: config.baseUrl,
+      body: { task: config.task, input: texts }
+    };
+  },
+
+  parseEmbeddingResponse(data) {
+    return (data.data || []).map(item => item.embedding);
+  }
+};
+
+/**
+ * OpenAI-compatible chat completions adapter
+ * (Hugging Face router, llama.cpp server, vLLM, OpenAI, ...)
+ */
+const openAIAdapter = {
+  streamFormat: 'sse',
+
+  buildRequest(messages, options, config) {
+    const body = {
+      model: config.model,
+      messages,
+      stream: !!options.stream
+    };
+    if (options.maxTokens) body.max_tokens = options.maxTokens;
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+
+    return {
+      url: `${config.baseUrl.replace(/\/$/, '')}/chat/completions`,
+      body
+    };
+  },
+
+  parseResponse(data) {
+    return data.choices?.[0]?.message?.content || '';
+  },
+
+  parseStreamEvent(event) {
+    return event.choices?.[0]?.delta?.content || '';
+  },
+
+  buildEmbeddingRequest(texts, config) {
+    return {
+      url: `${config.baseUrl.replace(/\/$/, '')}/embeddings`,
+      body: { model: config.model, input: texts }
+    };
+  },
+
+  parseEmbeddingResponse(data) {
+    return (data.data || []).map(item => item.embedding);
+  }
+};
+
+/**
+ * Ollama chat adapter for models served from a local machine
+ */
+const ollamaAdapter = {
+  streamFormat: 'ndjson',
+
+  buildRequest(messages, options, config) {
+    const modelOptions = {};
+    if (options.maxTokens) modelOptions.num_predict = options.maxTokens;
+    if (options.temperature !== undefined) modelOptions.temperature = options.temperature;
+
+    return {
+      url: `${config.baseUrl.replace(/\/$/, '')}/api/chat`,
+      body: {
+        model: config.model,
+        messages,
+        stream: !!options.stream,
+        options: modelOptions
+      }
+    };
+  },
+
+  parseResponse(data) {
+    return data.message?.content || '';
+  },
+
+  parseStreamEvent(event) {
+    return event.message?.content || '';
+  },
+
+  buildEmbeddingRequest(texts, config) {
+    return {
+      url: `${config.baseUrl.replace(/\/$/, '')}/api/embed`,
+      body: { model: config.model, input: texts }
+    };
+  },
+
+  parseEmbeddingResponse(data) {
+    return data.embeddings || [];
+  }
+};
+
+// One profile per task routed by the server (see api/_lib/modelRegistry.js)
+const TASK_PROFILES = {
+  default: 'chat',
+  quiz_generation: 'quiz_generation',
+  grading: 'grading',
+  summarization: 'summarization',
+  embeddings: 'embeddings'
+};
+
+/**
+ * Build the provider profiles. `default` serves chat; `quiz_generation`,
+ * `grading` and `summarization` serve the other tasks, each sent to
+ * `/api/llm` where the server chooses the models. Setting
+ * REACT_APP_LLM_PROVIDER points every profile at the same backend, e.g. a
+ * local Ollama server:
+ *   REACT_APP_LLM_PROVIDER=ollama
+ *   REACT_APP_LLM_BASE_URL=http://localhost:11434
+ *   REACT_APP_LLM_MODEL=llama3
+ *   REACT_APP_LLM_EMBEDDING_MODEL=nomic-embed-text
+ * The `embeddings` profile is only built when REACT_APP_ENABLE_EMBEDDINGS
+ * is set; without it retrieval ranks passages with BM25.
+ * @returns {Object} - Profiles keyed by name
+ */
+const buildProfiles = () => {
+  const override = process.env.REACT_APP_LLM_PROVIDER;
+  const profiles = {};
+
+  Object.entries(TASK_PROFILES).forEach(([name, task]) => {
+    if (task === 'embeddings' && !process.env.REACT_APP_ENABLE_EMBEDDINGS) return;
+
+    profiles[name] = override
+      ? {
+        adapter: override,
+        baseUrl: process.env.REACT_APP_LLM_BASE_URL || '/api/llm',
+        model: task === 'embeddings' ? process.env.REACT_APP_LLM_EMBEDDING_MODEL : process.env.REACT_APP_LLM_MODEL,
+        apiKey: process.env.REACT_APP_LLM_API_KEY,
+        task
+      }
+      : {
+        adapter: 'studybase',
+        baseUrl: '/api/llm',
+        task
+      };
+  });
+
+  return profiles;
+};
+
+class LLMProvider {
+  constructor() {
+    this.adapters = {
+      studybase: studyBaseAdapter,
+      huggingface: huggingFaceAdapter,
+      openai: openAIAdapter,
+      ollama: ollamaAdapter
+    };
+    this.profiles = buildProfiles();
+  }
+
+  /**
+   * Register an additional adapter
+   * @param {string} name - Adapter name referenced by profiles
+   * @param {{buildRequest: Function, parseResponse: Function, parseStreamEvent?: Function, streamFormat?: string}} adapter - Adapter implementation
+   */
+  registerAdapter(name, adapter) {
+    this.adapters[name] = adapter;
+  }
+
+  /**
+   * Override (or add) a provider profile
+   * @param {string} name - Profile name
+   * @param {Object} config - Profile configuration ({ adapter, baseUrl, model, apiKey })
+   */
+  setProfile(name, config) {
+    this.profiles[name] = config;
+  }
+
+  /**
+   * Check whether a profile has been configured
+   * @param {string} name - Profile name
+   * @returns {boolean}
+   */
+  hasProfile(name) {
+    return !!this.profiles[name];
+  }
+
+  /**
+   * Resolve a profile and its adapter
+   * @param {string} profileName - Profile name
+   * @returns {{config: Object, adapter: Object}}
+   */
+  resolve(profileName = 'default') {
+    const config = this.profiles[profileName] || this.profiles.default;
+    const adapter = this.adapters[config.adapter];
+
+    if (!adapter) {
+      throw new Error(`Unknown LLM adapter: ${config.adapter}`);
+    }
+
+    return { config, adapter };
+  }
+
+  /**
+   * Send a request through the resolved adapter
+   * @param {Array} messages - Chat messages (or texts when options.embeddings is set)
+   * @param {Object} options - Generation options
+   * @returns {Promise<{response: Response, adapter: Object}>}
+   */
+  async send(messages, options) {
+    const { config, adapter } = this.resolve(options.profile);
+    const request = options.embeddings
+      ? adapter.buildEmbeddingRequest(messages, config)
+      : adapter.buildRequest(messages, options, config);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    } else if (config.baseUrl.startsWith('/')) {
+      // The app's own /api routes only serve signed-in users
+      const { data } = await supabase.auth.getSession();
+      if (data.session) {
+        headers.Authorization = `Bearer ${data.session.access_token}`;
+      }
+    }
+
+    console.log(`Calling LLM (${config.adapter}): ${request.url}`);
+
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(request.body),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const errorMessage = errorData.error?.message || errorData.error || response.statusText;
+      throw new Error(`API request failed: ${response.status} - ${errorMessage}`);
+    }
+
+    return { response, adapter };
+  }
+
+  /**
+   * Generate a completion for a list of chat messages
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} options - Generation options
+   * @param {string} options.profile - Profile name ('default', 'quiz_generation', 'grading' or 'summarization')
+   * @param {number} options.maxTokens - Maximum number of tokens to generate
+   * @param {number} options.temperature - Sampling temperature
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @returns {Promise<{success: boolean, response?: string, error?: string}>}
+   */
+  async generate(messages, options = {}) {
+    try {
+      const { response, adapter } = await this.send(messages, options);
+      const data = await response.json();
+
+      if (data.error) {
+        throw new Error(`API error: ${data.error.message || data.error}`);
+      }
+
+      return {
+        success: true,
+        response: adapter.parseResponse(data)
+      };
+    } catch (error) {
+      console.error('Error calling LLM:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Ask the server which models are answering for each task
+   * @returns {Promise<{success: boolean, status?: Object, error?: string}>}
+   */
+  async getStatus() {
+    try {
+      const headers = {};
+      const { data } = await supabase.auth.getSession();
+      if (data.session) {
+        headers.Authorization = `Bearer ${data.session.access_token}`;
+      }
+
+      const response = await fetch('/api/status', { headers });
+      const status = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(status.error || response.statusText);
+      }
+
+      return {
+        success: true,
+        status
+      };
+    } catch (error) {
+      console.error('Error checking LLM status:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Embed a batch of texts using the `embeddings` profile (the `embeddings`
+   * task of /api/llm unless the local override is set)
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<{success: boolean, embeddings?: Array<Array<number>>, error?: string}>}
+   */
+  async embed(texts) {
+    try {
+      if (!this.hasProfile('embeddings')) {
+        throw new Error('No embeddings backend configured');
+      }
+
+      const { adapter } = this.resolve('embeddings');
+      if (!adapter.buildEmbeddingRequest) {
+        throw new Error(`The ${this.profiles.embeddings.adapter} adapter does not support embeddings`);
+      }
+
+      const { response } = await this.send(texts, { profile: 'embeddings', embeddings: true });
+      const data = await response.json();
+
+      return {
+        success: true,
+        embeddings: adapter.parseEmbeddingResponse(data)
+      };
+    } catch (error) {
+      console.error('Error creating embeddings:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Stream a completion token by token
+   * Errors (including AbortError when options.signal fires) are thrown to the caller.
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} options - Same options as generate()
+   * @yields {string} - Generated text fragments in order
+   */
+  async *stream(messages, options = {}) {
+    const { response, adapter } = await this.send(messages, { ...options, stream: true });
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const parseLine = (line) => {
+      let payload = line.trim();
+
+      if (adapter.streamFormat === 'sse') {
+        if (!payload.startsWith('data:')) return null;
+        payload = payload.substring(5).trim();
+        if (payload === '[DONE]') return null;
+      }
+      if (!payload) return null;
+
+      const event = JSON.parse(payload);
+      if (event.error) {
+        throw new Error(`API error: ${event.error.message || event.error}`);
+      }
+      return adapter.parseStreamEvent(event);
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const token = parseLine(line);
+        if (token) yield token;
+      }
+    }
+
+    const token = parseLine(buffer);
+    if (token) yield token;
+  }
+}
+
+export const llmProvider = new LLMProvider();
@@ -0,0 +1,434 @@
+import { tokenize } from './retrievalService';
+import { stem } from '../lib/porterStemmer';
+
+/**
+ * Local Grading Service
+ * Grades written answers with no network, for when the grading model is
+ * unavailable. Answers and model answers are reduced to comparable terms
+ * (stopwords removed, words lemmatised and stemmed, synonyms folded
+ * together), then scored on:
+ *   - TF-IDF cosine similarity to the model answer
+ *   - TF-IDF cosine similarity to the closest part of the source passage
+ *   - coverage of the model answer's key terms, weighted by IDF
+ * The blend is scaled down for keyword lists and repetition and calibrated
+ * onto the 0-100 scale the grading model uses, so the SAQ and LAQ
+ * thresholds mean the same on both paths.
+ */
+
+// Words that carry no meaning for grading, on top of the retrieval stopwords
+const GRADING_STOPWORDS = new Set([
+  'also', 'because', 'been', 'being', 'both', 'could', 'each', 'either', 'etc',
+  'even', 'further', 'hence', 'here', 'however', 'just', 'may', 'might', 'more',
+  'most', 'much', 'must', 'only', 'other', 'own', 'same', 'should', 'some',
+  'still', 'therefore', 'though', 'although', 'thus', 'too', 'upon', 'very',
+  'via', 'whereas', 'whether', 'while', 'whose', 'within', 'all', 'any', 'basically',
+  'generally', 'usually', 'really', 'simply'
+]);
+
+// Irregular forms the stemmer cannot reduce
+const LEMMAS = {
+  children: 'child',
+  men: 'man',
+  women: 'woman',
+  people: 'person',
+  mice: 'mouse',
+  feet: 'foot',
+  teeth: 'tooth',
+  geese: 'goose',
+  analyses: 'analysis',
+  hypotheses: 'hypothesis',
+  theses: 'thesis',
+  indices: 'index',
+  matrices: 'matrix',
+  vertices: 'vertex',
+  phenomena: 'phenomenon',
+  criteria: 'criterion',
+  nuclei: 'nucleus',
+  radii: 'radius',
+  stimuli: 'stimulus',
+  fungi: 'fungus',
+  bacteria: 'bacterium',
+  went: 'go',
+  gone: 'go',
+  ran: 'run',
+  began: 'begin',
+  begun: 'begin',
+  took: 'take',
+  taken: 'take',
+  gave: 'give',
+  given: 'give',
+  made: 'make',
+  found: 'find',
+  brought: 'bring',
+  caught: 'catch',
+  grew: 'grow',
+  grown: 'grow',
+  rose: 'rise',
+  risen: 'rise',
+  fell: 'fall',
+  fallen: 'fall',
+  better: 'good',
+  best: 'good',
+  worse: 'bad',
+  worst: 'bad'
+};
+
+// Words that say the same thing in an answer; each group folds onto its first word
+const SYNONYM_GROUPS = [
+  ['increase', 'rise', 'grow', 'raise', 'boost', 'elevate', 'enlarge'],
+  ['decrease', 'reduce', 'lower', 'fall', 'drop', 'decline', 'diminish', 'lessen', 'shrink'],
+  ['cause', 'trigger', 'induce'],
+  ['large', 'big', 'huge', 'great'],
+  ['small', 'little', 'tiny'],
+  ['fast', 'quick', 'rapid', 'swift'],
+  ['slow', 'gradual'],
+  ['begin', 'start', 'initiate', 'commence'],
+  ['stop', 'end', 'finish', 'terminate', 'cease', 'halt'],
+  ['use', 'utilise', 'utilize', 'employ'],
+  ['show', 'demonstrate', 'indicate', 'reveal'],
+  ['need', 'require'],
+  ['help', 'aid', 'assist'],
+  ['change', 'alter', 'modify'],
+  ['make', 'create', 'generate', 'construct'],
+  ['get', 'obtain', 'acquire', 'gain'],
+  ['important', 'significant', 'crucial', 'essential', 'vital'],
+  ['correct', 'right', 'accurate'],
+  ['method', 'technique', 'approach', 'procedure'],
+  ['part', 'component', 'portion'],
+  ['similar', 'alike', 'comparable'],
+  ['different', 'distinct'],
+  ['many', 'numerous'],
+  ['allow', 'permit', 'enable'],
+  ['connect', 'link', 'join', 'attach', 'bind'],
+  ['separate', 'divide', 'split'],
+  ['move', 'transport', 'transfer', 'carry'],
+  ['protect', 'defend', 'shield'],
+  ['store', 'retain'],
+  ['consume', 'eat', 'ingest'],
+  ['destroy', 'kill'],
+  ['include', 'contain']
+];
+
+// Stem of each synonym, mapped to the stem of its group's first word
+const SYNONYMS = new Map(
+  SYNONYM_GROUPS.flatMap(([canonical, ...others]) => (
+    others.map(word => [stem(word), stem(canonical)])
+  ))
+);
+
+// How the parts of the score are blended, with and without a source passage
+const WEIGHTS = { coverage: 0.55, model: 0.25, source: 0.2 };
+const WEIGHTS_WITHOUT_SOURCE = { coverage: 0.65, model: 0.35, source: 0 };
+
+// Raw blended score -> similarity score. Anchors were set so a restated model
+// answer lands above the SAQ threshold, an answer making about half the points
+// near the middle and an unrelated answer near zero, as the grading model scores them.
+const CALIBRATION = [
+  [0, 0],
+  [0.1, 5],
+  [0.25, 30],
+  [0.4, 55],
+  [0.55, 75],
+  [0.7, 90],
+  [0.85, 97],
+  [1, 100]
+];
+
+// Below this share of function words an answer of MIN_PROSE_WORDS or more
+// reads as a list of keywords rather than sentences
+const MIN_FUNCTION_WORD_SHARE = 0.2;
+const MIN_PROSE_WORDS = 6;
+// Below this share of distinct terms an answer is repeating itself
+const MIN_DISTINCT_SHARE = 0.6;
+
+// Sentences per window when matching against the source passage
+const SOURCE_WINDOW = 3;
+// Sentences per window when looking for a rubric point in an answer: the
+// point's terms have to come up together, not scattered across the answer
+const POINT_WINDOW = 2;
+
+/**
+ * Lemmatise a word: irregular forms from LEMMAS, and adverbs back to their
+ * adjectives ("rapidly" -> "rapid", "easily" -> "easy"), which the stemmer
+ * leaves apart
+ * @param {string} word - Lowercase word
+ * @returns {string} - Lemma
+ */
+const lemmatize = (word) => {
+  if (LEMMAS[word]) return LEMMAS[word];
+
+  const adverb = /^([a-z]{4,})ly$/.exec(word);
+  if (adverb && !word.endsWith('ply')) {
+    return adverb[1].endsWith('i') ? `${adverb[1].slice(0, -1)}y` : adverb[1];
+  }
+  return word;
+};
+
+/**
+ * Reduce text to grading terms: stopwords dropped, words lemmatised and
+ * stemmed, synonyms folded together
+ * @param {string} text - Text to analyse
+ * @returns {Array<{term: string, word: string}>} - Terms in order, each with
+ *   the word it came from
+ */
+export const analyzeText = (text) => (
+  tokenize(text)
+    .filter(word => !GRADING_STOPWORDS.has(word))
+    .map(word => {
+      const stemmed = stem(lemmatize(word));
+      return { term: SYNONYMS.get(stemmed) || stemmed, word };
+    })
+);
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Non-empty sentences
+ */
+const splitSentences = (text) => (
+  (text || '').split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean)
+);
+
+/**
+ * Cosine similarity of two sparse vectors
+ * @param {Map<string, number>} a - Term weights
+ * @param {Map<string, number>} b - Term weights
+ * @returns {number} - Similarity from 0 to 1
+ */
+const cosine = (a, b) => {
+  let dot = 0;
+  a.forEach((weight, term) => {
+    dot += weight * (b.get(term) || 0);
+  });
+
+  const norm = (vector) => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator > 0 ? dot / denominator : 0;
+};
+
+/**
+ * Map a raw score onto the calibrated scale by interpolating between anchors
+ * @param {number} raw - Blended score from 0 to 1
+ * @returns {number} - Similarity score from 0 to 100
+ */
+export const calibrateScore = (raw) => {
+  const value = Math.min(1, Math.max(0, raw));
+  for (let index = 1; index < CALIBRATION.length; index++) {
+    const [x1, y1] = CALIBRATION[index];
+    if (value <= x1) {
+      const [x0, y0] = CALIBRATION[index - 1];
+      return Math.round(y0 + (y1 - y0) * (value - x0) / (x1 - x0));
+    }
+  }
+  return 100;
+};
+
+class LocalGradingService {
+  /**
+   * Score a written answer against its model answer and source passage
+   * @param {string} userAnswer - User's answer
+   * @param {string} modelAnswer - Model answer
+   * @param {Object} options - Grading context
+   * @param {string} options.sourcePassage - Passage the question was generated from
+   * @param {string} options.question - Question text; its terms earn no coverage
+   * @returns {{similarityScore: number, coverage: number, modelSimilarity: number, sourceSimilarity: number|null,
+   *   usedTerms: Array<string>, missingTerms: Array<string>}} - Calibrated score, its parts and the key
+   *   words of the model answer the answer used and left out
+   */
+  scoreAnswer(userAnswer, modelAnswer, { sourcePassage = null, question = '' } = {}) {
+    // Restating the question earns nothing, unless the model answer is all question terms
+    const questionTerms = new Set(analyzeText(question).map(entry => entry.term));
+    const modelTerms = this.withoutTerms(analyzeText(modelAnswer), questionTerms);
+    const analyze = (text) => analyzeText(text).filter(({ term }) => !modelTerms.excluded.has(term));
+    const answerTerms = analyze(userAnswer);
+    const sourceWindows = this.createSourceWindows(sourcePassage);
+
+    // Sentences of the model answer and source passage are the documents IDF is counted over
+    const documents = [...splitSentences(modelAnswer), ...splitSentences(sourcePassage)]
+      .map(sentence => new Set(analyze(sentence).map(entry => entry.term)));
+    const idf = (term) => {
+      const frequency = documents.filter(document => document.has(term)).length;
+      return Math.log((documents.length + 1) / (frequency + 1)) + 1;
+    };
+
+    const answerVector = this.createVector(answerTerms, idf);
+    const modelSimilarity = cosine(answerVector, this.createVector(modelTerms.terms, idf));
+    const sourceSimilarity = sourceWindows.length > 0
+      ? Math.max(...sourceWindows.map(window => cosine(answerVector, this.createVector(analyze(window), idf))))
+      : null;
+
+    // Key terms are the distinct terms of the model answer
+    const keyWords = new Map();
+    modelTerms.terms.forEach(({ term, word }) => {
+      if (!keyWords.has(term)) keyWords.set(term, word);
+    });
+    const keyTerms = [...keyWords.keys()];
+
+    const answerSet = new Set(answerTerms.map(entry => entry.term));
+    const keyWeight = keyTerms.reduce((sum, term) => sum + idf(term), 0);
+    const usedWeight = keyTerms.filter(term => answerSet.has(term)).reduce((sum, term) => sum + idf(term), 0);
+    const coverage = keyWeight > 0 ? usedWeight / keyWeight : 0;
+
+    const weights = sourceSimilarity === null ? WEIGHTS_WITHOUT_SOURCE : WEIGHTS;
+    const raw = weights.coverage * coverage
+      + weights.model * modelSimilarity
+      + weights.source * (sourceSimilarity || 0);
+
+    const similarityScore = calibrateScore(raw * this.structureFactor(userAnswer, analyzeText(userAnswer)));
+
+    return {
+      similarityScore,
+      coverage,
+      modelSimilarity,
+      sourceSimilarity,
+      usedTerms: keyTerms.filter(term => answerSet.has(term)).map(term => keyWords.get(term)),
+      missingTerms: keyTerms.filter(term => !answerSet.has(term)).map(term => keyWords.get(term))
+    };
+  }
+
+  /**
+   * Grade an answer all-or-nothing against a similarity threshold
+   * @param {string} userAnswer - User's answer
+   * @param {string} modelAnswer - Model answer
+   * @param {number} threshold - Similarity threshold percentage
+   * @param {Object} options - Grading context for scoreAnswer()
+   * @returns {{isCorrect: boolean, similarityScore: number, feedback: Object, gradedBy: string}}
+   */
+  gradeAnswer(userAnswer, modelAnswer, threshold, options = {}) {
+    const { similarityScore, usedTerms, missingTerms } = this.scoreAnswer(userAnswer, modelAnswer, options);
+
+    console.log(`🧮 Local similarity: ${similarityScore}% (threshold: ${threshold}%)`);
+
+    return {
+      isCorrect: similarityScore >= threshold,
+      similarityScore,
+      feedback: {
+        summary: 'Graded offline by comparing your answer with the model answer.',
+        correct: usedTerms.length > 0
+          ? `You used these key terms: ${usedTerms.join(', ')}.`
+          : 'Your answer did not use the key terms of the model answer.',
+        missing: missingTerms.length > 0
+          ? `Key terms you did not use: ${missingTerms.join(', ')}.`
+          : 'Nothing, every key term was used.',
+        suggestion: missingTerms.length > 0
+          ? 'Compare your answer with the model answer and explain the ideas behind the missing terms.'
+          : 'Keep answering at this level of detail.'
+      },
+      gradedBy: 'local'
+    };
+  }
+
+  /**
+   * Share of a rubric point's terms an answer uses within one window of
+   * sentences, scaled down for keyword lists and repetition. A point is
+   * all or nothing, so the penalty is the square of proseShare() rather
+   * than scoreAnswer()'s gentler structureFactor(): listing the rubric's
+   * terms must not clear the threshold
+   * @param {string} userAnswer - User's answer
+   * @param {string} point - Rubric point
+   * @returns {number} - Coverage from 0 to 1 (0 for a point with no terms)
+   */
+  pointCoverage(userAnswer, point) {
+    const pointTerms = [...new Set(analyzeText(point).map(entry => entry.term))];
+    if (pointTerms.length === 0) return 0;
+
+    const coverage = Math.max(0, ...this.createWindows(userAnswer, POINT_WINDOW).map(window => {
+      const windowSet = new Set(analyzeText(window).map(entry => entry.term));
+      return pointTerms.filter(term => windowSet.has(term)).length / pointTerms.length;
+    }));
+
+    const prose = this.proseShare(userAnswer, analyzeText(userAnswer));
+    return coverage * prose * prose;
+  }
+
+  /**
+   * Drop the given terms from a term list, keeping the list whole when
+   * nothing would be left
+   * @param {Array<{term: string}>} terms - Terms from analyzeText()
+   * @param {Set<string>} excluded - Terms to drop
+   * @returns {{terms: Array<Object>, excluded: Set<string>}} - Remaining terms and the
+   *   terms actually dropped
+   */
+  withoutTerms(terms, excluded) {
+    const remaining = terms.filter(({ term }) => !excluded.has(term));
+    return remaining.length > 0
+      ? { terms: remaining, excluded }
+      : { terms, excluded: new Set() };
+  }
+
+  /**
+   * TF-IDF vector of a term list, with log-scaled term frequencies so
+   * repeating a word adds little
+   * @param {Array<{term: string}>} terms - Terms from analyzeText()
+   * @param {function(string): number} idf - IDF of a term
+   * @returns {Map<string, number>} - Weight per term
+   */
+  createVector(terms, idf) {
+    const counts = new Map();
+    terms.forEach(({ term }) => counts.set(term, (counts.get(term) || 0) + 1));
+
+    const vector = new Map();
+    counts.forEach((count, term) => vector.set(term, (1 + Math.log(count)) * idf(term)));
+    return vector;
+  }
+
+  /**
+   * Split a source passage into overlapping windows of sentences, so an
+   * answer is compared with the part of the passage it draws on
+   * @param {string} sourcePassage - Source passage
+   * @returns {Array<string>} - Windows; none without a passage
+   */
+  createSourceWindows(sourcePassage) {
+    return this.createWindows(sourcePassage, SOURCE_WINDOW);
+  }
+
+  /**
+   * Split text into overlapping windows of consecutive sentences
+   * @param {string} text - Text to split
+   * @param {number} size - Sentences per window
+   * @returns {Array<string>} - Windows; a single one for text of `size` sentences or fewer
+   */
+  createWindows(text, size) {
+    const sentences = splitSentences(text);
+    if (sentences.length <= size) {
+      return sentences.length > 0 ? [sentences.join(' ')] : [];
+    }
+
+    return sentences
+      .slice(0, sentences.length - size + 1)
+      .map((_, index) => sentences.slice(index, index + size).join(' '));
+  }
+
+  /**
+   * Scale for answers that are keyword lists or repeat themselves: 1 for
+   * ordinary prose, down to 0.5
+   * @param {string} userAnswer - User's answer
+   * @param {Array<{term: string}>} answerTerms - Its terms from analyzeText()
+   * @returns {number} - Factor from 0.5 to 1
+   */
+  structureFactor(userAnswer, answerTerms) {
+    return 0.5 + 0.5 * this.proseShare(userAnswer, answerTerms);
+  }
+
+  /**
+   * How far an answer is from a keyword list or repetition: 1 for ordinary
+   * prose, towards 0 the fewer function words and distinct terms it has
+   * @param {string} userAnswer - User's answer
+   * @param {Array<{term: string}>} answerTerms - Its terms from analyzeText()
+   * @returns {number} - Share from 0 to 1
+   */
+  proseShare(userAnswer, answerTerms) {
+    if (answerTerms.length === 0) return 1;
+
+    const words = (userAnswer || '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    const functionShare = 1 - answerTerms.length / Math.max(words.length, 1);
+    const prose = words.length < MIN_PROSE_WORDS ? 1 : Math.min(1, functionShare / MIN_FUNCTION_WORD_SHARE);
+
+    const distinctShare = new Set(answerTerms.map(entry => entry.term)).size / answerTerms.length;
+    const variety = Math.min(1, distinctShare / MIN_DISTINCT_SHARE);
+
+    return Math.min(prose, variety);
+  }
+}
+
+export const localGradingService = new LocalGradingService();
@@ -0,0 +1,92 @@
+import { createWorker } from 'tesseract.js';
+import tesseractPackage from 'tesseract.js/package.json';
+import tesseractCorePackage from 'tesseract.js-core/package.json';
+import englishDataPackage from '@tesseract.js-data/eng/package.json';
+
+/**
+ * OCR Service
+ * Recognises text in scanned PDF pages and uploaded images with Tesseract.
+ * The worker script, WASM cores and English language data are copied into
+ * public/vendor by scripts/copy-vendor-assets.js and served from our own
+ * origin, so OCR never loads anything from a CDN.
+ */
+
+const VENDOR_URL = `${process.env.PUBLIC_URL}/vendor`;
+const WORKER_URL = `${VENDOR_URL}/tesseract.js@${tesseractPackage.version}/worker.min.js`;
+// tesseract.js picks the fastest core in this directory the browser supports
+const CORE_DIR_URL = `${VENDOR_URL}/tesseract.js-core@${tesseractCorePackage.version}`;
+const LANG_DIR_URL = `${VENDOR_URL}/@tesseract.js-data/eng@${englishDataPackage.version}`;
+
+// The worker holds the model in memory; release it once OCR goes quiet
+const IDLE_TERMINATE_MS = 60000;
+
+class OCRService {
+  constructor() {
+    this.workerPromise = null;
+    this.idleTimer = null;
+  }
+
+  /**
+   * Get the shared Tesseract worker, starting it on first use
+   * @returns {Promise<Object>} - Tesseract worker
+   */
+  async getWorker() {
+    if (!this.workerPromise) {
+      console.log('🔍 Starting OCR worker...');
+      this.workerPromise = createWorker('eng', undefined, {
+        workerPath: WORKER_URL,
+        corePath: CORE_DIR_URL,
+        langPath: LANG_DIR_URL,
+        workerBlobURL: false
+      });
+
+      this.workerPromise.catch(() => {
+        this.workerPromise = null;
+      });
+    }
+
+    return this.workerPromise;
+  }
+
+  /**
+   * Recognise the text in an image
+   * @param {HTMLCanvasElement|Blob} image - Rendered page or image file
+   * @returns {Promise<{text: string, confidence: number}>} - Text and Tesseract's mean confidence (0-100)
+   */
+  async recognize(image) {
+    clearTimeout(this.idleTimer);
+
+    try {
+      const worker = await this.getWorker();
+      const { data } = await worker.recognize(image);
+
+      return {
+        text: data.text || '',
+        confidence: Math.round(data.confidence || 0)
+      };
+    } finally {
+      this.idleTimer = setTimeout(() => this.terminate(), IDLE_TERMINATE_MS);
+    }
+  }
+
+  /**
+   * Stop the worker and free its memory
+   */
+  async terminate() {
+    clearTimeout(this.idleTimer);
+    if (!this.workerPromise) return;
+
+    const workerPromise = this.workerPromise;
+    this.workerPromise = null;
+
+    try {
+      const worker = await workerPromise;
+      await worker.terminate();
+      console.log('OCR worker stopped');
+    } catch (error) {
+      // A worker that failed to start has nothing to stop
+    }
+  }
+}
+
+export const ocrService = new OCRService();
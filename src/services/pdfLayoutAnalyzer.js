@@ -0,0 +1,435 @@
+/**
+ * PDF Layout Analyzer
+ * Rebuilds document structure from the positioned text items pdf.js
+ * returns: lines in reading order (including two-column pages), paragraphs,
+ * headings (by font size), list items and simple tables, leaving out page
+ * numbers at the top or bottom of a page. The result is plain text with
+ * paragraph breaks plus an outline of headings with their offsets into that
+ * text.
+ */
+
+// Horizontal gap, in font sizes, that separates table cells rather than words
+const CELL_GAP_EM = 2;
+
+// Lines at least this much larger than body text are heading candidates
+const HEADING_SIZE_RATIO = 1.2;
+
+// Headings are short; longer large-type runs are pull quotes or title pages
+const MAX_HEADING_LENGTH = 120;
+
+// Font sizes beyond the third largest heading size all become level 3
+const MAX_HEADING_LEVEL = 3;
+
+// A vertical gap this many times the usual line spacing starts a new paragraph
+const PARAGRAPH_GAP_RATIO = 1.5;
+
+// A page number printed on its own line: "12", "Page 12", "12 of 40"
+const PAGE_NUMBER_PATTERN = /^(?:page\s+)?\d+(?:\s*(?:of|\/)\s*\d+)?$/i;
+
+// Bullets and numbering that start a list item: •, -, *, 1., 1), (a), a), iv.
+const LIST_ITEM_PATTERN = /^(?:[•◦▪▫●○■□‣⁃–—\-*]\s+|\(?(?:\d{1,3}|[a-z]|[ivx]{1,5})[.)]\s+)/i;
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} - Median, or 0 for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+class PDFLayoutAnalyzer {
+  /**
+   * Group a page's text items into lines in reading order
+   * @param {Array<Object>} items - textContent.items from pdf.js
+   * @param {Array<number>} view - The page's view box [x0, y0, x1, y1]
+   * @returns {Array<{text: string, cells: Array<string>, x: number, y: number, fontSize: number, breakBefore: boolean}>}
+   */
+  readLines(items, view) {
+    const positioned = items
+      .filter(item => item.str && item.str.trim())
+      .map(item => ({
+        text: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width || 0,
+        fontSize: item.height || Math.hypot(item.transform[2], item.transform[3]) || 1
+      }));
+
+    if (positioned.length === 0) return [];
+
+    const gutter = this.findGutter(positioned, view);
+    if (gutter === null) {
+      return this.markParagraphBreaks(this.groupRows(positioned).map(row => ({ ...row, column: 0 })));
+    }
+
+    // Items that cross the gutter (titles, wide figures' captions) span both columns
+    const spanning = this.groupRows(positioned.filter(item => item.x < gutter && item.x + item.width > gutter));
+    const columns = [
+      this.groupRows(positioned.filter(item => item.x + item.width <= gutter)),
+      this.groupRows(positioned.filter(item => item.x >= gutter))
+    ];
+
+    // Spanning lines cut the page into bands; each band is read left
+    // column first, then right column
+    const ordered = [];
+    const emitAbove = (y) => {
+      columns.forEach((lines, column) => {
+        while (lines.length > 0 && lines[0].y > y) {
+          ordered.push({ ...lines.shift(), column: column + 1 });
+        }
+      });
+    };
+
+    spanning.forEach(line => {
+      emitAbove(line.y);
+      ordered.push({ ...line, column: 0 });
+    });
+    emitAbove(-Infinity);
+
+    return this.markParagraphBreaks(ordered);
+  }
+
+  /**
+   * Find the vertical gap between two columns of text, if the page has them
+   * @param {Array<Object>} items - Positioned items
+   * @param {Array<number>} view - Page view box
+   * @returns {number|null} - Gutter x position, or null for single-column pages
+   */
+  findGutter(items, view) {
+    const [left, , right] = view;
+    const width = right - left;
+    const rows = this.groupRows(items);
+    const totalChars = items.reduce((sum, item) => sum + item.text.length, 0);
+
+    // Too little text to tell columns apart reliably
+    if (rows.length < 6) return null;
+
+    let best = null;
+    for (let x = left + width * 0.3; x <= left + width * 0.7; x += width / 100) {
+      // Rows with text across x; in a two-column layout only the odd title
+      // does, and one is always allowed so a short page can have a title
+      const crossingRows = rows.filter(row => row.items.some(item => item.x < x && item.x + item.width > x)).length;
+      const leftChars = items.filter(item => item.x + item.width <= x).reduce((sum, item) => sum + item.text.length, 0);
+      const rightChars = items.filter(item => item.x >= x).reduce((sum, item) => sum + item.text.length, 0);
+
+      if (crossingRows > Math.max(1, rows.length * 0.1)) continue;
+      if (leftChars < totalChars * 0.2 || rightChars < totalChars * 0.2) continue;
+
+      const distanceFromCenter = Math.abs(x - (left + width / 2));
+      if (!best || crossingRows < best.crossingRows ||
+          (crossingRows === best.crossingRows && distanceFromCenter < best.distanceFromCenter)) {
+        best = { x, crossingRows, distanceFromCenter };
+      }
+    }
+
+    return best ? best.x : null;
+  }
+
+  /**
+   * Cluster items sharing a baseline into lines, top to bottom. Items far
+   * apart on a line become separate cells.
+   * @param {Array<Object>} items - Positioned items
+   * @returns {Array<{text: string, cells: Array<string>, items: Array<Object>, x: number, y: number, fontSize: number}>}
+   */
+  groupRows(items) {
+    // PDF y grows upwards, so the top of the page comes first in descending order
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const rows = [];
+
+    sorted.forEach(item => {
+      const row = rows[rows.length - 1];
+      if (row && Math.abs(row.y - item.y) <= Math.max(row.fontSize, item.fontSize) * 0.5) {
+        row.items.push(item);
+        row.fontSize = Math.max(row.fontSize, item.fontSize);
+      } else {
+        rows.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+      }
+    });
+
+    return rows.map(row => {
+      const rowItems = row.items.sort((a, b) => a.x - b.x);
+      const cells = [];
+      let cell = '';
+      let previous = null;
+
+      rowItems.forEach(item => {
+        if (previous) {
+          const gap = item.x - (previous.x + previous.width);
+          if (gap > row.fontSize * CELL_GAP_EM) {
+            cells.push(cell.trim());
+            cell = '';
+          } else if (gap > row.fontSize * 0.1 && !cell.endsWith(' ') && !item.text.startsWith(' ')) {
+            cell += ' ';
+          }
+        }
+        cell += item.text;
+        previous = item;
+      });
+      cells.push(cell.trim());
+
+      // Size of most of the line's text, so a large drop cap does not make it a heading
+      const sizes = rowItems.flatMap(item => Array(item.text.length).fill(Math.round(item.fontSize * 2) / 2));
+
+      return {
+        text: cells.join(' '),
+        cells,
+        items: rowItems,
+        x: rowItems[0].x,
+        y: row.y,
+        fontSize: median(sizes)
+      };
+    });
+  }
+
+  /**
+   * Flag lines that start a new paragraph: after a larger than usual
+   * vertical gap, a change of column or a change of font size
+   * @param {Array<Object>} lines - Lines in reading order
+   * @returns {Array<Object>} - The lines with breakBefore set
+   */
+  markParagraphBreaks(lines) {
+    const spacings = [];
+    lines.forEach((line, index) => {
+      const previous = lines[index - 1];
+      if (previous && previous.column === line.column && previous.y > line.y) {
+        spacings.push(previous.y - line.y);
+      }
+    });
+    const lineSpacing = median(spacings);
+
+    return lines.map((line, index) => {
+      const previous = lines[index - 1];
+      const breakBefore = !previous ||
+        previous.column !== line.column ||
+        previous.y <= line.y ||
+        (lineSpacing > 0 && previous.y - line.y > lineSpacing * PARAGRAPH_GAP_RATIO) ||
+        Math.abs(previous.fontSize - line.fontSize) > line.fontSize * 0.1;
+
+      const { items, ...rest } = line;
+      return { ...rest, breakBefore };
+    });
+  }
+
+  /**
+   * Drop a page number printed alone as the top or bottom line of a page.
+   * Only those lines are page furniture; a number alone on a line anywhere
+   * else is content (a table value, a worked result). Lines are compared by
+   * position because a centred page number can be read into either column.
+   * @param {Array<Object>} lines - Lines from readLines()
+   * @returns {Array<Object>} - The lines without the page number
+   */
+  dropPageNumbers(lines) {
+    const ys = lines.map(line => line.y);
+    const top = Math.max(...ys);
+    const bottom = Math.min(...ys);
+
+    return lines.filter(line => !(
+      (line.y === top || line.y === bottom) && PAGE_NUMBER_PATTERN.test(line.text.trim())
+    ));
+  }
+
+  /**
+   * Drop a page number printed alone as the first or last line of plain page text (e.g. from OCR)
+   * @param {string} text - The page's text
+   * @returns {string} - The text without the page number
+   */
+  dropPageNumbersFromText(text) {
+    const lines = text.split('\n');
+    const isPageNumber = (line) => PAGE_NUMBER_PATTERN.test(line.trim());
+    let start = 0;
+    let end = lines.length;
+
+    if (end > start && isPageNumber(lines[end - 1])) end--;
+    if (end > start && isPageNumber(lines[start])) start++;
+
+    return lines.slice(start, end).join('\n');
+  }
+
+  /**
+   * The font size most of a document's text is set in
+   * @param {Array<Array<Object>>} pagesLines - Lines of each page
+   * @returns {number}
+   */
+  findBodyFontSize(pagesLines) {
+    const charsBySize = new Map();
+    pagesLines.flat().forEach(line => {
+      charsBySize.set(line.fontSize, (charsBySize.get(line.fontSize) || 0) + line.text.length);
+    });
+
+    let bodySize = 0;
+    let mostChars = -1;
+    charsBySize.forEach((chars, size) => {
+      if (chars > mostChars) {
+        bodySize = size;
+        mostChars = chars;
+      }
+    });
+    return bodySize;
+  }
+
+  /**
+   * Whether a line looks like a heading
+   * @param {Object} line - Line from readLines()
+   * @param {number} bodyFontSize - Document body font size
+   * @returns {boolean}
+   */
+  isHeading(line, bodyFontSize) {
+    return bodyFontSize > 0 &&
+      line.fontSize >= bodyFontSize * HEADING_SIZE_RATIO &&
+      line.text.length <= MAX_HEADING_LENGTH &&
+      /\p{L}/u.test(line.text) &&
+      !/[.,;]$/.test(line.text);
+  }
+
+  /**
+   * Turn lines into blocks: headings, paragraphs, list items and tables
+   * @param {Array<Object>} lines - Lines from readLines()
+   * @param {number} bodyFontSize - Document body font size
+   * @param {Array<number>} headingSizes - Heading font sizes, largest first
+   * @returns {Array<{type: string, text?: string, level?: number, rows?: Array<Array<string>>}>}
+   */
+  buildBlocks(lines, bodyFontSize, headingSizes) {
+    const blocks = [];
+    let current = null;
+
+    const levelFor = (fontSize) => {
+      const index = headingSizes.indexOf(fontSize);
+      return Math.min(index === -1 ? MAX_HEADING_LEVEL : index + 1, MAX_HEADING_LEVEL);
+    };
+
+    const joinLine = (text, addition) => (
+      // Rejoin words hyphenated across lines
+      /\p{L}-$/u.test(text) && /^\p{Ll}/u.test(addition)
+        ? text.slice(0, -1) + addition
+        : `${text} ${addition}`
+    );
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (this.isHeading(line, bodyFontSize)) {
+        // Multi-line headings continue on the next line at the same size
+        if (current?.type === 'heading' && !line.breakBefore && current.fontSize === line.fontSize) {
+          current.text = joinLine(current.text, line.text);
+        } else {
+          current = { type: 'heading', text: line.text, level: levelFor(line.fontSize), fontSize: line.fontSize };
+          blocks.push(current);
+        }
+        continue;
+      }
+
+      // Two or more consecutive lines split into cells form a table
+      if (line.cells.length >= 2) {
+        let end = i;
+        while (end + 1 < lines.length && lines[end + 1].cells.length >= 2) end++;
+        if (end > i) {
+          current = { type: 'table', rows: lines.slice(i, end + 1).map(row => row.cells) };
+          blocks.push(current);
+          i = end;
+          continue;
+        }
+      }
+
+      if (LIST_ITEM_PATTERN.test(line.text)) {
+        current = { type: 'list', text: line.text, x: line.x };
+        blocks.push(current);
+        continue;
+      }
+
+      // Indented lines under a list item continue it
+      const continuesList = current?.type === 'list' && !line.breakBefore && line.x > current.x;
+      const continuesParagraph = current?.type === 'paragraph' && !line.breakBefore;
+
+      if (continuesList || continuesParagraph) {
+        current.text = joinLine(current.text, line.text);
+      } else {
+        current = { type: 'paragraph', text: line.text };
+        blocks.push(current);
+      }
+    }
+
+    return blocks.map(({ fontSize, x, ...block }) => block);
+  }
+
+  /**
+   * Render blocks as text: blocks are separated by blank lines, list items
+   * and table rows sit on their own lines, table cells are separated by " | "
+   * @param {Array<Object>} blocks - Blocks from buildBlocks()
+   * @param {Function} clean - Text normaliser applied to each block
+   * @returns {Array<{type: string, text: string, level?: number}>} - Blocks with their final text; empty ones dropped
+   */
+  renderBlocks(blocks, clean) {
+    const rendered = [];
+
+    blocks.forEach(block => {
+      const text = clean(block.type === 'table'
+        ? block.rows.map(row => row.join(' | ')).join('\n')
+        : block.text);
+      if (!text) return;
+
+      // Consecutive list items form one block with one item per line
+      const previous = rendered[rendered.length - 1];
+      if (block.type === 'list' && previous?.type === 'list') {
+        previous.text += `\n${text}`;
+      } else {
+        rendered.push({ ...block, text });
+      }
+    });
+
+    return rendered;
+  }
+
+  /**
+   * Assemble a document from its pages
+   * @param {Array<{page: number, lines?: Array<Object>, text?: string, source: string, confidence: number|null, hash?: string}>} pageResults -
+   *   Each page's lines from readLines(), or plain text (e.g. from OCR)
+   * @param {Function} clean - Text normaliser applied to each block
+   * @returns {{text: string, pages: Array<Object>, outline: Array<{level: number, title: string, page: number, start: number}>}}
+   */
+  buildDocument(pageResults, clean) {
+    const linePages = pageResults.filter(result => result.lines).map(result => result.lines);
+    const bodyFontSize = this.findBodyFontSize(linePages);
+
+    const headingSizes = [...new Set(
+      linePages.flat().filter(line => this.isHeading(line, bodyFontSize)).map(line => line.fontSize)
+    )].sort((a, b) => b - a);
+
+    let text = '';
+    const pages = [];
+    const outline = [];
+
+    pageResults.forEach(result => {
+      const blocks = result.lines
+        ? this.renderBlocks(this.buildBlocks(this.dropPageNumbers(result.lines), bodyFontSize, headingSizes), clean)
+        : this.renderBlocks([{ type: 'paragraph', text: this.dropPageNumbersFromText(result.text || '') }], clean);
+      if (blocks.length === 0) return;
+
+      if (text) text += '\n\n';
+      const pageStart = text.length;
+
+      blocks.forEach((block, index) => {
+        if (index > 0) text += '\n\n';
+        if (block.type === 'heading') {
+          outline.push({ level: block.level, title: block.text, page: result.page, start: text.length });
+        }
+        text += block.text;
+      });
+
+      pages.push({
+        page: result.page,
+        start: pageStart,
+        end: text.length,
+        source: result.source,
+        confidence: result.confidence,
+        hash: result.hash
+      });
+    });
+
+    return { text, pages, outline };
+  }
+}
+
+export const pdfLayoutAnalyzer = new PDFLayoutAnalyzer();
@@ -1,142 +1,101 @@
 import { supabase } from '../lib/supabase';
+import { retrievalService } from './retrievalService';
+import { loadPdfjs, explainPdfjsError } from '../lib/pdfjs';
+import { ocrService } from './ocrService';
+import { pdfLayoutAnalyzer } from './pdfLayoutAnalyzer';
+import { hashContent } from '../lib/contentHash';
+import { searchService } from './searchService';
 
 /**
  * PDF Text Extraction Service
- * Extracts text content from PDF files and stores it in the database
- * for search and AI interaction purposes
+ * Extracts text content from PDF files (reading scanned pages with OCR)
+ * and manages the extracted text stored in the database for search and
+ * AI interaction purposes. Other formats go through documentTextExtractor.
  */
 
+// Pages whose text layer is shorter than this are treated as scanned and OCR'd
+const MIN_TEXT_LAYER_LENGTH = 40;
+
+// Render scale for OCR; 2x the PDF's 72 DPI is enough for lecture handouts
+const OCR_RENDER_SCALE = 2;
+
 class PDFTextExtractor {
   constructor() {
     this.isProcessing = false;
     this.processingQueue = [];
   }
 
-  /**
-   * Extract text from a PDF file and store it in the database
-   * @param {string} fileId - The ID of the file in base_files table
-   * @param {string} filePath - The storage path of the PDF file
-   * @param {string} fileName - The original filename
-   * @returns {Promise<Object>} - Result object with success status and extracted text
-   */
-  async extractAndStoreText(fileId, filePath, fileName) {
-    try {
-      console.log(`Starting text extraction for file: ${fileName}`);
-
-      // Check if text is already extracted
-      const existingText = await this.getExistingText(fileId);
-      if (existingText) {
-        console.log(`Text already extracted for file: ${fileName}`);
-        return {
-          success: true,
-          text: existingText,
-          message: 'Text already extracted'
-        };
-      }
-
-      // Download PDF from Supabase storage
-      const pdfBuffer = await this.downloadPDF(filePath);
-      if (!pdfBuffer) {
-        throw new Error('Failed to download PDF file');
-      }
-
-      // Extract text from PDF
-      const extractedText = await this.extractTextFromPDF(pdfBuffer);
-      if (!extractedText || extractedText.trim().length === 0) {
-        throw new Error('No text content found in PDF');
-      }
-
-      // Store extracted text in database
-      await this.storeExtractedText(fileId, extractedText, fileName);
-
-      console.log(`Successfully extracted and stored text for file: ${fileName}`);
-
-      return {
-        success: true,
-        text: extractedText,
-        message: 'Text extracted and stored successfully'
-      };
-
-    } catch (error) {
-      console.error(`Error extracting text from ${fileName}:`, error);
-
-      // Store error information
-      await this.storeExtractionError(fileId, error.message);
-
-      return {
-        success: false,
-        error: error.message,
-        message: 'Failed to extract text from PDF'
-      };
-    }
-  }
-
-  /**
-   * Download PDF file from Supabase storage
-   * @param {string} filePath - Storage path of the PDF
-   * @returns {Promise<ArrayBuffer|null>} - PDF file as ArrayBuffer
-   */
-  async downloadPDF(filePath) {
-    try {
-      const { data, error } = await supabase.storage
-        .from('files')
-        .download(filePath);
-
-      if (error) {
-        console.error('Error downloading PDF:', error);
-        return null;
-      }
-
-      // Convert Blob to ArrayBuffer
-      const arrayBuffer = await data.arrayBuffer();
-      return arrayBuffer;
-
-    } catch (error) {
-      console.error('Error converting PDF to ArrayBuffer:', error);
-      return null;
-    }
-  }
-
   /**
    * Extract text from PDF using PDF.js
+   * Text is laid out by pdfLayoutAnalyzer: reading order across columns,
+   * paragraphs, headings, lists and tables are kept, and headings are
+   * returned as an outline. Page boundaries and headings are kept as
+   * character offsets into the returned text so passages can be traced back
+   * to the page and section they came from. Pages with little or no text
+   * layer (scans) are rendered and read with OCR; each page records which
+   * source its text came from and a hash of its content. When a previous
+   * version of the file is given, scanned pages whose hash matches one of
+   * its pages reuse that page's OCR text instead of being read again. Only
+   * OCR pages are reused: OCR is the slow step, while a text layer is read
+   * in moments and has to be read anyway, since pdfLayoutAnalyzer rebuilds
+   * the page from its positioned items rather than the stored text.
    * @param {ArrayBuffer} pdfBuffer - PDF file as ArrayBuffer
-   * @returns {Promise<string>} - Extracted text content
+   * @param {Function} onProgress - Optional callback with (pagesDone, pagesTotal)
+   * @param {{text: string, pages: Array<Object>}|null} previous - Stored text and pages of an earlier version of the file
+   * @returns {Promise<{text: string, pages: Array<{page: number, start: number, end: number, source: string, confidence: number|null, hash: string}>, outline: Array<{level: number, title: string, page: number, start: number}>}>} - Extracted text, page offsets and outline
    */
-  async extractTextFromPDF(pdfBuffer) {
-    try {
-      // Dynamically import PDF.js
-      const pdfjsLib = await import('pdfjs-dist');
-
-      // Use a reliable CDN for the worker
-      pdfjsLib.GlobalWorkerOptions.workerSrc = `https://unpkg.com/pdfjs-dist@${pdfjsLib.version}/build/pdf.worker.min.mjs`;
+  async extractTextFromPDF(pdfBuffer, onProgress, previous = null) {
+    // Dynamically import PDF.js, using the worker bundled with the app. A
+    // version mismatch is a build problem, so it is not masked by the fallback.
+    const pdfjsLib = await loadPdfjs();
 
-      console.log('PDF.js worker configured:', pdfjsLib.GlobalWorkerOptions.workerSrc);
+    console.log('PDF.js worker configured:', pdfjsLib.GlobalWorkerOptions.workerSrc);
 
+    try {
       // Load PDF document with basic settings
       const pdf = await pdfjsLib.getDocument({
         data: pdfBuffer,
         useWorkerFetch: false,
         isEvalSupported: false,
         useSystemFonts: true
-      }).promise;
+      }).promise.catch(error => {
+        throw explainPdfjsError(error);
+      });
 
-      let fullText = '';
+      const pageResults = [];
       const totalPages = pdf.numPages;
 
+      // OCR results of the previous version, by page hash. Pages can move,
+      // so they are matched by content rather than page number. Text-layer
+      // pages are not reused (see above).
+      const knownPages = new Map((previous?.pages || [])
+        .filter(entry => entry.source === 'ocr' && entry.hash)
+        .map(entry => [entry.hash, {
+          text: previous.text.slice(entry.start, entry.end),
+          confidence: entry.confidence
+        }]));
+
       // Extract text from each page
       for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
         try {
           const page = await pdf.getPage(pageNum);
           const textContent = await page.getTextContent();
 
-          // Combine text items from the page
-          const pageText = textContent.items
-            .map(item => item.str)
-            .join(' ')
-            .replace(/\s+/g, ' ') // Normalize whitespace
-            .trim();
+          // Rebuild the page's lines from the positioned text items
+          const lines = pdfLayoutAnalyzer.readLines(textContent.items, page.view);
+          const textLayerLength = lines.reduce((sum, line) => sum + line.text.length, 0);
 
-          fullText += pageText + '\n\n';
+          const ocrResult = textLayerLength < MIN_TEXT_LAYER_LENGTH
+            ? await this.ocrPage(page, pageNum, knownPages)
+            : null;
+
+          if (ocrResult && ocrResult.text.length > textLayerLength) {
+            pageResults.push({ page: pageNum, text: ocrResult.text, source: 'ocr', confidence: ocrResult.confidence, hash: ocrResult.hash });
+          } else {
+            // Text-layer pages are always re-read, so this hash only records the version
+            const hash = await hashContent(JSON.stringify([page.view, textContent.items]));
+            pageResults.push({ page: pageNum, lines, source: 'text', confidence: null, hash });
+          }
 
           // Add progress logging for large PDFs
           if (totalPages > 10 && pageNum % 10 === 0) {
@@ -146,22 +105,30 @@ class PDFTextExtractor {
           console.warn(`Error processing page ${pageNum}:`, pageError);
           // Continue with other pages
         }
-      }
 
-      // Clean up the extracted text
-      const cleanedText = this.cleanExtractedText(fullText);
+        if (onProgress) {
+          onProgress(pageNum, totalPages);
+        }
+      }
 
-      console.log(`Extracted text from ${totalPages} pages, ${cleanedText.length} characters`);
+      // Blocks are cleaned individually so page and heading offsets stay valid
+      const layout = pdfLayoutAnalyzer.buildDocument(pageResults, text => this.cleanExtractedText(text));
+      console.log(`Extracted text from ${totalPages} pages, ${layout.text.length} characters, ${layout.outline.length} headings`);
 
-      return cleanedText;
+      return layout;
 
     } catch (error) {
       console.error('Error extracting text from PDF:', error);
+      if (error.name === 'PdfWorkerVersionError') {
+        throw error;
+      }
 
       // Try fallback method if PDF.js fails
       console.log('Attempting fallback text extraction method...');
       try {
-        return await this.extractTextFromPDFFallback(pdfBuffer);
+        // The byte-level fallback has no notion of pages
+        const text = await this.extractTextFromPDFFallback(pdfBuffer);
+        return { text, pages: [], outline: [] };
       } catch (fallbackError) {
         console.error('Fallback extraction also failed:', fallbackError);
         throw new Error(`PDF text extraction failed: ${error.message}`);
@@ -169,6 +136,48 @@ class PDFTextExtractor {
     }
   }
 
+  /**
+   * Render a PDF page and read it with OCR. The page is identified by a
+   * hash of its rendered pixels; a page already read in an earlier version
+   * of the file reuses that result.
+   * @param {Object} page - PDF.js page
+   * @param {number} pageNum - Page number, for logging
+   * @param {Map<string, {text: string, confidence: number}>} knownPages - Earlier OCR results by page hash
+   * @returns {Promise<{text: string, confidence: number, hash: string}|null>} - OCR result, or null if OCR failed
+   */
+  async ocrPage(page, pageNum, knownPages = new Map()) {
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+
+    try {
+      const context = canvas.getContext('2d');
+      await page.render({ canvasContext: context, viewport }).promise;
+
+      const hash = await hashContent(context.getImageData(0, 0, canvas.width, canvas.height).data);
+      const known = knownPages.get(hash);
+      if (known) {
+        console.log(`♻️ Page ${pageNum} is unchanged, reusing its OCR text`);
+        return { ...known, hash };
+      }
+
+      const { text, confidence } = await ocrService.recognize(canvas);
+      console.log(`🔍 OCR read page ${pageNum} (confidence ${confidence}%)`);
+
+      return { text: this.cleanExtractedText(text), confidence, hash };
+
+    } catch (error) {
+      // Keep whatever text layer the page had
+      console.warn(`OCR failed on page ${pageNum}:`, error);
+      return null;
+    } finally {
+      // Release the bitmap right away; scans can be large
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+  }
+
   /**
    * Fallback method for PDF text extraction (simplified approach)
    * @param {ArrayBuffer} pdfBuffer - PDF file as ArrayBuffer
@@ -242,12 +251,9 @@ class PDFTextExtractor {
    */
   cleanExtractedText(text) {
     return text
-      // Remove excessive whitespace
-      .replace(/\s+/g, ' ')
-      // Remove page numbers and headers/footers (basic patterns)
-      .replace(/\b\d+\b(?=\s*$)/gm, '') // Remove standalone numbers at end of lines
-      .replace(/^Page \d+$/gm, '') // Remove "Page X" lines
-      .replace(/^\d+$/gm, '') // Remove lines with only numbers
+      // Collapse spaces and tabs, keeping line breaks
+      .replace(/[^\S\n]+/g, ' ')
+      .replace(/ ?\n ?/g, '\n')
       // Remove excessive line breaks
       .replace(/\n{3,}/g, '\n\n')
       // Trim whitespace
@@ -259,8 +265,11 @@ class PDFTextExtractor {
    * @param {string} fileId - File ID
    * @param {string} text - Extracted text
    * @param {string} fileName - Original filename
+   * @param {Array<Object>} pages - Page offsets from extractTextFromPDF()
+   * @param {Array<Object>} outline - Headings from extractTextFromPDF()
+   * @param {string|null} contentHash - Hash of the file version the text came from
    */
-  async storeExtractedText(fileId, text, fileName) {
+  async storeExtractedText(fileId, text, fileName, pages = [], outline = [], contentHash = null) {
     try {
       // First, verify the file belongs to the current user
       const { data: fileData, error: fileError } = await supabase
@@ -284,9 +293,13 @@ class PDFTextExtractor {
           file_id: fileId,
           extracted_text: text,
           text_length: text.length,
+          pages: pages,
+          outline: outline,
+          content_hash: contentHash,
           extraction_date: new Date().toISOString(),
-          status: 'completed'
-        });
+          status: 'completed',
+          error_message: null
+        }, { onConflict: 'file_id' });
 
       if (error) {
         console.error('Error storing extracted text:', error);
@@ -294,7 +307,7 @@ class PDFTextExtractor {
         // If RLS policy fails, try alternative approach
         if (error.code === '42501') {
           console.log('RLS policy error detected, trying alternative storage method...');
-          return await this.storeExtractedTextAlternative(fileId, text, fileName);
+          return await this.storeExtractedTextAlternative(fileId, text, fileName, pages, outline, contentHash);
         }
 
         throw new Error(`Database error: ${error.message}`);
@@ -313,15 +326,21 @@ class PDFTextExtractor {
    * @param {string} fileId - File ID
    * @param {string} text - Extracted text
    * @param {string} fileName - Original filename
+   * @param {Array<Object>} pages - Page offsets from extractTextFromPDF()
+   * @param {Array<Object>} outline - Headings from extractTextFromPDF()
+   * @param {string|null} contentHash - Hash of the file version the text came from
    */
-  async storeExtractedTextAlternative(fileId, text, fileName) {
+  async storeExtractedTextAlternative(fileId, text, fileName, pages = [], outline = [], contentHash = null) {
     try {
       // Use a direct SQL query with proper user context
       const { error } = await supabase.rpc('store_pdf_text_content', {
         p_file_id: fileId,
         p_extracted_text: text,
         p_text_length: text.length,
-        p_status: 'completed'
+        p_status: 'completed',
+        p_pages: pages,
+        p_outline: outline,
+        p_content_hash: contentHash
       });
 
       if (error) {
@@ -353,7 +372,7 @@ class PDFTextExtractor {
           extraction_date: new Date().toISOString(),
           status: 'failed',
           error_message: errorMessage
-        });
+        }, { onConflict: 'file_id' });
     } catch (error) {
       console.error('Error storing extraction error:', error);
     }
@@ -385,92 +404,59 @@ class PDFTextExtractor {
   }
 
   /**
-   * Process all PDF files in a base
-   * @param {string} baseId - Base ID
-   * @returns {Promise<Object>} - Processing results
+   * Get a file's stored text row, whatever its status
+   * @param {string} fileId - File ID
+   * @returns {Promise<Object|null>} - extracted_text, pages, outline, content_hash and status, or null
    */
-  async processBasePDFs(baseId) {
+  async getStoredText(fileId) {
     try {
-      console.log(`Starting PDF processing for base: ${baseId}`);
-
-      // Get all PDF files in the base
-      const { data: files, error } = await supabase
-        .from('base_files')
-        .select('id, file_name, file_path, file_type')
-        .eq('base_id', baseId)
-        .eq('file_type', 'application/pdf');
+      const { data, error } = await supabase
+        .from('pdf_text_content')
+        .select('file_id, extracted_text, pages, outline, content_hash, status')
+        .eq('file_id', fileId)
+        .maybeSingle();
 
       if (error) {
-        throw new Error(`Error fetching PDF files: ${error.message}`);
+        console.error('Error getting stored text:', error);
+        return null;
       }
 
-      if (!files || files.length === 0) {
-        return {
-          success: true,
-          processed: 0,
-          message: 'No PDF files found in this base'
-        };
-      }
+      return data;
 
-      const results = [];
-      let successCount = 0;
-      let errorCount = 0;
+    } catch (error) {
+      console.error('Error getting stored text:', error);
+      return null;
+    }
+  }
 
-      // Process each PDF file
-      for (const file of files) {
-        try {
-          const result = await this.extractAndStoreText(
-            file.id,
-            file.file_path,
-            file.file_name
-          );
-
-          results.push({
-            fileId: file.id,
-            fileName: file.file_name,
-            success: result.success,
-            message: result.message
-          });
-
-          if (result.success) {
-            successCount++;
-          } else {
-            errorCount++;
-          }
+  /**
+   * Find completed text extracted from identical content in another of the
+   * user's files (row level security limits the search to their own files)
+   * @param {string} contentHash - Content hash of the file
+   * @param {string} fileId - File to exclude (the one being extracted)
+   * @returns {Promise<Object|null>} - file_id, extracted_text, pages and outline, or null
+   */
+  async findTextByHash(contentHash, fileId) {
+    try {
+      const { data, error } = await supabase
+        .from('pdf_text_content')
+        .select('file_id, extracted_text, pages, outline')
+        .eq('content_hash', contentHash)
+        .eq('status', 'completed')
+        .neq('file_id', fileId)
+        .limit(1)
+        .maybeSingle();
 
-          // Add delay between processing to avoid overwhelming the system
-          await new Promise(resolve => setTimeout(resolve, 1000));
-
-        } catch (error) {
-          console.error(`Error processing file ${file.file_name}:`, error);
-          errorCount++;
-          results.push({
-            fileId: file.id,
-            fileName: file.file_name,
-            success: false,
-            message: error.message
-          });
-        }
+      if (error) {
+        console.error('Error looking up text by content hash:', error);
+        return null;
       }
 
-      console.log(`PDF processing completed for base ${baseId}: ${successCount} success, ${errorCount} errors`);
-
-      return {
-        success: true,
-        processed: files.length,
-        successCount,
-        errorCount,
-        results,
-        message: `Processed ${files.length} PDF files: ${successCount} successful, ${errorCount} failed`
-      };
+      return data;
 
     } catch (error) {
-      console.error(`Error processing base PDFs:`, error);
-      return {
-        success: false,
-        error: error.message,
-        message: 'Failed to process PDF files in base'
-      };
+      console.error('Error looking up text by content hash:', error);
+      return null;
     }
   }
 
@@ -518,37 +504,12 @@ class PDFTextExtractor {
   /**
    * Search text content across all PDFs in a base
    * @param {string} baseId - Base ID
-   * @param {string} searchTerm - Search term
-   * @returns {Promise<Array>} - Search results
+   * @param {string} searchTerm - Search term (words, "quoted phrases", prefix*)
+   * @returns {Promise<Array>} - Ranked results with highlighted snippets, see searchService
    */
   async searchPDFText(baseId, searchTerm) {
-    try {
-      const { data, error } = await supabase
-        .from('pdf_text_content')
-        .select(`
-          *,
-          base_files!inner(
-            id,
-            file_name,
-            file_type,
-            base_id
-          )
-        `)
-        .eq('base_files.base_id', baseId)
-        .eq('status', 'completed')
-        .textSearch('extracted_text', searchTerm);
-
-      if (error) {
-        console.error('Error searching PDF text:', error);
-        return [];
-      }
-
-      return data || [];
-
-    } catch (error) {
-      console.error('Error in searchPDFText:', error);
-      return [];
-    }
+    const result = await searchService.searchDocuments(searchTerm, { baseId });
+    return result.success ? result.results : [];
   }
 
   /**
@@ -557,6 +518,8 @@ class PDFTextExtractor {
    */
   async deleteExtractedText(fileId) {
     try {
+      await retrievalService.deleteChunks(fileId);
+
       const { error } = await supabase
         .from('pdf_text_content')
         .delete()
@@ -1,24 +1,79 @@
 import { supabase } from '../lib/supabase';
+import { llmProvider } from './llmProvider';
+import { localGradingService } from './localGradingService';
+import { parseJsonResponse, validateJsonSchema } from '../lib/jsonSchema';
 
-class QuizEvaluationService {
-  constructor() {
-    this.apiKey = process.env.REACT_APP_HF_API_KEY;
-    this.apiUrl = "https://router.huggingface.co/v1/chat/completions";
-
-    // Enhanced debugging for API key
-    console.log("Quiz Evaluation Service - Environment check:");
-    console.log(
-      "- REACT_APP_HF_API_KEY exists:",
-      !!process.env.REACT_APP_HF_API_KEY
-    );
+// Share of a rubric point's terms an answer must use together (see
+// localGradingService.pointCoverage) for the point to count when the model
+// is unavailable and points are matched locally
+const RUBRIC_KEYWORD_THRESHOLD = 0.6;
+
+// Independent evaluations an appeal is decided by, and the temperature that
+// keeps them independent
+const APPEAL_SAMPLES = 5;
+const APPEAL_TEMPERATURE = 0.7;
+
+// All-or-nothing marking of written questions without a rubric
+const WRITTEN_MARKING = {
+  saq: { threshold: 90, marks: 3 },
+  laq: { threshold: 75, marks: 5 }
+};
+
+// Added to the grading prompts when a student appeals a grade
+const APPEAL_CRITERIA = `APPEAL REVIEW:
+The student has appealed the grade this answer was given. Review it afresh and rigorously:
+- Only credit what the answer actually states; find the words that make each point before counting it
+- Vague, partial or hedged statements do not earn credit
+- Length, confidence and restating the question earn nothing`;
 
-    if (!this.apiKey) {
-      console.error("❌ Hugging Face API key not found!");
-    } else {
-      console.log("✅ Hugging Face API key loaded successfully!");
+// What the grading model returns for a rubric: a verdict per point
+const RUBRIC_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['points', 'similarityScore'],
+  properties: {
+    points: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['point', 'met'],
+        properties: {
+          point: { type: 'integer', minimum: 1 },
+          met: { type: 'boolean' }
+        }
+      }
+    },
+    similarityScore: { type: 'integer', minimum: 0, maximum: 100 },
+    feedback: {
+      type: 'object',
+      properties: {
+        correct: { type: 'string' },
+        missing: { type: 'string' },
+        suggestion: { type: 'string' }
+      }
     }
   }
+};
+
+// Labelled lines of the similarity response that make up the feedback
+const FEEDBACK_LABELS = {
+  'Explanation': 'summary',
+  'What Was Correct': 'correct',
+  'What Was Missing': 'missing',
+  'Suggestion': 'suggestion'
+};
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} - Median, rounded to a whole number
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return Math.round(sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+};
 
+class QuizEvaluationService {
   /**
    * Evaluate MCQ answer
    * @param {string} userAnswer - User's selected option
@@ -51,21 +106,25 @@ class QuizEvaluationService {
    * @param {string} userAnswer - User's answer
    * @param {string} modelAnswer - Correct answer from model
    * @param {string} question - Question text for context
-   * @returns {Promise<{isCorrect: boolean, marksObtained: number, similarityScore: number}>}
+   * @param {string} sourcePassage - Passage the question was generated from, for local grading
+   * @returns {Promise<{isCorrect: boolean, marksObtained: number, similarityScore: number, feedback: Object|null, gradedBy: string}>}
    */
-  async evaluateSAQ(userAnswer, modelAnswer, question) {
+  async evaluateSAQ(userAnswer, modelAnswer, question, sourcePassage = null) {
     try {
       const similarityResult = await this.calculateSimilarityWithLLM(
         userAnswer, 
         modelAnswer, 
         question, 
-        90 // 90% threshold for SAQs
+        90, // 90% threshold for SAQs
+        sourcePassage
       );
 
       return {
         isCorrect: similarityResult.isCorrect,
         marksObtained: similarityResult.isCorrect ? 3 : 0,
-        similarityScore: similarityResult.similarityScore
+        similarityScore: similarityResult.similarityScore,
+        feedback: similarityResult.feedback,
+        gradedBy: similarityResult.gradedBy
       };
     } catch (error) {
       console.error('Error evaluating SAQ:', error);
@@ -82,21 +141,25 @@ class QuizEvaluationService {
    * @param {string} userAnswer - User's answer
    * @param {string} modelAnswer - Correct answer from model
    * @param {string} question - Question text for context
-   * @returns {Promise<{isCorrect: boolean, marksObtained: number, similarityScore: number}>}
+   * @param {string} sourcePassage - Passage the question was generated from, for local grading
+   * @returns {Promise<{isCorrect: boolean, marksObtained: number, similarityScore: number, feedback: Object|null, gradedBy: string}>}
    */
-  async evaluateLAQ(userAnswer, modelAnswer, question) {
+  async evaluateLAQ(userAnswer, modelAnswer, question, sourcePassage = null) {
     try {
       const similarityResult = await this.calculateSimilarityWithLLM(
         userAnswer, 
         modelAnswer, 
         question, 
-        75 // 75% threshold for LAQs
+        75, // 75% threshold for LAQs
+        sourcePassage
       );
 
       return {
         isCorrect: similarityResult.isCorrect,
         marksObtained: similarityResult.isCorrect ? 5 : 0,
-        similarityScore: similarityResult.similarityScore
+        similarityScore: similarityResult.similarityScore,
+        feedback: similarityResult.feedback,
+        gradedBy: similarityResult.gradedBy
       };
     } catch (error) {
       console.error('Error evaluating LAQ:', error);
@@ -108,62 +171,205 @@ class QuizEvaluationService {
     }
   }
 
+  /**
+   * Evaluate an SAQ/LAQ answer against its marking rubric, awarding each
+   * rubric point's marks when the answer makes that point
+   * @param {string} userAnswer - User's answer
+   * @param {Object} questionData - Question data
+   * @param {Array<{point: string, marks: number}>} questionData.rubric - Key points with their marks
+   * @param {string} questionData.correctAnswer - Model answer
+   * @param {string} questionData.questionText - Question text for context
+   * @param {string} questionData.sourcePassage - Passage the question was generated from, for local grading
+   * @returns {Promise<{isCorrect: boolean, marksObtained: number, similarityScore: number, matchedPoints: Array, missedPoints: Array,
+   *   feedback: Object, gradedBy: string}>}
+   */
+  async evaluateWithRubric(userAnswer, { rubric, correctAnswer, questionText, sourcePassage = null }) {
+    let verdict;
+    try {
+      verdict = await this.matchRubricWithLLM(userAnswer, rubric, correctAnswer, questionText);
+    } catch (error) {
+      console.error('Error matching rubric with LLM:', error);
+      // Fallback to local grading if LLM fails
+      verdict = this.matchRubricLocally(userAnswer, rubric, correctAnswer, questionText, sourcePassage);
+    }
+
+    const matchedPoints = rubric.filter((_, index) => verdict.met[index]);
+    const missedPoints = rubric.filter((_, index) => !verdict.met[index]);
+    const marksObtained = matchedPoints.reduce((sum, entry) => sum + entry.marks, 0);
+    const totalMarks = rubric.reduce((sum, entry) => sum + entry.marks, 0);
+
+    console.log(`Rubric evaluation: ${marksObtained}/${totalMarks} marks (${matchedPoints.length}/${rubric.length} points)`);
+
+    return {
+      isCorrect: marksObtained === totalMarks,
+      marksObtained,
+      similarityScore: verdict.similarityScore,
+      matchedPoints,
+      missedPoints,
+      feedback: verdict.feedback || this.createRubricFeedback(matchedPoints, missedPoints),
+      gradedBy: verdict.gradedBy
+    };
+  }
+
+  /**
+   * Feedback listing the rubric points an answer made and missed, used when
+   * the model gave none
+   * @param {Array<{point: string}>} matchedPoints - Points the answer made
+   * @param {Array<{point: string}>} missedPoints - Points it left out
+   * @returns {{summary: string|null, correct: string, missing: string, suggestion: string}}
+   */
+  createRubricFeedback(matchedPoints, missedPoints) {
+    return {
+      summary: null,
+      correct: matchedPoints.length > 0
+        ? `You covered: ${matchedPoints.map(entry => entry.point).join('; ')}.`
+        : 'None of the key points were covered.',
+      missing: missedPoints.length > 0
+        ? `Not covered: ${missedPoints.map(entry => entry.point).join('; ')}.`
+        : 'Nothing, every key point was covered.',
+      suggestion: missedPoints.length > 0
+        ? `Add ${missedPoints.length === 1 ? 'this point' : 'these points'} to earn the remaining marks: ${missedPoints.map(entry => entry.point).join('; ')}.`
+        : 'Keep answering at this level of detail.'
+    };
+  }
+
+  /**
+   * Ask the grading model which rubric points an answer makes
+   * @param {string} userAnswer - User's answer
+   * @param {Array<{point: string, marks: number}>} rubric - Key points with their marks
+   * @param {string} modelAnswer - Model answer
+   * @param {string} question - Question text
+   * @param {Object} options - Evaluation options
+   * @param {boolean} options.appeal - Use the stricter appeal prompt
+   * @param {number} options.temperature - Sampling temperature
+   * @returns {Promise<{met: Array<boolean>, similarityScore: number, feedback: Object|null, gradedBy: string}>} - Verdict
+   *   per rubric point, in order, and the model's feedback
+   */
+  async matchRubricWithLLM(userAnswer, rubric, modelAnswer, question, { appeal = false, temperature } = {}) {
+    console.log('Calling LLM for rubric evaluation...');
+
+    const result = await llmProvider.generate(
+      [{ role: 'user', content: this.createRubricPrompt(userAnswer, rubric, modelAnswer, question, { appeal }) }],
+      { profile: 'grading', temperature }
+    );
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const parsed = parseJsonResponse(result.response);
+    if (parsed.data === undefined) {
+      throw new Error(parsed.error || 'Rubric evaluation was cut off');
+    }
+
+    const errors = validateJsonSchema(parsed.data, RUBRIC_RESPONSE_SCHEMA);
+    if (errors.length > 0) {
+      throw new Error(`Invalid rubric evaluation: ${errors.join('; ')}`);
+    }
+
+    // Points the model leaves out count as not met
+    const met = rubric.map((_, index) => parsed.data.points.some(entry => entry.point === index + 1 && entry.met));
+
+    const feedback = parsed.data.feedback
+      ? {
+        summary: null,
+        correct: parsed.data.feedback.correct || '',
+        missing: parsed.data.feedback.missing || '',
+        suggestion: parsed.data.feedback.suggestion || ''
+      }
+      : null;
+
+    return { met, similarityScore: parsed.data.similarityScore, feedback, gradedBy: 'llm' };
+  }
+
+  /**
+   * Create prompt for rubric evaluation
+   * @param {string} userAnswer - User's answer
+   * @param {Array<{point: string, marks: number}>} rubric - Key points with their marks
+   * @param {string} modelAnswer - Model answer
+   * @param {string} question - Question text
+   * @param {Object} options - Prompt options
+   * @param {boolean} options.appeal - Add the stricter criteria of an appeal review
+   * @returns {string} - Formatted prompt
+   */
+  createRubricPrompt(userAnswer, rubric, modelAnswer, question, { appeal = false } = {}) {
+    return `You are an expert educational evaluator. Your task is to mark a student's answer against a marking rubric.
+
+QUESTION: ${question}
+
+MODEL ANSWER: ${modelAnswer}
+
+RUBRIC (key points a full answer makes):
+${rubric.map((entry, index) => `${index + 1}. ${entry.point} (${entry.marks} ${entry.marks === 1 ? 'mark' : 'marks'})`).join('\n')}
+
+STUDENT'S ANSWER: ${userAnswer}
+
+EVALUATION CRITERIA:
+- A point is met when the answer states it or something equivalent, in any wording
+- A point is not met when the answer only mentions its keywords without the idea, or contradicts it
+- Judge each point on its own
+${appeal ? `\n${APPEAL_CRITERIA}\n` : ''}
+REQUIRED OUTPUT FORMAT:
+Respond with a single JSON object and nothing else:
+{"points": [{"point": 1, "met": true}, ...], "similarityScore": 0-100, "feedback": {"correct": "...", "missing": "...", "suggestion": "..."}}
+with one entry per rubric point, similarityScore for how close the answer is to the model answer overall, and feedback for the student:
+what their answer got right, what was missing or wrong, and one concrete way to improve it. Address the student as "you".
+
+Evaluate the student's answer now:`;
+  }
+
+  /**
+   * Fallback rubric matching: a point is met when the answer uses most of its
+   * terms, compared by stem and synonym
+   * @param {string} userAnswer - User's answer
+   * @param {Array<{point: string, marks: number}>} rubric - Key points with their marks
+   * @param {string} modelAnswer - Model answer
+   * @param {string} question - Question text
+   * @param {string} sourcePassage - Passage the question was generated from
+   * @returns {{met: Array<boolean>, similarityScore: number, feedback: null, gradedBy: string}}
+   */
+  matchRubricLocally(userAnswer, rubric, modelAnswer, question, sourcePassage) {
+    const met = rubric.map(entry => (
+      localGradingService.pointCoverage(userAnswer, entry.point) >= RUBRIC_KEYWORD_THRESHOLD
+    ));
+
+    const { similarityScore } = localGradingService.scoreAnswer(userAnswer, modelAnswer, { sourcePassage, question });
+    return { met, similarityScore, feedback: null, gradedBy: 'local' };
+  }
+
   /**
    * Calculate similarity between user answer and model answer using LLM
    * @param {string} userAnswer - User's answer
    * @param {string} modelAnswer - Correct answer from model
    * @param {string} question - Question text for context
    * @param {number} threshold - Similarity threshold percentage
-   * @returns {Promise<{isCorrect: boolean, similarityScore: number}>}
+   * @param {string} sourcePassage - Passage the question was generated from, for local grading
+   * @returns {Promise<{isCorrect: boolean, similarityScore: number, feedback: Object|null, gradedBy: string}>}
    */
-  async calculateSimilarityWithLLM(userAnswer, modelAnswer, question, threshold) {
+  async calculateSimilarityWithLLM(userAnswer, modelAnswer, question, threshold, sourcePassage = null) {
     try {
-      if (!this.apiKey) {
-        throw new Error("Hugging Face API key not found");
-      }
-
       const prompt = this.createSimilarityPrompt(userAnswer, modelAnswer, question, threshold);
       
       console.log('Calling LLM for answer similarity evaluation...');
 
-      const response = await fetch(this.apiUrl, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${this.apiKey}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: "meta-llama/Llama-3.1-8B-Instruct:fireworks-ai",
-          messages: [
-            { role: "user", content: prompt }
-          ],
-          stream: false,
-        }),
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        
-        if (data.error) {
-          throw new Error(`API error: ${data.error}`);
-        }
+      const result = await llmProvider.generate(
+        [{ role: 'user', content: prompt }],
+        { profile: 'grading' }
+      );
 
-        const llmResponse = data.choices[0].message.content;
-        const evaluation = this.parseSimilarityResponse(llmResponse, threshold);
-        
-        console.log(`Similarity evaluation: ${evaluation.similarityScore}% (threshold: ${threshold}%)`);
-        
-        return evaluation;
-      } else {
-        const errorData = await response.json();
-        throw new Error(
-          `API request failed: ${response.status} - ${errorData.error || "Unknown error"}`
-        );
+      if (!result.success) {
+        throw new Error(result.error);
       }
+
+      const evaluation = this.parseSimilarityResponse(result.response, threshold);
+      
+      console.log(`Similarity evaluation: ${evaluation.similarityScore}% (threshold: ${threshold}%)`);
+      
+      return { ...evaluation, gradedBy: 'llm' };
     } catch (error) {
       console.error('Error calculating similarity with LLM:', error);
-      // Fallback to basic text similarity if LLM fails
-      return this.calculateBasicSimilarity(userAnswer, modelAnswer, threshold);
+      // Fallback to local grading if LLM fails
+      return localGradingService.gradeAnswer(userAnswer, modelAnswer, threshold, { sourcePassage, question });
     }
   }
 
@@ -173,9 +379,11 @@ class QuizEvaluationService {
    * @param {string} modelAnswer - Correct answer
    * @param {string} question - Question text
    * @param {number} threshold - Similarity threshold
+   * @param {Object} options - Prompt options
+   * @param {boolean} options.appeal - Add the stricter criteria of an appeal review
    * @returns {string} - Formatted prompt
    */
-  createSimilarityPrompt(userAnswer, modelAnswer, question, threshold) {
+  createSimilarityPrompt(userAnswer, modelAnswer, question, threshold, { appeal = false } = {}) {
     return `You are an expert educational evaluator. Your task is to evaluate how similar a student's answer is to the correct answer for a given question.
 
 QUESTION: ${question}
@@ -190,10 +398,13 @@ EVALUATION CRITERIA:
 - Look for key points and main ideas
 - Ignore minor grammatical differences
 - Consider if the student demonstrates understanding of the core concept
-
+${appeal ? `\n${APPEAL_CRITERIA}\n` : ''}
 REQUIRED OUTPUT FORMAT:
 Similarity Score: [0-100]
 Explanation: [Brief explanation of your evaluation]
+What Was Correct: [What the student's answer got right, addressed to the student as "you"]
+What Was Missing: [What was missing or wrong]
+Suggestion: [One concrete way to improve the answer]
 Is Correct: [YES/NO based on ${threshold}% threshold]
 
 Evaluate the student's answer now:`;
@@ -203,7 +414,8 @@ Evaluate the student's answer now:`;
    * Parse LLM response for similarity evaluation
    * @param {string} llmResponse - Raw LLM response
    * @param {number} threshold - Similarity threshold
-   * @returns {Object} - Parsed evaluation result
+   * @returns {Object} - Parsed evaluation result, with the feedback lines
+   *   ({ summary, correct, missing, suggestion }) when the model wrote any
    */
   parseSimilarityResponse(llmResponse, threshold) {
     try {
@@ -211,18 +423,32 @@ Evaluate the student's answer now:`;
       
       let similarityScore = 0;
       let isCorrect = false;
+      const feedback = {};
+      let feedbackKey = null;
       
       for (const line of lines) {
+        const label = Object.keys(FEEDBACK_LABELS).find(name => line.startsWith(`${name}:`));
+        if (label) {
+          feedbackKey = FEEDBACK_LABELS[label];
+          feedback[feedbackKey] = line.substring(label.length + 1).trim();
+          continue;
+        }
+
         if (line.startsWith('Similarity Score:')) {
+          feedbackKey = null;
           const scoreMatch = line.match(/Similarity Score:\s*(\d+)/);
           if (scoreMatch) {
             similarityScore = parseInt(scoreMatch[1]);
           }
         } else if (line.startsWith('Is Correct:')) {
+          feedbackKey = null;
           const correctMatch = line.match(/Is Correct:\s*(YES|NO)/i);
           if (correctMatch) {
             isCorrect = correctMatch[1].toUpperCase() === 'YES';
           }
+        } else if (feedbackKey && line) {
+          // Feedback that wraps onto further lines
+          feedback[feedbackKey] = `${feedback[feedbackKey]} ${line}`.trim();
         }
       }
       
@@ -233,46 +459,17 @@ Evaluate the student's answer now:`;
       
       return {
         isCorrect: isCorrect,
-        similarityScore: similarityScore
+        similarityScore: similarityScore,
+        feedback: Object.keys(feedback).length > 0
+          ? { summary: null, correct: '', missing: '', suggestion: '', ...feedback }
+          : null
       };
     } catch (error) {
       console.error('Error parsing similarity response:', error);
       return {
         isCorrect: false,
-        similarityScore: 0
-      };
-    }
-  }
-
-  /**
-   * Fallback method for basic text similarity calculation
-   * @param {string} userAnswer - User's answer
-   * @param {string} modelAnswer - Correct answer
-   * @param {number} threshold - Similarity threshold
-   * @returns {Object} - Basic similarity result
-   */
-  calculateBasicSimilarity(userAnswer, modelAnswer, threshold) {
-    try {
-      // Simple word overlap calculation
-      const userWords = userAnswer.toLowerCase().split(/\s+/).filter(word => word.length > 2);
-      const modelWords = modelAnswer.toLowerCase().split(/\s+/).filter(word => word.length > 2);
-      
-      const commonWords = userWords.filter(word => modelWords.includes(word));
-      const similarityScore = Math.round((commonWords.length / Math.max(userWords.length, modelWords.length)) * 100);
-      
-      const isCorrect = similarityScore >= threshold;
-      
-      console.log(`Basic similarity calculation: ${similarityScore}% (threshold: ${threshold}%)`);
-      
-      return {
-        isCorrect: isCorrect,
-        similarityScore: similarityScore
-      };
-    } catch (error) {
-      console.error('Error in basic similarity calculation:', error);
-      return {
-        isCorrect: false,
-        similarityScore: 0
+        similarityScore: 0,
+        feedback: null
       };
     }
   }
@@ -281,22 +478,27 @@ Evaluate the student's answer now:`;
    * Evaluate answer based on question type
    * @param {string} questionType - Type of question ('mcq', 'saq', 'laq')
    * @param {string} userAnswer - User's answer
-   * @param {Object} questionData - Question data with correct answer
+   * @param {Object} questionData - Question data with correct answer (and, for SAQs/LAQs, the rubric)
    * @returns {Promise<Object>} - Evaluation result
    */
   async evaluateAnswer(questionType, userAnswer, questionData) {
     try {
-      const { correctAnswer, correctOptionNumber, questionText } = questionData;
+      const { correctAnswer, correctOptionNumber, questionText, rubric, sourcePassage } = questionData;
+
+      // Questions generated before rubrics existed are marked all-or-nothing
+      if ((questionType === 'saq' || questionType === 'laq') && rubric && rubric.length > 0) {
+        return await this.evaluateWithRubric(userAnswer, questionData);
+      }
       
       switch (questionType) {
         case 'mcq':
           return await this.evaluateMCQ(userAnswer, correctOptionNumber);
         
         case 'saq':
-          return await this.evaluateSAQ(userAnswer, correctAnswer, questionText);
+          return await this.evaluateSAQ(userAnswer, correctAnswer, questionText, sourcePassage);
         
         case 'laq':
-          return await this.evaluateLAQ(userAnswer, correctAnswer, questionText);
+          return await this.evaluateLAQ(userAnswer, correctAnswer, questionText, sourcePassage);
         
         default:
           throw new Error(`Unknown question type: ${questionType}`);
@@ -311,6 +513,135 @@ Evaluate the student's answer now:`;
     }
   }
 
+  /**
+   * Re-grade an SAQ/LAQ answer on appeal: the stricter appeal prompt is
+   * sampled APPEAL_SAMPLES times and each rubric point (or, without a rubric,
+   * the answer as a whole) is decided by majority vote. There is no local
+   * fallback; an appeal needs a majority of usable evaluations.
+   * @param {string} questionType - Type of question ('saq' or 'laq')
+   * @param {string} userAnswer - User's answer
+   * @param {Object} questionData - Question data with correct answer and rubric, as for evaluateAnswer()
+   * @param {Object} options - Appeal options
+   * @param {number} options.samples - Number of evaluations to vote across
+   * @returns {Promise<{success: boolean, evaluation?: Object, error?: string}>} - The new evaluation, in the
+   *   shape evaluateAnswer() returns, with gradedBy 'appeal' and the number of evaluations that voted
+   */
+  async appealAnswer(questionType, userAnswer, questionData, { samples = APPEAL_SAMPLES } = {}) {
+    try {
+      if (!WRITTEN_MARKING[questionType]) {
+        throw new Error('Only written answers can be appealed');
+      }
+
+      const { rubric } = questionData;
+      const evaluation = rubric && rubric.length > 0
+        ? await this.appealWithRubric(userAnswer, questionData, samples)
+        : await this.appealBySimilarity(questionType, userAnswer, questionData, samples);
+
+      console.log(`⚖️ Appeal decided by ${evaluation.votes} of ${samples} evaluations: ${evaluation.marksObtained} marks`);
+
+      return {
+        success: true,
+        evaluation
+      };
+    } catch (error) {
+      console.error('Error evaluating appeal:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Run the same evaluation several times, keeping the ones that succeed
+   * @param {number} samples - Number of evaluations
+   * @param {function(): Promise<Object>} evaluate - One evaluation; throws when unusable
+   * @returns {Promise<Array<Object>>} - Usable evaluations
+   * @throws {Error} - When fewer than a majority of evaluations are usable
+   */
+  async sampleEvaluations(samples, evaluate) {
+    const settled = await Promise.allSettled(Array.from({ length: samples }, () => evaluate()));
+    const verdicts = settled.filter(entry => entry.status === 'fulfilled').map(entry => entry.value);
+
+    if (verdicts.length <= samples / 2) {
+      throw new Error(`Only ${verdicts.length} of ${samples} appeal evaluations succeeded. Please try again later.`);
+    }
+    return verdicts;
+  }
+
+  /**
+   * Appeal against a rubric: each point counts as met when most evaluations find it
+   * @param {string} userAnswer - User's answer
+   * @param {Object} questionData - Question data with rubric, correct answer and question text
+   * @param {number} samples - Number of evaluations
+   * @returns {Promise<Object>} - Evaluation in the shape of evaluateWithRubric()
+   */
+  async appealWithRubric(userAnswer, { rubric, correctAnswer, questionText }, samples) {
+    const verdicts = await this.sampleEvaluations(samples, () => this.matchRubricWithLLM(
+      userAnswer, rubric, correctAnswer, questionText, { appeal: true, temperature: APPEAL_TEMPERATURE }
+    ));
+
+    const met = rubric.map((_, index) => verdicts.filter(verdict => verdict.met[index]).length > verdicts.length / 2);
+    const matchedPoints = rubric.filter((_, index) => met[index]);
+    const missedPoints = rubric.filter((_, index) => !met[index]);
+    const marksObtained = matchedPoints.reduce((sum, entry) => sum + entry.marks, 0);
+    const totalMarks = rubric.reduce((sum, entry) => sum + entry.marks, 0);
+
+    // Feedback from an evaluation that reached the majority verdict, when one did
+    const agreeing = verdicts.find(verdict => verdict.met.every((value, index) => value === met[index]));
+
+    return {
+      isCorrect: marksObtained === totalMarks,
+      marksObtained,
+      similarityScore: median(verdicts.map(verdict => verdict.similarityScore)),
+      matchedPoints,
+      missedPoints,
+      feedback: agreeing?.feedback || this.createRubricFeedback(matchedPoints, missedPoints),
+      gradedBy: 'appeal',
+      votes: verdicts.length
+    };
+  }
+
+  /**
+   * Appeal without a rubric: the answer is correct when most evaluations say so
+   * @param {string} questionType - Type of question ('saq' or 'laq')
+   * @param {string} userAnswer - User's answer
+   * @param {Object} questionData - Question data with correct answer and question text
+   * @param {number} samples - Number of evaluations
+   * @returns {Promise<Object>} - Evaluation in the shape of evaluateSAQ()/evaluateLAQ()
+   */
+  async appealBySimilarity(questionType, userAnswer, { correctAnswer, questionText }, samples) {
+    const { threshold, marks } = WRITTEN_MARKING[questionType];
+    const prompt = this.createSimilarityPrompt(userAnswer, correctAnswer, questionText, threshold, { appeal: true });
+
+    const verdicts = await this.sampleEvaluations(samples, async () => {
+      const result = await llmProvider.generate(
+        [{ role: 'user', content: prompt }],
+        { profile: 'grading', temperature: APPEAL_TEMPERATURE }
+      );
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (!/Similarity Score:\s*\d+/.test(result.response)) {
+        throw new Error('Appeal evaluation has no similarity score');
+      }
+      return this.parseSimilarityResponse(result.response, threshold);
+    });
+
+    const isCorrect = verdicts.filter(verdict => verdict.isCorrect).length > verdicts.length / 2;
+    const agreeing = verdicts.find(verdict => verdict.isCorrect === isCorrect);
+
+    return {
+      isCorrect,
+      marksObtained: isCorrect ? marks : 0,
+      similarityScore: median(verdicts.map(verdict => verdict.similarityScore)),
+      feedback: agreeing.feedback,
+      gradedBy: 'appeal',
+      votes: verdicts.length
+    };
+  }
+
   /**
    * Batch evaluate multiple answers
    * @param {Array} answers - Array of answer objects
@@ -1,30 +1,96 @@
 import { supabase } from '../lib/supabase';
-
-class QuizGenerationService {
-  constructor() {
-    this.apiKey = process.env.REACT_APP_HF_API_KEY;
-    this.apiUrl = "/api/hf";
-
-    // Enhanced debugging for API key
-    console.log("Quiz Generation Service - Environment check:");
-    console.log(
-      "- REACT_APP_HF_API_KEY exists:",
-      !!process.env.REACT_APP_HF_API_KEY
-    );
-
-    if (!this.apiKey) {
-      console.error("❌ Hugging Face API key not found!");
-      console.error("Please check:");
-      console.error("1. .env.local file exists in project root");
-      console.error("2. REACT_APP_HF_API_KEY is set correctly");
-      console.error("3. Development server has been restarted");
-    } else {
-      console.log("✅ Hugging Face API key loaded successfully!");
+import { llmProvider } from './llmProvider';
+import { retrievalService, tokenize, pageLabel, sectionLabel } from './retrievalService';
+import { parseJsonResponse, validateJsonSchema } from '../lib/jsonSchema';
+
+// How many times to ask the model per section before giving up on missing questions
+const MAX_GENERATION_ATTEMPTS = 3;
+
+// Characters of source text per generation prompt
+const SECTION_SIZE = 3000;
+
+// Longest sections asked again when the first pass comes up short
+const MAX_TOP_UP_SECTIONS = 3;
+
+// Questions sharing at least this share of their terms count as duplicates
+const NEAR_DUPLICATE_THRESHOLD = 0.7;
+
+const QUESTION_TYPES = ['mcq', 'saq', 'laq'];
+
+const QUESTION_MARKS = { mcq: 1, saq: 3, laq: 5 };
+
+const TYPE_LABELS = {
+  mcq: 'Multiple Choice Questions (MCQs)',
+  saq: 'Short Answer Questions (SAQs)',
+  laq: 'Long Answer Questions (LAQs)'
+};
+
+// Written answers are marked against a rubric of key points, each worth
+// some of the question's marks, so partial answers earn partial credit
+const writtenQuestionSchema = (type) => ({
+  type: 'object',
+  required: ['type', 'question', 'answer', 'explanation', 'rubric'],
+  additionalProperties: false,
+  properties: {
+    type: { enum: [type] },
+    question: { type: 'string', minLength: 1 },
+    answer: { type: 'string', minLength: 1 },
+    explanation: { type: 'string', minLength: 1 },
+    rubric: {
+      type: 'array',
+      minItems: 1,
+      maxItems: QUESTION_MARKS[type],
+      items: {
+        type: 'object',
+        required: ['point', 'marks'],
+        additionalProperties: false,
+        properties: {
+          point: { type: 'string', minLength: 1 },
+          marks: { type: 'integer', minimum: 1, maximum: QUESTION_MARKS[type] }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * JSON Schema for each question type. The model is shown these schemas and
+ * every question it returns is validated against the one for its type.
+ */
+export const QUESTION_SCHEMAS = {
+  mcq: {
+    type: 'object',
+    required: ['type', 'question', 'options', 'answer', 'explanation'],
+    additionalProperties: false,
+    properties: {
+      type: { enum: ['mcq'] },
+      question: { type: 'string', minLength: 1 },
+      options: { type: 'array', minItems: 4, maxItems: 4, items: { type: 'string', minLength: 1 } },
+      answer: { type: 'integer', minimum: 1, maximum: 4 },
+      explanation: { type: 'string', minLength: 1 }
     }
+  },
+  saq: writtenQuestionSchema('saq'),
+  laq: writtenQuestionSchema('laq')
+};
+
+// The response wraps the questions; each item is checked against QUESTION_SCHEMAS
+const QUIZ_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: { type: 'array', items: { type: 'object' } }
   }
+};
 
+class QuizGenerationService {
   /**
    * Generate quiz questions from selected PDF files
+   * The combined content is split into sections that each fit in one prompt
+   * (map), the requested counts are shared out across sections by length,
+   * and the per-section results are merged with near-duplicates dropped
+   * (reduce). Questions the model leaves out or gets wrong are asked for
+   * again, only those, until the configured counts are met.
    * @param {Array<string>} fileIds - Array of file IDs to extract content from
    * @param {Object} quizConfig - Quiz configuration object
    * @returns {Promise<{success: boolean, questions?: Array, error?: string}>}
@@ -34,37 +100,67 @@ class QuizGenerationService {
       console.log('Starting quiz generation with config:', quizConfig);
 
       // Extract text content from all selected files
-      const context = await this.extractTextFromFiles(fileIds);
-      if (!context || context.trim().length === 0) {
+      const sources = await this.extractTextFromFiles(fileIds);
+      const sections = this.splitIntoSections(sources);
+      if (sections.length === 0) {
         return {
           success: false,
           error: 'No text content found in selected files. Please ensure PDFs have been processed.'
         };
       }
 
-      // Create structured prompt for LLM
-      const rawPrompt = this.createQuizPrompt(context, quizConfig);
-      const prompt = `<|begin_of_text|><|start_header_id|>user<|end_header_id|>\n\n${rawPrompt}<|eot_id|><|start_header_id|>assistant<|end_header_id|>\n\n`;
+      const required = {
+        mcq: quizConfig.totalMcqs || 0,
+        saq: quizConfig.totalSaqs || 0,
+        laq: quizConfig.totalLaqs || 0
+      };
+      const allocation = this.allocateQuestions(sections, required);
+      const accepted = [];
 
-      // Call Hugging Face API
-      const llmResponse = await this.callLLM(prompt);
-      if (!llmResponse.success) {
-        return {
-          success: false,
-          error: llmResponse.error
-        };
+      // Map: generate each section's share
+      for (let i = 0; i < sections.length; i++) {
+        if (QUESTION_TYPES.every(type => allocation[i][type] === 0)) continue;
+
+        console.log(`📝 Section ${i + 1}/${sections.length} (${sections[i].fileName}):`, allocation[i]);
+        const result = await this.generateForSection(sections[i], quizConfig.difficulty, allocation[i], accepted);
+        if (!result.success) {
+          return result;
+        }
+        accepted.push(...result.questions);
+      }
+
+      // Top up from the longest sections when sections fell short or lost duplicates
+      const longestSections = [...sections]
+        .sort((a, b) => b.content.length - a.content.length)
+        .slice(0, MAX_TOP_UP_SECTIONS);
+
+      for (const section of longestSections) {
+        const missing = this.countMissing(required, accepted);
+        if (QUESTION_TYPES.every(type => missing[type] === 0)) break;
+
+        console.log(`🔁 Topping up from ${section.fileName}:`, missing);
+        const result = await this.generateForSection(section, quizConfig.difficulty, missing, accepted);
+        if (!result.success) {
+          return result;
+        }
+        accepted.push(...result.questions);
       }
 
-      // Parse LLM response into structured questions
-      const questions = this.parseQuizResponse(llmResponse.response, quizConfig);
-      if (!questions || questions.length === 0) {
+      const missing = this.countMissing(required, accepted);
+      const missingTotal = Object.values(missing).reduce((sum, count) => sum + count, 0);
+      if (missingTotal > 0) {
+        const expectedTotal = Object.values(required).reduce((sum, count) => sum + count, 0);
         return {
           success: false,
-          error: 'Failed to parse questions from LLM response. Please try again.'
+          error: `Could only generate ${expectedTotal - missingTotal} of ${expectedTotal} questions. Please try again.`
         };
       }
 
-      console.log(`Successfully generated ${questions.length} questions`);
+      const questions = QUESTION_TYPES
+        .flatMap(type => accepted.filter(question => question.type === type))
+        .map((question, index) => this.toQuizQuestion(question, index + 1));
+
+      console.log(`Successfully generated ${questions.length} questions from ${sections.length} sections`);
 
       return {
         success: true,
@@ -81,9 +177,161 @@ class QuizGenerationService {
   }
 
   /**
-   * Extract text content from multiple PDF files
+   * Generate questions from one section, re-prompting for missing or
+   * invalid questions up to MAX_GENERATION_ATTEMPTS times
+   * @param {Object} section - Section from splitIntoSections()
+   * @param {string} difficulty - Difficulty level
+   * @param {{mcq: number, saq: number, laq: number}} counts - Questions wanted from this section
+   * @param {Array<Object>} accepted - Questions already accepted from other sections (for duplicate checks)
+   * @returns {Promise<{success: boolean, questions?: Array<Object>, error?: string}>}
+   */
+  async generateForSection(section, difficulty, counts, accepted) {
+    const sectionQuestions = [];
+    let feedback = [];
+
+    for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+      const missing = this.countMissing(counts, sectionQuestions);
+      if (QUESTION_TYPES.every(type => missing[type] === 0)) break;
+
+      const prompt = this.createQuizPrompt(section, {
+        difficulty,
+        counts: missing,
+        existingQuestions: sectionQuestions.map(question => question.question),
+        feedback
+      });
+
+      const llmResponse = await this.callLLM(prompt);
+      if (!llmResponse.success) {
+        return {
+          success: false,
+          error: llmResponse.error
+        };
+      }
+
+      const { questions, errors } = this.parseQuizResponse(llmResponse.response);
+      feedback = errors;
+
+      questions.forEach(question => {
+        if (this.countMissing(counts, sectionQuestions)[question.type] === 0) return;
+
+        if (this.isNearDuplicate(question, [...accepted, ...sectionQuestions])) {
+          console.log('Skipping near-duplicate question:', question.question);
+          return;
+        }
+
+        // Kept with the question so answers can be graded against it offline
+        sectionQuestions.push({ ...question, sourcePassage: section.content });
+      });
+    }
+
+    return {
+      success: true,
+      questions: sectionQuestions
+    };
+  }
+
+  /**
+   * Questions still needed per type
+   * @param {Object} required - Requested count per type
+   * @param {Array<Object>} questions - Valid questions gathered so far
+   * @returns {{mcq: number, saq: number, laq: number}}
+   */
+  countMissing(required, questions) {
+    const missing = {};
+    QUESTION_TYPES.forEach(type => {
+      const have = questions.filter(question => question.type === type).length;
+      missing[type] = Math.max(0, (required[type] || 0) - have);
+    });
+    return missing;
+  }
+
+  /**
+   * Split each source into sections that fit in one generation prompt
+   * @param {Array<{fileName: string, text: string, pages: Array, outline: Array}>} sources - Output of extractTextFromFiles()
+   * @returns {Array<{fileName: string, content: string, pageStart?: number, pageEnd?: number, sections: Array<string>}>}
+   */
+  splitIntoSections(sources) {
+    return sources.flatMap(source => (
+      retrievalService
+        .chunkText(source.text, { chunkSize: SECTION_SIZE, overlap: 0, pages: source.pages || [], outline: source.outline || [] })
+        .map(chunk => ({
+          fileName: source.fileName,
+          content: chunk.content,
+          pageStart: chunk.pageStart,
+          pageEnd: chunk.pageEnd,
+          sections: chunk.sections
+        }))
+    ));
+  }
+
+  /**
+   * Share the requested counts out across sections in proportion to their
+   * length, using the largest remainder method so the totals match exactly
+   * @param {Array<{content: string}>} sections - Sections to allocate to
+   * @param {{mcq: number, saq: number, laq: number}} required - Requested count per type
+   * @returns {Array<{mcq: number, saq: number, laq: number}>} - Counts per section, in order
+   */
+  allocateQuestions(sections, required) {
+    const totalLength = sections.reduce((sum, section) => sum + section.content.length, 0);
+    const allocation = sections.map(() => ({ mcq: 0, saq: 0, laq: 0 }));
+
+    QUESTION_TYPES.forEach(type => {
+      const count = required[type] || 0;
+      if (count === 0 || totalLength === 0) return;
+
+      const quotas = sections.map((section, index) => {
+        const exact = count * section.content.length / totalLength;
+        allocation[index][type] = Math.floor(exact);
+        return { index, remainder: exact - Math.floor(exact) };
+      });
+
+      const assigned = allocation.reduce((sum, counts) => sum + counts[type], 0);
+      quotas
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+        .slice(0, count - assigned)
+        .forEach(({ index }) => {
+          allocation[index][type] += 1;
+        });
+    });
+
+    return allocation;
+  }
+
+  /**
+   * Jaccard similarity of two questions' term sets
+   * @param {string} a - First question
+   * @param {string} b - Second question
+   * @returns {number} - 0 (no shared terms) to 1 (same terms)
+   */
+  questionSimilarity(a, b) {
+    const termsA = new Set(tokenize(a));
+    const termsB = new Set(tokenize(b));
+    if (termsA.size === 0 && termsB.size === 0) return 1;
+
+    let shared = 0;
+    termsA.forEach(term => {
+      if (termsB.has(term)) shared++;
+    });
+
+    return shared / (termsA.size + termsB.size - shared);
+  }
+
+  /**
+   * Check whether a question asks the same thing as one already accepted
+   * @param {Object} question - Candidate question
+   * @param {Array<Object>} existing - Accepted questions
+   * @returns {boolean}
+   */
+  isNearDuplicate(question, existing) {
+    return existing.some(other => (
+      this.questionSimilarity(question.question, other.question) >= NEAR_DUPLICATE_THRESHOLD
+    ));
+  }
+
+  /**
+   * Load the extracted text of each selected file
    * @param {Array<string>} fileIds - Array of file IDs
-   * @returns {Promise<string>} - Combined text content
+   * @returns {Promise<Array<{fileName: string, text: string, pages: Array, outline: Array}>>} - One entry per file with text
    */
   async extractTextFromFiles(fileIds) {
     try {
@@ -91,6 +339,8 @@ class QuizGenerationService {
         .from('pdf_text_content')
         .select(`
           extracted_text,
+          pages,
+          outline,
           base_files!inner(
             id,
             file_name,
@@ -102,285 +352,196 @@ class QuizGenerationService {
 
       if (error) {
         console.error('Error fetching text content:', error);
-        return '';
+        return [];
       }
 
       if (!data || data.length === 0) {
         console.log('No extracted text found for selected files');
-        return '';
+        return [];
       }
 
-      // Combine text from all files
-      let combinedText = '';
-      data.forEach((item, index) => {
-        if (item.extracted_text) {
-          combinedText += `\n\n--- Content from ${item.base_files.file_name} ---\n\n`;
-          combinedText += item.extracted_text;
-        }
-      });
+      const sources = data
+        .filter(item => item.extracted_text && item.extracted_text.trim())
+        .map(item => ({
+          fileName: item.base_files.file_name,
+          text: item.extracted_text,
+          pages: item.pages || [],
+          outline: item.outline || []
+        }));
 
-      console.log(`Combined text from ${data.length} files: ${combinedText.length} characters`);
-      return combinedText.trim();
+      const totalLength = sources.reduce((sum, source) => sum + source.text.length, 0);
+      console.log(`Loaded text from ${sources.length} files: ${totalLength} characters`);
+      return sources;
 
     } catch (error) {
       console.error('Error extracting text from files:', error);
-      return '';
+      return [];
     }
   }
 
   /**
-   * Create structured prompt for LLM to generate quiz questions
-   * @param {string} context - Combined text content from PDFs
-   * @param {Object} config - Quiz configuration
+   * Create the quiz generation prompt for one section
+   * @param {Object} section - Section from splitIntoSections()
+   * @param {Object} request - What to ask for
+   * @param {string} request.difficulty - Difficulty level
+   * @param {{mcq: number, saq: number, laq: number}} request.counts - Questions needed per type
+   * @param {Array<string>} request.existingQuestions - Questions already accepted, not to be repeated
+   * @param {Array<string>} request.feedback - Validation errors from the previous attempt
    * @returns {string} - Formatted prompt
    */
-  createQuizPrompt(context, config) {
-    const { difficulty, totalMcqs, totalSaqs, totalLaqs } = config;
-
-    // Truncate context if too long (to stay within API limits)
-    const maxContextLength = 3000;
-    const truncatedContext = context.length > maxContextLength
-      ? context.substring(0, maxContextLength) + "..."
-      : context;
+  createQuizPrompt(section, { difficulty, counts, existingQuestions = [], feedback = [] }) {
+    const location = [section.fileName, pageLabel(section), sectionLabel(section)].filter(Boolean).join(', ');
+
+    const requestedTypes = QUESTION_TYPES.filter(type => counts[type] > 0);
+    const schemas = {};
+    requestedTypes.forEach(type => {
+      schemas[type] = QUESTION_SCHEMAS[type];
+    });
+
+    const retryNotes = [];
+    if (existingQuestions.length > 0) {
+      retryNotes.push(`These questions already exist. Do not repeat them:\n${existingQuestions.map(question => `- ${question}`).join('\n')}`);
+    }
+    if (feedback.length > 0) {
+      retryNotes.push(`Your previous answer had these problems:\n${feedback.slice(0, 10).map(error => `- ${error}`).join('\n')}`);
+    }
 
     return `You are an expert quiz generator. Based on the following educational content, generate quiz questions according to the specified requirements.
 
-CONTENT:
-${truncatedContext}
+CONTENT (from ${location}):
+${section.content}
 
 REQUIREMENTS:
 - Difficulty Level: ${difficulty}
-- Generate exactly ${totalMcqs} Multiple Choice Questions (MCQs)
-- Generate exactly ${totalSaqs} Short Answer Questions (SAQs)
-- Generate exactly ${totalLaqs} Long Answer Questions (LAQs)
-
-FORMAT REQUIREMENTS:
-For MCQs, use this exact format:
-MCQ: {Question text}
-Options: 1) {Option 1} 2) {Option 2} 3) {Option 3} 4) {Option 4}
-Answer: {Correct option number}
-Explanation: {Detailed explanation}
-
-For SAQs, use this exact format:
-SAQ: {Question text}
-Answer: {Correct answer}
-Explanation: {Detailed explanation}
-
-For LAQs, use this exact format:
-LAQ: {Question text}
-Answer: {Correct answer}
-Explanation: {Detailed explanation}
+${requestedTypes.map(type => `- Generate exactly ${counts[type]} ${TYPE_LABELS[type]}`).join('\n')}
+${retryNotes.length > 0 ? `\n${retryNotes.join('\n\n')}\n` : ''}
+OUTPUT FORMAT:
+Respond with a single JSON object and nothing else: {"questions": [...]}
+Each question must match the JSON Schema for its type:
+${JSON.stringify(schemas, null, 2)}
+
+For MCQs, "options" holds the four options in order and "answer" is the number (1-4) of the correct option.
+For SAQs and LAQs, "rubric" lists the key points a full answer must make, each with the marks it is worth; the marks must add up to ${QUESTION_MARKS.saq} for an SAQ and ${QUESTION_MARKS.laq} for an LAQ.
 
 IMPORTANT:
 - Questions should be appropriate for ${difficulty} difficulty level
-- MCQs should have exactly 4 options each
 - Questions should test understanding, not just memorization
 - Answers should be comprehensive and educational
 - Ensure questions are directly related to the provided content
-- Number questions sequentially (1, 2, 3, etc.)
 
 Generate the questions now:`;
   }
 
   /**
-   * Call Hugging Face LLM API
+   * Call the configured LLM provider
    * @param {string} prompt - Formatted prompt
    * @returns {Promise<{success: boolean, response?: string, error?: string}>}
    */
   async callLLM(prompt) {
-    try {
-      if (!this.apiKey) {
-        throw new Error(
-          "Hugging Face API key not found. Please create a .env.local file in your project root and add: REACT_APP_HF_API_KEY=your_api_key_here"
-        );
-      }
-
-      console.log('Calling Hugging Face API for quiz generation...');
-
-      const response = await fetch(this.apiUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          inputs: prompt,
-          parameters: {
-            max_new_tokens: 1500,
-            return_full_text: false,
-            temperature: 0.7
-          }
-        }),
-      });
+    console.log('Calling LLM for quiz generation...');
 
-      if (response.ok) {
-        const data = await response.json();
-        console.log('✅ LLM API call successful');
-
-        if (data.error) {
-          throw new Error(`API error: ${data.error}`);
-        }
-
-        // Llama 3 Inference API returns array of objects
-        let generatedText = "";
-        if (Array.isArray(data) && data.length > 0) {
-          generatedText = data[0].generated_text;
-        } else if (data.generated_text) {
-          generatedText = data.generated_text;
-        } else {
-          generatedText = JSON.stringify(data);
-        }
+    const result = await llmProvider.generate(
+      [{ role: 'user', content: prompt }],
+      { profile: 'quiz_generation', maxTokens: 1500, temperature: 0.7 }
+    );
 
-        return {
-          success: true,
-          response: generatedText
-        };
-      } else {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          `API request failed: ${response.status} - ${errorData.error || response.statusText}`
-        );
-      }
-    } catch (error) {
-      console.error('Error calling LLM:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+    if (result.success) {
+      console.log('✅ LLM API call successful');
     }
+
+    return result;
   }
 
   /**
-   * Parse LLM response into structured questions
+   * Parse the model's JSON and validate every question against its schema
    * @param {string} llmResponse - Raw response from LLM
-   * @param {Object} config - Quiz configuration
-   * @returns {Array} - Array of structured questions
+   * @returns {{questions: Array<Object>, errors: Array<string>}} - Valid questions (in the
+   *   schema's shape) and what was wrong with the rest
    */
-  parseQuizResponse(llmResponse, config) {
-    try {
-      console.log('Parsing LLM response...');
-      console.log('Expected questions:', config.totalMcqs + config.totalSaqs + config.totalLaqs);
-
-      const questions = [];
-      const lines = llmResponse.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-
-      let currentQuestion = null;
-      let questionNumber = 1;
-      let mcqCount = 0;
-      let saqCount = 0;
-      let laqCount = 0;
-
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-
-        // Detect question type
-        if (line.startsWith('MCQ:') && mcqCount < config.totalMcqs) {
-          if (currentQuestion) {
-            questions.push(currentQuestion);
-          }
-          currentQuestion = {
-            type: 'mcq',
-            questionNumber: questionNumber++,
-            questionText: line.substring(4).trim(),
-            options: {},
-            correctAnswer: '',
-            correctOptionNumber: null,
-            explanation: '',
-            marks: 1
-          };
-          mcqCount++;
-        } else if (line.startsWith('SAQ:') && saqCount < config.totalSaqs) {
-          if (currentQuestion) {
-            questions.push(currentQuestion);
-          }
-          currentQuestion = {
-            type: 'saq',
-            questionNumber: questionNumber++,
-            questionText: line.substring(4).trim(),
-            options: null,
-            correctAnswer: '',
-            correctOptionNumber: null,
-            explanation: '',
-            marks: 3
-          };
-          saqCount++;
-        } else if (line.startsWith('LAQ:') && laqCount < config.totalLaqs) {
-          if (currentQuestion) {
-            questions.push(currentQuestion);
-          }
-          currentQuestion = {
-            type: 'laq',
-            questionNumber: questionNumber++,
-            questionText: line.substring(4).trim(),
-            options: null,
-            correctAnswer: '',
-            correctOptionNumber: null,
-            explanation: '',
-            marks: 5
-          };
-          laqCount++;
-        } else if (currentQuestion) {
-          // Parse question details
-          if (line.startsWith('Options:')) {
-            const optionsText = line.substring(8).trim();
-            const optionMatches = optionsText.match(/(\d+)\)\s*([^0-9]+?)(?=\s*\d+\)|$)/g);
-            if (optionMatches) {
-              optionMatches.forEach(match => {
-                const optionMatch = match.match(/(\d+)\)\s*(.+)/);
-                if (optionMatch) {
-                  currentQuestion.options[optionMatch[1]] = optionMatch[2].trim();
-                }
-              });
-            }
-          } else if (line.startsWith('Answer:')) {
-            const answerText = line.substring(7).trim();
-            if (currentQuestion.type === 'mcq') {
-              // Extract option number for MCQ
-              const optionMatch = answerText.match(/^(\d+)/);
-              if (optionMatch) {
-                currentQuestion.correctOptionNumber = parseInt(optionMatch[1]);
-                currentQuestion.correctAnswer = currentQuestion.options[optionMatch[1]] || answerText;
-              } else {
-                currentQuestion.correctAnswer = answerText;
-              }
-            } else {
-              currentQuestion.correctAnswer = answerText;
-            }
-          } else if (line.startsWith('Explanation:')) {
-            currentQuestion.explanation = line.substring(12).trim();
-          }
-        }
-      }
+  parseQuizResponse(llmResponse) {
+    const parsed = parseJsonResponse(llmResponse);
+    if (parsed.error) {
+      console.warn('Quiz response is not JSON:', parsed.error);
+      return { questions: [], errors: [`The response was not valid JSON (${parsed.error})`] };
+    }
 
-      // Add the last question
-      if (currentQuestion) {
-        questions.push(currentQuestion);
+    let items = parsed.items;
+    if (parsed.data !== undefined) {
+      const data = Array.isArray(parsed.data) ? { questions: parsed.data } : parsed.data;
+      const responseErrors = validateJsonSchema(data, QUIZ_RESPONSE_SCHEMA);
+      if (responseErrors.length > 0) {
+        return { questions: [], errors: responseErrors };
       }
+      items = data.questions;
+    } else {
+      console.warn(`Quiz response was cut off, kept ${items.length} complete questions`);
+    }
 
-      console.log(`Parsed ${questions.length} questions from LLM response`);
-      console.log(`MCQ: ${mcqCount}/${config.totalMcqs}, SAQ: ${saqCount}/${config.totalSaqs}, LAQ: ${laqCount}/${config.totalLaqs}`);
+    const questions = [];
+    const errors = [];
 
-      // Validate questions
-      const validQuestions = questions.filter(q =>
-        q.questionText &&
-        q.correctAnswer &&
-        q.explanation &&
-        (q.type !== 'mcq' || Object.keys(q.options).length === 4)
-      );
+    items.forEach((item, index) => {
+      const schema = QUESTION_SCHEMAS[item?.type];
+      const itemErrors = schema
+        ? validateJsonSchema(item, schema, `questions[${index}]`)
+        : [`questions[${index}].type must be one of ${QUESTION_TYPES.map(type => `"${type}"`).join(', ')}`];
 
-      console.log(`Valid questions: ${validQuestions.length}`);
+      if (itemErrors.length === 0 && item.rubric) {
+        const rubricMarks = item.rubric.reduce((sum, entry) => sum + entry.marks, 0);
+        if (rubricMarks !== QUESTION_MARKS[item.type]) {
+          itemErrors.push(`questions[${index}].rubric marks must add up to ${QUESTION_MARKS[item.type]} (got ${rubricMarks})`);
+        }
+      }
 
-      // Check if we have the expected number of questions
-      const expectedTotal = config.totalMcqs + config.totalSaqs + config.totalLaqs;
-      if (validQuestions.length !== expectedTotal) {
-        console.warn(`Warning: Expected ${expectedTotal} questions but got ${validQuestions.length}`);
+      if (itemErrors.length > 0) {
+        errors.push(...itemErrors);
+      } else {
+        questions.push(item);
       }
+    });
 
-      return validQuestions;
+    console.log(`Parsed ${questions.length} valid questions (${errors.length} validation errors)`);
 
-    } catch (error) {
-      console.error('Error parsing quiz response:', error);
-      return [];
+    return { questions, errors };
+  }
+
+  /**
+   * Convert a validated question into the shape stored by quizPersistenceService
+   * @param {Object} question - Question matching QUESTION_SCHEMAS
+   * @param {number} questionNumber - Position in the quiz
+   * @returns {Object}
+   */
+  toQuizQuestion(question, questionNumber) {
+    const base = {
+      type: question.type,
+      questionNumber,
+      questionText: question.question.trim(),
+      explanation: question.explanation.trim(),
+      marks: QUESTION_MARKS[question.type]
+    };
+
+    if (question.type === 'mcq') {
+      const options = {};
+      question.options.forEach((option, index) => {
+        options[index + 1] = option.trim();
+      });
+
+      return {
+        ...base,
+        options,
+        correctOptionNumber: question.answer,
+        correctAnswer: options[question.answer]
+      };
     }
+
+    return {
+      ...base,
+      options: null,
+      correctOptionNumber: null,
+      correctAnswer: question.answer.trim(),
+      rubric: question.rubric.map(entry => ({ point: entry.point.trim(), marks: entry.marks })),
+      sourcePassage: question.sourcePassage || null
+    };
   }
 
   /**
@@ -420,6 +581,24 @@ Generate the questions now:`;
       return { valid: false, error: 'Total questions cannot exceed 30' };
     }
 
+    if (config.examMode) {
+      const { durationMinutes, perQuestionLimits, questionTimeLimits } = config;
+
+      if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > 300) {
+        return { valid: false, error: 'Exam duration must be between 1 and 300 minutes' };
+      }
+
+      if (perQuestionLimits) {
+        const invalidType = QUESTION_TYPES.find(type => {
+          const seconds = questionTimeLimits?.[type];
+          return !Number.isInteger(seconds) || seconds < 10 || seconds > 3600;
+        });
+        if (invalidType) {
+          return { valid: false, error: `Time per ${invalidType.toUpperCase()} must be between 10 and 3600 seconds` };
+        }
+      }
+    }
+
     return { valid: true };
   }
 }
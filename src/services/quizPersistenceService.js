@@ -1,5 +1,12 @@
 import { supabase } from '../lib/supabase';
 
+// Hints check_quiz_answer_deadline gives when it refuses a late answer, by
+// the clock that ran out
+const TIME_UP_HINTS = {
+  exam_time_up: 'exam',
+  question_time_up: 'question'
+};
+
 class QuizPersistenceService {
   constructor() {
     this.currentUserId = null;
@@ -38,6 +45,8 @@ class QuizPersistenceService {
           total_mcqs: quizData.totalMcqs,
           total_saqs: quizData.totalSaqs,
           total_laqs: quizData.totalLaqs,
+          time_limit_minutes: quizData.examMode ? quizData.durationMinutes : null,
+          question_time_limits: quizData.examMode && quizData.perQuestionLimits ? quizData.questionTimeLimits : null,
           status: 'ready'
         })
         .select()
@@ -82,7 +91,9 @@ class QuizPersistenceService {
           correct_answer: q.correctAnswer,
           correct_option_number: q.correctOptionNumber,
           explanation: q.explanation,
-          marks: q.marks
+          marks: q.marks,
+          rubric: q.rubric || null,
+          source_passage: q.sourcePassage || null
         }));
 
         const { error: questionsError } = await supabase
@@ -120,9 +131,11 @@ class QuizPersistenceService {
    * @param {string} questionId - Question ID
    * @param {string} userAnswer - User's answer
    * @param {Object} evaluation - Evaluation result
-   * @returns {Promise<{success: boolean, answerId?: string, error?: string}>}
+   * @param {number} timeSpentSeconds - Time the question was on screen before the answer was submitted
+   * @returns {Promise<{success: boolean, answerId?: string, error?: string, timeUp?: string}>} - timeUp is
+   *   'exam' or 'question' when the database refused the answer as past a time limit
    */
-  async saveAnswer(quizId, questionId, userAnswer, evaluation) {
+  async saveAnswer(quizId, questionId, userAnswer, evaluation, timeSpentSeconds = null) {
     try {
       if (!this.currentUserId) {
         throw new Error('User not authenticated');
@@ -134,9 +147,8 @@ class QuizPersistenceService {
           quiz_id: quizId,
           question_id: questionId,
           user_answer: userAnswer,
-          is_correct: evaluation.isCorrect,
-          marks_obtained: evaluation.marksObtained,
-          similarity_score: evaluation.similarityScore
+          ...this.toGradeColumns(evaluation),
+          time_spent_seconds: timeSpentSeconds
         })
         .select()
         .single();
@@ -145,7 +157,8 @@ class QuizPersistenceService {
         console.error('Error saving answer:', error);
         return {
           success: false,
-          error: error.message
+          error: error.message,
+          timeUp: TIME_UP_HINTS[error.hint] || null
         };
       }
 
@@ -165,6 +178,109 @@ class QuizPersistenceService {
     }
   }
 
+  /**
+   * quiz_answers grade columns for an evaluation
+   * @param {Object} evaluation - Evaluation result from quizEvaluationService
+   * @returns {Object} - Column values
+   */
+  toGradeColumns(evaluation) {
+    return {
+      is_correct: evaluation.isCorrect,
+      marks_obtained: evaluation.marksObtained,
+      similarity_score: evaluation.similarityScore,
+      matched_points: evaluation.matchedPoints || null,
+      missed_points: evaluation.missedPoints || null,
+      feedback: evaluation.feedback || null,
+      graded_by: evaluation.gradedBy || null
+    };
+  }
+
+  /**
+   * Replace an answer's grade with the outcome of an appeal. The database
+   * takes the marks from the rubric points the appeal found (or all or none
+   * of them without a rubric) and sets is_correct and graded_by itself.
+   * @param {string} answerId - Answer ID
+   * @param {Object} evaluation - Evaluation from quizEvaluationService.appealAnswer()
+   * @returns {Promise<{success: boolean, marksObtained?: number, percentage?: number, error?: string}>} - The
+   *   recomputed quiz score
+   */
+  async appealGrade(answerId, evaluation) {
+    return this.regradeAnswer(answerId, 'appeal', {
+      marks_obtained: evaluation.marksObtained,
+      similarity_score: evaluation.similarityScore,
+      matched_points: evaluation.matchedPoints || null,
+      feedback: evaluation.feedback || null
+    }, `Decided by majority vote of ${evaluation.votes} evaluations`);
+  }
+
+  /**
+   * Set an answer's marks by hand
+   * @param {string} answerId - Answer ID
+   * @param {number} marks - New marks
+   * @param {number} maxMarks - Marks the question is worth
+   * @param {string} reason - Why the grade was changed
+   * @returns {Promise<{success: boolean, marksObtained?: number, percentage?: number, error?: string}>} - The
+   *   recomputed quiz score
+   */
+  async overrideGrade(answerId, marks, maxMarks, reason) {
+    if (!Number.isInteger(marks) || marks < 0 || marks > maxMarks) {
+      return { success: false, error: `Marks must be a whole number from 0 to ${maxMarks}` };
+    }
+    if (!reason || !reason.trim()) {
+      return { success: false, error: 'Please give a reason for changing the grade' };
+    }
+
+    return this.regradeAnswer(answerId, 'override', { marks_obtained: marks }, reason.trim());
+  }
+
+  /**
+   * Change an answer's grade through regrade_quiz_answer, which keeps the
+   * old grade in quiz_grade_history and recomputes the quiz score
+   * @param {string} answerId - Answer ID
+   * @param {string} changeType - 'appeal' or 'override'
+   * @param {Object} grade - New grade; regrade_quiz_answer uses only the fields the change type allows
+   * @param {string} reason - Why the grade changed
+   * @returns {Promise<{success: boolean, marksObtained?: number, percentage?: number, error?: string}>}
+   */
+  async regradeAnswer(answerId, changeType, grade, reason) {
+    try {
+      if (!this.currentUserId) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase.rpc('regrade_quiz_answer', {
+        p_answer_id: answerId,
+        p_change_type: changeType,
+        p_grade: grade,
+        p_reason: reason
+      });
+
+      if (error) {
+        console.error('Error regrading answer:', error);
+        return {
+          success: false,
+          error: error.message
+        };
+      }
+
+      const score = (data || [])[0] || {};
+      console.log(`✅ Answer regraded (${changeType}), quiz score now ${score.quiz_marks_obtained} marks`);
+
+      return {
+        success: true,
+        marksObtained: score.quiz_marks_obtained,
+        percentage: Number(score.quiz_percentage)
+      };
+
+    } catch (error) {
+      console.error('Error in regradeAnswer:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Get quiz with all questions
    * @param {string} quizId - Quiz ID
@@ -302,6 +418,73 @@ class QuizPersistenceService {
     }
   }
 
+  /**
+   * Start or resume an attempt at a quiz through start_quiz_attempt, which
+   * stamps the start with the database clock the first time
+   * @param {string} quizId - Quiz ID
+   * @returns {Promise<{success: boolean, startedAt?: string, serverTime?: string, error?: string}>} - Start of
+   *   the attempt and the current database time
+   */
+  async startQuizAttempt(quizId) {
+    return this.startClock('start_quiz_attempt', { p_quiz_id: quizId }, 'attempt_started_at');
+  }
+
+  /**
+   * Record when a question was first shown through start_quiz_question
+   * @param {string} questionId - Question ID
+   * @returns {Promise<{success: boolean, startedAt?: string, serverTime?: string, error?: string}>} - When the
+   *   question was first shown and the current database time
+   */
+  async startQuestion(questionId) {
+    return this.startClock('start_quiz_question', { p_question_id: questionId }, 'question_started_at');
+  }
+
+  /**
+   * Call one of the database functions that stamp a start time
+   * @param {string} functionName - Database function
+   * @param {Object} params - Its parameters
+   * @param {string} startColumn - Result column holding the start time
+   * @returns {Promise<{success: boolean, startedAt?: string, serverTime?: string, error?: string}>}
+   */
+  async startClock(functionName, params, startColumn) {
+    try {
+      if (!this.currentUserId) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data, error } = await supabase.rpc(functionName, params);
+
+      if (error) {
+        console.error(`Error calling ${functionName}:`, error);
+        return {
+          success: false,
+          error: error.message
+        };
+      }
+
+      const row = (data || [])[0];
+      if (!row) {
+        return {
+          success: false,
+          error: 'Quiz or question not found'
+        };
+      }
+
+      return {
+        success: true,
+        startedAt: row[startColumn],
+        serverTime: row.server_time
+      };
+
+    } catch (error) {
+      console.error('Error in startClock:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Get quiz results with answers and evaluation
    * @param {string} quizId - Quiz ID
@@ -329,7 +512,8 @@ class QuizPersistenceService {
             correct_answer,
             correct_option_number,
             explanation,
-            marks
+            marks,
+            rubric
           )
         `)
         .eq('quiz_id', quizId)
@@ -343,11 +527,24 @@ class QuizPersistenceService {
         };
       }
 
+      // Appeals and overrides, oldest first
+      const { data: gradeHistory, error: historyError } = await supabase
+        .from('quiz_grade_history')
+        .select('*')
+        .eq('quiz_id', quizId)
+        .order('changed_at', { ascending: true });
+
+      if (historyError) {
+        // The results are still usable without the history
+        console.error('Error fetching grade history:', historyError);
+      }
+
       return {
         success: true,
         results: {
           quiz: quizResult.quiz,
-          answers: answers || []
+          answers: answers || [],
+          gradeHistory: gradeHistory || []
         }
       };
 
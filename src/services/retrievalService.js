@@ -0,0 +1,569 @@
+import { supabase } from '../lib/supabase';
+import { llmProvider } from './llmProvider';
+
+/**
+ * Retrieval Service
+ * Splits extracted document text into overlapping chunks, stores them in
+ * pdf_text_chunks and ranks them per question so prompts only carry the
+ * passages that are relevant to what was asked.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'did', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+  'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so', 'such', 'than',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'would', 'you', 'your', 'about', 'explain', 'tell', 'describe', 'please'
+]);
+
+// BM25 tuning constants
+const BM25_K1 = 1.5;
+const BM25_B = 0.75;
+
+/**
+ * Rough token estimate (~4 characters per token for English text)
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Split text into lowercase search terms, dropping stopwords
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms
+ */
+export const tokenize = (text) => (
+  (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term))
+);
+
+/**
+ * Human-readable page reference for a chunk, e.g. "p. 4" or "pp. 4-5"
+ * @param {Object} chunk - Chunk with pageStart/pageEnd
+ * @returns {string} - Page label, or '' when page numbers are unknown
+ */
+export const pageLabel = (chunk) => {
+  if (!chunk.pageStart) return '';
+  return chunk.pageEnd && chunk.pageEnd !== chunk.pageStart
+    ? `pp. ${chunk.pageStart}-${chunk.pageEnd}`
+    : `p. ${chunk.pageStart}`;
+};
+
+/**
+ * Human-readable section reference for a chunk, e.g. 'section "Kinetics"'
+ * @param {Object} chunk - Chunk with sections
+ * @returns {string} - Section label, or '' when the source has no outline
+ */
+export const sectionLabel = (chunk) => {
+  const sections = chunk.sections || [];
+  if (sections.length === 0) return '';
+
+  const titles = sections.slice(0, 3).map(title => `"${title}"`).join(', ');
+  return sections.length === 1 ? `section ${titles}` : `sections ${titles}`;
+};
+
+class RetrievalService {
+  constructor() {
+    this.chunkSize = 1200;
+    this.chunkOverlap = 200;
+    this.topK = 6;
+    this.tokenBudget = 2500;
+    this.embeddingBatchSize = 16;
+  }
+
+  /**
+   * Split text into overlapping chunks, preferring sentence and word boundaries
+   * @param {string} text - Text to split
+   * @param {Object} options - Chunking options
+   * @param {number} options.chunkSize - Target chunk length in characters
+   * @param {number} options.overlap - Characters shared between neighbouring chunks
+   * @param {Array<{page: number, start: number, end: number}>} options.pages - Page offsets into the text
+   * @param {Array<{title: string, start: number}>} options.outline - Heading offsets into the text
+   * @returns {Array<{chunkIndex: number, content: string, startOffset: number, tokenCount: number, pageStart: number|null, pageEnd: number|null, sections: Array<string>}>}
+   */
+  chunkText(text, { chunkSize = this.chunkSize, overlap = this.chunkOverlap, pages = [], outline = [] } = {}) {
+    const chunks = [];
+    if (!text || !text.trim()) return chunks;
+
+    let start = 0;
+    while (start < text.length) {
+      let end = Math.min(start + chunkSize, text.length);
+
+      if (end < text.length) {
+        // Back up to the last sentence end, or failing that the last space
+        const window = text.substring(start, end);
+        const sentenceEnd = Math.max(
+          window.lastIndexOf('. '),
+          window.lastIndexOf('? '),
+          window.lastIndexOf('! '),
+          window.lastIndexOf('\n')
+        );
+        const wordEnd = window.lastIndexOf(' ');
+
+        if (sentenceEnd > chunkSize / 2) {
+          end = start + sentenceEnd + 1;
+        } else if (wordEnd > chunkSize / 2) {
+          end = start + wordEnd;
+        }
+      }
+
+      const content = text.substring(start, end).trim();
+      if (content) {
+        chunks.push({
+          chunkIndex: chunks.length,
+          content,
+          startOffset: start,
+          tokenCount: estimateTokens(content),
+          ...this.findPageRange(pages, start, end),
+          sections: this.findSections(outline, start, end)
+        });
+      }
+
+      if (end >= text.length) break;
+
+      // Step back for overlap, then forward to a word boundary
+      let next = Math.max(end - overlap, start + 1);
+      const space = text.indexOf(' ', next);
+      if (space !== -1 && space < end) {
+        next = space + 1;
+      }
+      start = next;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Find the pages a span of text falls on
+   * @param {Array<{page: number, start: number, end: number}>} pages - Page offsets
+   * @param {number} start - Span start offset
+   * @param {number} end - Span end offset
+   * @returns {{pageStart: number|null, pageEnd: number|null}}
+   */
+  findPageRange(pages, start, end) {
+    const covered = (pages || []).filter(page => page.start < end && page.end > start);
+    if (covered.length === 0) {
+      return { pageStart: null, pageEnd: null };
+    }
+
+    return {
+      pageStart: covered[0].page,
+      pageEnd: covered[covered.length - 1].page
+    };
+  }
+
+  /**
+   * Find the sections a span of text falls under: the heading in effect
+   * where it starts and any headings inside it
+   * @param {Array<{title: string, start: number}>} outline - Heading offsets, in document order
+   * @param {number} start - Span start offset
+   * @param {number} end - Span end offset
+   * @returns {Array<string>} - Section titles
+   */
+  findSections(outline, start, end) {
+    const headings = outline || [];
+    const current = headings.filter(heading => heading.start <= start).pop();
+    const inside = headings.filter(heading => heading.start > start && heading.start < end);
+
+    return [...new Set([current, ...inside].filter(Boolean).map(heading => heading.title))];
+  }
+
+  /**
+   * Chunk a file's extracted text and store the chunks (replacing old ones)
+   * @param {string} fileId - File ID
+   * @param {string} text - Extracted text
+   * @param {Array<Object>} pages - Page offsets from pdfTextExtractor
+   * @param {Array<Object>} outline - Headings from pdfTextExtractor
+   * @returns {Promise<{success: boolean, count?: number, error?: string}>}
+   */
+  async storeChunks(fileId, text, pages = [], outline = []) {
+    try {
+      const chunks = this.chunkText(text, { pages, outline });
+
+      let embeddings = [];
+      if (llmProvider.hasProfile('embeddings')) {
+        embeddings = await this.embedChunks(chunks);
+      }
+
+      const { error: deleteError } = await supabase
+        .from('pdf_text_chunks')
+        .delete()
+        .eq('file_id', fileId);
+
+      if (deleteError) {
+        throw new Error(`Database error: ${deleteError.message}`);
+      }
+
+      if (chunks.length === 0) {
+        return { success: true, count: 0 };
+      }
+
+      const rows = chunks.map((chunk, index) => ({
+        file_id: fileId,
+        chunk_index: chunk.chunkIndex,
+        content: chunk.content,
+        start_offset: chunk.startOffset,
+        token_count: chunk.tokenCount,
+        page_start: chunk.pageStart,
+        page_end: chunk.pageEnd,
+        sections: chunk.sections,
+        embedding: embeddings[index] || null
+      }));
+
+      const { error } = await supabase
+        .from('pdf_text_chunks')
+        .insert(rows);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      console.log(`Stored ${rows.length} chunks for file: ${fileId}`);
+
+      return { success: true, count: rows.length };
+
+    } catch (error) {
+      console.error('Error storing chunks:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Copy another file's stored chunks, embeddings included, to a file with
+   * identical content
+   * @param {string} sourceFileId - File whose chunks are copied
+   * @param {string} fileId - File receiving the copy (its old chunks are replaced)
+   * @returns {Promise<{success: boolean, count?: number, error?: string}>}
+   */
+  async copyChunks(sourceFileId, fileId) {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('pdf_text_chunks')
+        .select('chunk_index, content, start_offset, token_count, page_start, page_end, sections, embedding')
+        .eq('file_id', sourceFileId)
+        .order('chunk_index', { ascending: true });
+
+      if (fetchError) {
+        throw new Error(`Database error: ${fetchError.message}`);
+      }
+
+      if (!data || data.length === 0) {
+        throw new Error('Source file has no stored chunks');
+      }
+
+      await this.deleteChunks(fileId);
+
+      const { error } = await supabase
+        .from('pdf_text_chunks')
+        .insert(data.map(row => ({ ...row, file_id: fileId })));
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      console.log(`Copied ${data.length} chunks from file ${sourceFileId} to ${fileId}`);
+
+      return { success: true, count: data.length };
+
+    } catch (error) {
+      console.error('Error copying chunks:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Embed chunk contents in batches
+   * @param {Array<Object>} chunks - Chunks from chunkText()
+   * @returns {Promise<Array<Array<number>|null>>} - One embedding (or null) per chunk
+   */
+  async embedChunks(chunks) {
+    const embeddings = [];
+
+    for (let i = 0; i < chunks.length; i += this.embeddingBatchSize) {
+      const batch = chunks.slice(i, i + this.embeddingBatchSize);
+      const result = await llmProvider.embed(batch.map(chunk => chunk.content));
+
+      if (!result.success) {
+        console.warn('Embedding failed, chunks will be ranked with BM25:', result.error);
+        return [];
+      }
+
+      embeddings.push(...result.embeddings);
+    }
+
+    return embeddings;
+  }
+
+  /**
+   * Load the stored chunks for a file
+   * @param {string} fileId - File ID
+   * @returns {Promise<Array<Object>>} - Chunks ordered by position
+   */
+  async getChunks(fileId) {
+    try {
+      const { data, error } = await supabase
+        .from('pdf_text_chunks')
+        .select('chunk_index, content, start_offset, token_count, page_start, page_end, sections, embedding')
+        .eq('file_id', fileId)
+        .order('chunk_index', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching chunks:', error);
+        return [];
+      }
+
+      return (data || []).map(row => ({
+        fileId,
+        chunkIndex: row.chunk_index,
+        content: row.content,
+        startOffset: row.start_offset,
+        tokenCount: row.token_count,
+        pageStart: row.page_start,
+        pageEnd: row.page_end,
+        sections: row.sections || [],
+        embedding: row.embedding
+      }));
+
+    } catch (error) {
+      console.error('Error in getChunks:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Load chunks for a file, chunking its extracted text on the fly for
+   * files that were processed before chunks were stored
+   * @param {string} fileId - File ID
+   * @returns {Promise<Array<Object>>} - Chunks ordered by position
+   */
+  async getOrCreateChunks(fileId) {
+    const chunks = await this.getChunks(fileId);
+    if (chunks.length > 0) return chunks;
+
+    const { data, error } = await supabase
+      .from('pdf_text_content')
+      .select('extracted_text, pages, outline')
+      .eq('file_id', fileId)
+      .eq('status', 'completed')
+      .maybeSingle();
+
+    if (error || !data?.extracted_text) {
+      return [];
+    }
+
+    // Backfill so the next question does not have to chunk again
+    const pages = data.pages || [];
+    const outline = data.outline || [];
+    this.storeChunks(fileId, data.extracted_text, pages, outline);
+
+    return this.chunkText(data.extracted_text, { pages, outline }).map(chunk => ({ ...chunk, fileId }));
+  }
+
+  /**
+   * Rank chunks against a query with BM25
+   * @param {string} query - Question text
+   * @param {Array<Object>} chunks - Candidate chunks
+   * @returns {Array<Object>} - Chunks with a `score`, best first
+   */
+  rankWithBM25(query, chunks) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const documents = chunks.map(chunk => tokenize(chunk.content));
+    const averageLength = documents.reduce((sum, terms) => sum + terms.length, 0) / (documents.length || 1);
+
+    // Document frequency per query term
+    const documentFrequency = {};
+    for (const term of queryTerms) {
+      documentFrequency[term] = documents.filter(terms => terms.includes(term)).length;
+    }
+
+    return chunks
+      .map((chunk, index) => {
+        const terms = documents[index];
+        let score = 0;
+
+        for (const term of queryTerms) {
+          const frequency = terms.filter(t => t === term).length;
+          if (frequency === 0) continue;
+
+          const df = documentFrequency[term];
+          const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+          const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (terms.length / (averageLength || 1)));
+          score += idf * (frequency * (BM25_K1 + 1)) / norm;
+        }
+
+        return { ...chunk, score };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Rank chunks against a query by embedding cosine similarity
+   * @param {string} query - Question text
+   * @param {Array<Object>} chunks - Candidate chunks (all with embeddings)
+   * @returns {Promise<Array<Object>|null>} - Ranked chunks, or null if embedding failed
+   */
+  async rankWithEmbeddings(query, chunks) {
+    const result = await llmProvider.embed([query]);
+    if (!result.success || !result.embeddings[0]) {
+      return null;
+    }
+
+    const queryVector = result.embeddings[0];
+    return chunks
+      .map(chunk => ({ ...chunk, score: this.cosineSimilarity(queryVector, chunk.embedding) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Cosine similarity between two vectors
+   * @param {Array<number>} a - First vector
+   * @param {Array<number>} b - Second vector
+   * @returns {number} - Similarity in [-1, 1]
+   */
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+
+  /**
+   * Rank candidate chunks, preferring embeddings when every chunk has one
+   * @param {string} query - Question text
+   * @param {Array<Object>} chunks - Candidate chunks
+   * @returns {Promise<Array<Object>>} - Ranked chunks
+   */
+  async rankChunks(query, chunks) {
+    const canUseEmbeddings = llmProvider.hasProfile('embeddings') &&
+      chunks.length > 0 &&
+      chunks.every(chunk => Array.isArray(chunk.embedding));
+
+    if (canUseEmbeddings) {
+      const ranked = await this.rankWithEmbeddings(query, chunks);
+      if (ranked) return ranked;
+    }
+
+    return this.rankWithBM25(query, chunks);
+  }
+
+  /**
+   * Pick the best chunks that fit into a token budget
+   * Questions with no matching terms (e.g. "summarise this") fall back to
+   * the start of the document.
+   * @param {Array<Object>} rankedChunks - Chunks, best first
+   * @param {Object} options - Selection options
+   * @param {number} options.topK - Maximum number of chunks
+   * @param {number} options.tokenBudget - Maximum total tokens
+   * @returns {Array<Object>} - Selected chunks in document order
+   */
+  selectChunks(rankedChunks, { topK = this.topK, tokenBudget = this.tokenBudget } = {}) {
+    const hasMatches = rankedChunks.some(chunk => chunk.score > 0);
+    const candidates = hasMatches
+      ? rankedChunks.filter(chunk => chunk.score > 0)
+      : [...rankedChunks].sort((a, b) => a.chunkIndex - b.chunkIndex);
+
+    const selected = [];
+    let usedTokens = 0;
+
+    for (const chunk of candidates) {
+      if (selected.length >= topK) break;
+      if (usedTokens + chunk.tokenCount > tokenBudget) continue;
+
+      selected.push(chunk);
+      usedTokens += chunk.tokenCount;
+    }
+
+    return selected.sort((a, b) => a.chunkIndex - b.chunkIndex);
+  }
+
+  /**
+   * Retrieve the passages of a file most relevant to a question
+   * @param {string} fileId - File ID
+   * @param {string} question - User's question
+   * @param {Object} options - Options passed to selectChunks()
+   * @returns {Promise<Array<Object>>} - Selected chunks in document order
+   */
+  async retrieve(fileId, question, options = {}) {
+    const chunks = await this.getOrCreateChunks(fileId);
+    if (chunks.length === 0) return [];
+
+    const ranked = await this.rankChunks(question, chunks);
+    const selected = this.selectChunks(ranked, options);
+
+    console.log(`Retrieved ${selected.length}/${chunks.length} chunks for question`);
+
+    return selected;
+  }
+
+  /**
+   * Retrieve the passages most relevant to a question across several files.
+   * All chunks are ranked together so the best passages win regardless of
+   * which file they come from.
+   * @param {Array<string>} fileIds - File IDs to search
+   * @param {string} question - User's question
+   * @param {Object} options - Options passed to selectChunks()
+   * @returns {Promise<Array<Object>>} - Selected chunks grouped by file, in document order
+   */
+  async retrieveAcrossFiles(fileIds, question, options = {}) {
+    const chunkLists = await Promise.all(fileIds.map(fileId => this.getOrCreateChunks(fileId)));
+    const chunks = chunkLists.flat();
+    if (chunks.length === 0) return [];
+
+    const ranked = await this.rankChunks(question, chunks);
+    const selected = this.selectChunks(ranked, options);
+
+    console.log(`Retrieved ${selected.length}/${chunks.length} chunks from ${fileIds.length} files`);
+
+    return selected.sort((a, b) => (
+      fileIds.indexOf(a.fileId) - fileIds.indexOf(b.fileId) || a.chunkIndex - b.chunkIndex
+    ));
+  }
+
+  /**
+   * Join selected passages into a prompt context block. Each passage is
+   * tagged with its pages and sections (and file name when fileNames is
+   * given), e.g. '[Source: notes.pdf, p. 4, section "Kinetics"]', so the
+   * model can cite them.
+   * @param {Array<Object>} chunks - Selected chunks in document order
+   * @param {Object} fileNames - Optional map of file ID to file name used to label passages
+   * @returns {string} - Context text
+   */
+  formatPassages(chunks, fileNames = null) {
+    return chunks
+      .map(chunk => {
+        const labels = [];
+        if (fileNames) labels.push(`Source: ${fileNames[chunk.fileId]}`);
+        if (pageLabel(chunk)) labels.push(pageLabel(chunk));
+        if (sectionLabel(chunk)) labels.push(sectionLabel(chunk));
+
+        return labels.length > 0 ? `[${labels.join(', ')}]\n${chunk.content}` : chunk.content;
+      })
+      .join('\n\n---\n\n');
+  }
+
+  /**
+   * Delete the stored chunks for a file
+   * @param {string} fileId - File ID
+   */
+  async deleteChunks(fileId) {
+    const { error } = await supabase
+      .from('pdf_text_chunks')
+      .delete()
+      .eq('file_id', fileId);
+
+    if (error) {
+      console.error('Error deleting chunks:', error);
+      throw new Error(`Database error: ${error.message}`);
+    }
+  }
+}
+
+export const retrievalService = new RetrievalService();
@@ -0,0 +1,139 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Search Service
+ * Full-text search over the extracted text of every file the user owns.
+ * Queries are parsed here into a Postgres tsquery; the search_user_documents
+ * database function matches them against the indexed text, ranks the files
+ * with ts_rank and cuts ts_headline snippets from the best matching pages.
+ *
+ * Query syntax:
+ *   rate law        - documents containing both words (any word form)
+ *   "rate law"      - the exact phrase
+ *   kinet*          - words starting with "kinet"
+ */
+
+// Markers search_user_documents puts around matched words in headlines
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+/**
+ * Split a search query into terms
+ * @param {string} query - Query typed by the user
+ * @returns {Array<{words: Array<string>, phrase: boolean, prefix: boolean}>} - Terms; a phrase
+ *   term has several words, a prefix term ended with "*"
+ */
+export const parseSearchQuery = (query) => {
+  const terms = [];
+  const pattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query || '')) !== null) {
+    if (match[1] !== undefined) {
+      const words = match[1].toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+      if (words.length > 0) {
+        terms.push({ words, phrase: words.length > 1, prefix: false });
+      }
+      continue;
+    }
+
+    const prefix = match[2].endsWith('*');
+    // Punctuation inside a word ("first-order") splits it into a phrase
+    const words = match[2].toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (words.length > 0) {
+      terms.push({ words, phrase: words.length > 1, prefix });
+    }
+  }
+
+  return terms;
+};
+
+/**
+ * Build a Postgres tsquery from parsed terms: words are ANDed, phrase words
+ * must be adjacent and prefix terms match any word they start
+ * @param {Array<Object>} terms - Terms from parseSearchQuery()
+ * @returns {string} - tsquery text for to_tsquery()
+ */
+export const buildTsQuery = (terms) => (
+  terms.map(term => {
+    const words = term.words.map((word, index) => (
+      term.prefix && index === term.words.length - 1 ? `${word}:*` : word
+    ));
+    return words.length > 1 ? `(${words.join(' <-> ')})` : words[0];
+  }).join(' & ')
+);
+
+/**
+ * Split a ts_headline snippet into plain and highlighted segments
+ * @param {string} headline - Headline with matches between the highlight markers
+ * @returns {Array<{text: string, highlight: boolean}>} - Segments in order
+ */
+export const parseHeadline = (headline) => {
+  const segments = [];
+
+  (headline || '').split(HIGHLIGHT_START).forEach((part, index) => {
+    // Every part after the first opens with a match, closed by the end marker
+    const [matched, rest] = index === 0 ? [null, part] : part.split(HIGHLIGHT_END);
+    if (matched) segments.push({ text: matched, highlight: true });
+    if (rest) segments.push({ text: rest.replace(/\s+/g, ' '), highlight: false });
+  });
+
+  return segments;
+};
+
+class SearchService {
+  constructor() {
+    this.resultLimit = 20;
+  }
+
+  /**
+   * Search the extracted text of the current user's files
+   * @param {string} query - Search query (words, "quoted phrases", prefix*)
+   * @param {Object} options - Search options
+   * @param {string} options.baseId - Only search this base (default: every base)
+   * @param {number} options.limit - Most files to return
+   * @returns {Promise<{success: boolean, results?: Array<Object>, error?: string}>} - Results ranked best
+   *   first, each with the file, its base, a score, the number of matching pages and highlighted snippets
+   */
+  async searchDocuments(query, { baseId = null, limit = this.resultLimit } = {}) {
+    try {
+      const terms = parseSearchQuery(query);
+      if (terms.length === 0) {
+        return { success: true, results: [] };
+      }
+
+      const { data, error } = await supabase.rpc('search_user_documents', {
+        p_query: buildTsQuery(terms),
+        p_base_id: baseId,
+        p_limit: limit
+      });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      const results = (data || []).map(row => ({
+        fileId: row.file_id,
+        fileName: row.file_name,
+        fileType: row.file_type,
+        baseId: row.base_id,
+        baseName: row.base_name || '',
+        score: row.rank,
+        matchedPages: row.matched_pages,
+        snippets: (row.snippets || []).map(snippet => ({
+          page: snippet.page,
+          segments: parseHeadline(snippet.headline)
+        }))
+      }));
+
+      console.log(`🔍 Search "${query}" matched ${results.length} documents`);
+      return { success: true, results };
+
+    } catch (error) {
+      console.error('Error searching documents:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export const searchService = new SearchService();
@@ -1,29 +1,51 @@
-const { createProxyMiddleware } = require('http-proxy-middleware');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Serverless functions in api/ served by the dev server, so local development
+// goes through the same auth, validation and quota checks as production and
+// the Hugging Face key stays on the server.
+const apiRoutes = {
+    '/api/llm': 'llm.js',
+    '/api/status': 'status.js'
+};
+
+// Vercel parses JSON bodies before calling a function; the dev server does not
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+        raw += chunk;
+    });
+    req.on('end', () => {
+        try {
+            resolve(raw ? JSON.parse(raw) : undefined);
+        } catch (error) {
+            reject(error);
+        }
+    });
+    req.on('error', reject);
+});
 
 module.exports = function (app) {
-    // Proxy configuration for Hugging Face API
-    app.use(
-        '/api/hf',
-        createProxyMiddleware({
-            target: 'https://router.huggingface.co',
-            changeOrigin: true,
-            pathRewrite: {
-                '^/api/hf': '/hf-inference/models/meta-llama/Meta-Llama-3-8B-Instruct',
-            },
-            onProxyReq: (proxyReq, req, res) => {
-                // Add Authorization header with API key from environment
-                if (process.env.REACT_APP_HF_API_KEY) {
-                    proxyReq.setHeader('Authorization', `Bearer ${process.env.REACT_APP_HF_API_KEY}`);
+    Object.entries(apiRoutes).forEach(([route, file]) => {
+        app.use(route, async (req, res) => {
+            try {
+                req.body = await readJsonBody(req);
+            } catch (error) {
+                res.status(400).json({ error: 'Invalid JSON body' });
+                return;
+            }
+
+            try {
+                const modulePath = pathToFileURL(path.join(__dirname, '..', 'api', file)).href;
+                const { default: handler } = await import(modulePath);
+                await handler(req, res);
+            } catch (error) {
+                console.error('API route error:', error);
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Internal server error', details: error.message });
                 }
-            },
-            onProxyRes: (proxyRes) => {
-                // Log status for debugging
-                console.log('Proxy response status:', proxyRes.statusCode);
-            },
-            onError: (err, req, res) => {
-                console.error('Proxy error:', err);
-                res.status(500).send('Proxy Error');
             }
-        })
-    );
+        });
+    });
 };
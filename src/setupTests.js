@@ -0,0 +1,48 @@
+/**
+ * Jest setup, loaded by react-scripts before every test file
+ * jsdom lacks several browser APIs that pdf.js and the extraction services
+ * use; Node provides them, so they are exposed on the test window here.
+ */
+
+import v8 from 'v8';
+import { webcrypto } from 'crypto';
+import { ReadableStream } from 'stream/web';
+import { TextEncoder, TextDecoder } from 'util';
+
+if (!global.TextEncoder) {
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
+
+if (!global.ReadableStream) {
+  global.ReadableStream = ReadableStream;
+}
+
+// pdf.js clones messages between the document and its (in-process) worker
+if (!global.structuredClone) {
+  global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
+
+// Content hashing uses SubtleCrypto. Node's only accepts buffers created in
+// its own realm, so data from the test window is copied into one first.
+if (!global.crypto?.subtle) {
+  const toNodeBuffer = (data) => Buffer.from(ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data));
+
+  Object.defineProperty(global, 'crypto', {
+    value: {
+      randomUUID: () => webcrypto.randomUUID(),
+      subtle: {
+        digest: (algorithm, data) => webcrypto.subtle.digest(algorithm, toNodeBuffer(data))
+      }
+    },
+    configurable: true
+  });
+}
+
+// pdf.js creates a DOMMatrix when it loads, for canvas rendering, which the
+// tests never do
+if (!global.DOMMatrix) {
+  global.DOMMatrix = class DOMMatrix {};
+}
@@ -0,0 +1,133 @@
+/**
+ * Exam Mode Test Suite
+ * Covers the exam clock helpers, exam settings validation, and starting
+ * attempts and saving timed (or late) answers on the Supabase double.
+ */
+
+import {
+  measureClockOffset,
+  getRemainingSeconds,
+  getQuestionTimeLimit,
+  formatCountdown
+} from '../lib/examClock';
+import { quizGenerationService } from '../services/quizGenerationService';
+import { quizPersistenceService } from '../services/quizPersistenceService';
+import { createSupabaseDouble } from './supabaseDouble';
+
+let mockSupabase;
+
+jest.mock('../lib/supabase', () => ({
+  get supabase() {
+    return mockSupabase.client;
+  }
+}));
+
+const CONFIG = {
+  quizName: 'Kinetics',
+  difficulty: 'medium',
+  totalMcqs: 5,
+  totalSaqs: 3,
+  totalLaqs: 2,
+  examMode: true,
+  durationMinutes: 30,
+  perQuestionLimits: true,
+  questionTimeLimits: { mcq: 60, saq: 180, laq: 420 }
+};
+
+beforeEach(() => {
+  mockSupabase = createSupabaseDouble({
+    rpc: {
+      start_quiz_attempt: () => ({
+        data: [{ attempt_started_at: '2026-03-02T10:00:00+00:00', server_time: '2026-03-02T10:12:30+00:00' }],
+        error: null
+      })
+    }
+  });
+  quizPersistenceService.setCurrentUser('user-1');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('exam clock', () => {
+  test('counts down on the database clock, whatever the device clock says', () => {
+    const deviceNow = Date.parse('2026-03-02T10:10:00Z');
+    const offset = measureClockOffset('2026-03-02T10:12:30+00:00', deviceNow);
+
+    expect(offset).toBe(150000);
+    expect(getRemainingSeconds('2026-03-02T10:00:00+00:00', 30 * 60, deviceNow + offset)).toBe(1050);
+    expect(getRemainingSeconds('2026-03-02T10:00:00+00:00', 10 * 60, deviceNow + offset)).toBe(0);
+  });
+
+  test('formats countdowns with hours only when needed', () => {
+    expect(formatCountdown(245)).toBe('4:05');
+    expect(formatCountdown(0)).toBe('0:00');
+    expect(formatCountdown(3750)).toBe('1:02:30');
+  });
+
+  test('reads per-question limits only from timed quizzes', () => {
+    const limits = { mcq: 60, saq: 180, laq: 420 };
+
+    expect(getQuestionTimeLimit({ time_limit_minutes: 30, question_time_limits: limits }, 'saq')).toBe(180);
+    expect(getQuestionTimeLimit({ time_limit_minutes: 30, question_time_limits: null }, 'saq')).toBeNull();
+    expect(getQuestionTimeLimit({ time_limit_minutes: null, question_time_limits: limits }, 'saq')).toBeNull();
+  });
+});
+
+describe('exam settings validation', () => {
+  test('accepts valid exam settings and ignores them outside exam mode', () => {
+    expect(quizGenerationService.validateQuizConfig(CONFIG)).toEqual({ valid: true });
+    expect(quizGenerationService.validateQuizConfig({ ...CONFIG, examMode: false, durationMinutes: 0 }))
+      .toEqual({ valid: true });
+  });
+
+  test('rejects durations and per-question limits out of range', () => {
+    expect(quizGenerationService.validateQuizConfig({ ...CONFIG, durationMinutes: 301 }).error)
+      .toBe('Exam duration must be between 1 and 300 minutes');
+    expect(quizGenerationService.validateQuizConfig({ ...CONFIG, questionTimeLimits: { ...CONFIG.questionTimeLimits, laq: 5 } }).error)
+      .toBe('Time per LAQ must be between 10 and 3600 seconds');
+  });
+});
+
+describe('timed attempts', () => {
+  test('startQuizAttempt returns the attempt start and the database time', async () => {
+    const result = await quizPersistenceService.startQuizAttempt('quiz-1');
+
+    expect(mockSupabase.rpcCalls).toEqual([{ name: 'start_quiz_attempt', params: { p_quiz_id: 'quiz-1' } }]);
+    expect(result).toEqual({
+      success: true,
+      startedAt: '2026-03-02T10:00:00+00:00',
+      serverTime: '2026-03-02T10:12:30+00:00'
+    });
+  });
+
+  test('startQuestion reports questions that cannot be started', async () => {
+    mockSupabase = createSupabaseDouble({ rpc: { start_quiz_question: () => ({ data: [], error: null }) } });
+
+    const result = await quizPersistenceService.startQuestion('question-9');
+
+    expect(mockSupabase.rpcCalls[0].params).toEqual({ p_question_id: 'question-9' });
+    expect(result).toEqual({ success: false, error: 'Quiz or question not found' });
+  });
+
+  test('saveAnswer records the time spent on the question', async () => {
+    const result = await quizPersistenceService.saveAnswer(
+      'quiz-1',
+      'question-1',
+      '2',
+      { isCorrect: true, marksObtained: 1, similarityScore: 100, gradedBy: 'llm' },
+      42
+    );
+
+    expect(result.success).toBe(true);
+    expect(mockSupabase.tables.quiz_answers[0]).toMatchObject({ question_id: 'question-1', time_spent_seconds: 42 });
+  });
+
+  test('saveAnswer reports which time limit the database enforced when it refuses a late answer', async () => {
+    mockSupabase.failNext('quiz_answers', 'insert', { message: 'Time is up for this question', hint: 'question_time_up' });
+
+    const result = await quizPersistenceService.saveAnswer('quiz-1', 'question-1', '2', { isCorrect: true, marksObtained: 1 }, 70);
+
+    expect(result).toEqual({ success: false, error: 'Time is up for this question', timeUp: 'question' });
+    expect(mockSupabase.tables.quiz_answers || []).toHaveLength(0);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Extraction Job Runner Test Suite
+ * Covers stopping and restarting the background runner on the Supabase
+ * double, with the extraction itself replaced so a job can be held mid-run.
+ */
+
+import { extractionJobService } from '../services/extractionJobService';
+import { createSupabaseDouble } from './supabaseDouble';
+
+let mockSupabase;
+
+jest.mock('../lib/supabase', () => ({
+  get supabase() {
+    return mockSupabase.client;
+  }
+}));
+
+// Let pending promise callbacks run
+const settle = async () => {
+  for (let i = 0; i < 5; i++) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+};
+
+beforeEach(() => {
+  const queue = [{ id: 'job-1' }, { id: 'job-2' }];
+  mockSupabase = createSupabaseDouble({
+    rpc: {
+      claim_extraction_job: () => ({ data: queue.splice(0, 1), error: null })
+    }
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  extractionJobService.stop();
+  await extractionJobService.loop;
+});
+
+test('a runner restarted mid-job waits for the old loop to exit, so jobs never run side by side', async () => {
+  let finishFirstJob;
+  let running = 0;
+  let mostRunning = 0;
+  const runJob = jest.spyOn(extractionJobService, 'runJob').mockImplementation(async (job) => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    if (job.id === 'job-1') {
+      await new Promise(resolve => { finishFirstJob = resolve; });
+    }
+    running--;
+  });
+
+  extractionJobService.start('user-1');
+  await settle();
+  // Signed out and back in while job-1 is still extracting
+  extractionJobService.stop();
+  extractionJobService.start('user-1');
+  await settle();
+
+  expect(runJob).toHaveBeenCalledTimes(1);
+
+  finishFirstJob();
+  await settle();
+
+  expect(runJob.mock.calls.map(([job]) => job.id)).toEqual(['job-1', 'job-2']);
+  expect(mostRunning).toBe(1);
+});
@@ -0,0 +1,181 @@
+/**
+ * Grade Appeals Test Suite
+ * Covers majority-vote re-grading of appealed answers, with the grading
+ * model replaced by canned responses, and saving appeals and manual
+ * overrides through regrade_quiz_answer on the Supabase double.
+ */
+
+import { quizEvaluationService } from '../services/quizEvaluationService';
+import { quizPersistenceService } from '../services/quizPersistenceService';
+import { llmProvider } from '../services/llmProvider';
+import { createSupabaseDouble } from './supabaseDouble';
+
+let mockSupabase;
+
+jest.mock('../lib/supabase', () => ({
+  get supabase() {
+    return mockSupabase.client;
+  }
+}));
+
+const RUBRIC = [
+  { point: 'Rate is proportional to reactant concentration', marks: 1 },
+  { point: 'The rate constant k depends on temperature', marks: 1 },
+  { point: 'Units of k depend on the reaction order', marks: 1 }
+];
+
+const QUESTION = {
+  questionText: 'What does a rate law describe?',
+  correctAnswer: 'How the rate depends on concentrations, through a temperature-dependent rate constant whose units depend on order.',
+  rubric: RUBRIC
+};
+
+// A rubric verdict as the grading model writes it
+const verdict = (met, similarityScore) => ({
+  success: true,
+  response: JSON.stringify({
+    points: met.map((value, index) => ({ point: index + 1, met: value })),
+    similarityScore
+  })
+});
+
+const mockResponses = (responses) => {
+  const spy = jest.spyOn(llmProvider, 'generate');
+  responses.forEach(response => spy.mockResolvedValueOnce(response));
+  return spy;
+};
+
+beforeEach(() => {
+  mockSupabase = createSupabaseDouble({
+    rpc: {
+      regrade_quiz_answer: () => ({ data: [{ quiz_marks_obtained: 7, quiz_percentage: '58.00' }], error: null })
+    }
+  });
+  quizPersistenceService.setCurrentUser('user-1');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('appealAnswer', () => {
+  test('awards each rubric point by majority vote across the strict evaluations', async () => {
+    const generate = mockResponses([
+      verdict([true, true, false], 70),
+      verdict([true, false, false], 50),
+      verdict([true, true, true], 90),
+      { success: false, error: 'Rate limited' },
+      verdict([false, true, false], 60)
+    ]);
+
+    const result = await quizEvaluationService.appealAnswer('saq', 'Some answer', QUESTION);
+
+    expect(result.success).toBe(true);
+    expect(result.evaluation).toMatchObject({
+      isCorrect: false,
+      marksObtained: 2,
+      similarityScore: 65,
+      matchedPoints: [RUBRIC[0], RUBRIC[1]],
+      missedPoints: [RUBRIC[2]],
+      gradedBy: 'appeal',
+      votes: 4
+    });
+    expect(generate).toHaveBeenCalledTimes(5);
+    expect(generate.mock.calls[0][0][0].content).toContain('APPEAL REVIEW');
+    expect(generate.mock.calls[0][1]).toEqual({ profile: 'grading', temperature: 0.7 });
+  });
+
+  test('decides answers without a rubric by majority of correct verdicts', async () => {
+    mockResponses([
+      { success: true, response: 'Similarity Score: 80\nIs Correct: YES' },
+      { success: true, response: 'Similarity Score: 78\nIs Correct: YES' },
+      { success: true, response: 'Similarity Score: 60\nIs Correct: NO' }
+    ]);
+
+    const result = await quizEvaluationService.appealAnswer('laq', 'Some answer', { ...QUESTION, rubric: null }, { samples: 3 });
+
+    expect(result.evaluation).toMatchObject({ isCorrect: true, marksObtained: 5, similarityScore: 78, votes: 3 });
+  });
+
+  test('fails without a majority of usable evaluations instead of grading locally', async () => {
+    mockResponses([
+      verdict([true, true, true], 90),
+      { success: false, error: 'Network error' },
+      { success: true, response: 'I cannot grade this' }
+    ]);
+
+    const result = await quizEvaluationService.appealAnswer('saq', 'Some answer', QUESTION, { samples: 3 });
+
+    expect(result).toEqual({
+      success: false,
+      error: 'Only 1 of 3 appeal evaluations succeeded. Please try again later.'
+    });
+  });
+
+  test('refuses to appeal multiple choice answers', async () => {
+    const result = await quizEvaluationService.appealAnswer('mcq', '2', QUESTION);
+
+    expect(result).toEqual({ success: false, error: 'Only written answers can be appealed' });
+  });
+});
+
+describe('saving regrades', () => {
+  test('sends the appeal grade to regrade_quiz_answer and returns the recomputed score', async () => {
+    const result = await quizPersistenceService.appealGrade('answer-1', {
+      isCorrect: false,
+      marksObtained: 2,
+      similarityScore: 65,
+      matchedPoints: [RUBRIC[0], RUBRIC[1]],
+      missedPoints: [RUBRIC[2]],
+      feedback: null,
+      gradedBy: 'appeal',
+      votes: 4
+    });
+
+    expect(result).toEqual({ success: true, marksObtained: 7, percentage: 58 });
+    expect(mockSupabase.rpcCalls[0]).toEqual({
+      name: 'regrade_quiz_answer',
+      params: {
+        p_answer_id: 'answer-1',
+        p_change_type: 'appeal',
+        p_grade: {
+          marks_obtained: 2,
+          similarity_score: 65,
+          matched_points: [RUBRIC[0], RUBRIC[1]],
+          feedback: null
+        },
+        p_reason: 'Decided by majority vote of 4 evaluations'
+      }
+    });
+  });
+
+  test('overrides marks with a reason', async () => {
+    const result = await quizPersistenceService.overrideGrade('answer-1', 3, 3, '  My answer covers the units point too. ');
+
+    expect(result.success).toBe(true);
+    expect(mockSupabase.rpcCalls[0].params).toEqual({
+      p_answer_id: 'answer-1',
+      p_change_type: 'override',
+      p_grade: { marks_obtained: 3 },
+      p_reason: 'My answer covers the units point too.'
+    });
+  });
+
+  test('rejects overrides without a reason or outside the question marks', async () => {
+    expect(await quizPersistenceService.overrideGrade('answer-1', 2, 3, ' ')).toEqual({
+      success: false,
+      error: 'Please give a reason for changing the grade'
+    });
+    expect(await quizPersistenceService.overrideGrade('answer-1', 4, 3, 'Reason')).toEqual({
+      success: false,
+      error: 'Marks must be a whole number from 0 to 3'
+    });
+    expect(mockSupabase.rpcCalls).toHaveLength(0);
+  });
+
+  test('reports database refusals such as a second appeal', async () => {
+    mockSupabase.failNext('rpc', 'regrade_quiz_answer', { message: 'This answer has already been appealed' });
+
+    const result = await quizPersistenceService.appealGrade('answer-1', { isCorrect: true, marksObtained: 3, gradedBy: 'appeal' });
+
+    expect(result).toEqual({ success: false, error: 'This answer has already been appealed' });
+  });
+});
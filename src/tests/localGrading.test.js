@@ -0,0 +1,104 @@
+/**
+ * Local Grading Test Suite
+ * Covers the offline grader: stemming, term analysis and how answers of
+ * different quality score against a model answer and source passage.
+ */
+
+import { localGradingService, analyzeText, calibrateScore } from '../services/localGradingService';
+import { stem } from '../lib/porterStemmer';
+
+jest.mock('../lib/supabase', () => ({ supabase: {} }));
+
+const QUESTION = 'What does a rate law describe?';
+
+const MODEL_ANSWER = 'A rate law shows how the reaction rate depends on the concentrations of the reactants. '
+  + 'The rate constant k increases with temperature, and its units depend on the overall reaction order.';
+
+const SOURCE_PASSAGE = [
+  'Chemical kinetics studies how fast reactions go.',
+  'The rate law expresses the reaction rate as a function of reactant concentrations: rate = k[A]^m[B]^n.',
+  'The exponents m and n are the orders with respect to each reactant and are found by experiment.',
+  'The rate constant k depends on temperature, as described by the Arrhenius equation.',
+  'The units of k depend on the overall order of the reaction.',
+  'Catalysts lower the activation energy.'
+].join(' ');
+
+const score = (answer, options = { sourcePassage: SOURCE_PASSAGE, question: QUESTION }) => (
+  localGradingService.scoreAnswer(answer, MODEL_ANSWER, options).similarityScore
+);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('stem', () => {
+  test('follows the Porter algorithm', () => {
+    const stems = ['caresses', 'ponies', 'agreed', 'hopping', 'relational', 'generalizations', 'adjustment', 'controlling']
+      .map(stem);
+
+    expect(stems).toEqual(['caress', 'poni', 'agre', 'hop', 'relat', 'gener', 'adjust', 'control']);
+  });
+
+  test('leaves short and non-English words alone', () => {
+    expect(['is', 'naïve', 'h2o'].map(stem)).toEqual(['is', 'naïve', 'h2o']);
+  });
+});
+
+describe('analyzeText', () => {
+  test('drops stopwords and folds word forms and synonyms together', () => {
+    const terms = analyzeText('The children also grew rapidly');
+
+    expect(terms).toEqual([
+      { term: 'child', word: 'children' },
+      { term: 'increas', word: 'grew' },
+      { term: 'fast', word: 'rapidly' }
+    ]);
+  });
+});
+
+describe('scoreAnswer', () => {
+  test('scores a restated model answer above the SAQ threshold and an unrelated one near zero', () => {
+    expect(score(MODEL_ANSWER)).toBeGreaterThanOrEqual(90);
+    expect(score('Photosynthesis converts light energy into chemical energy in plants.')).toBeLessThan(10);
+  });
+
+  test('credits paraphrases over keyword lists', () => {
+    const paraphrase = score('It tells you how the speed of the reaction is determined by how concentrated the reactants are. '
+      + 'k rises when the temperature goes up and the units of k are set by the overall order.');
+    const keywords = score('rate law rate constant k temperature concentration reactants units order reaction rate rate rate');
+
+    expect(paraphrase).toBeGreaterThanOrEqual(70);
+    expect(keywords).toBeLessThan(paraphrase);
+  });
+
+  test('gives an answer making some of the points a middling score', () => {
+    const partial = score('The rate law says how the reaction rate depends on reactant concentration.');
+
+    expect(partial).toBeGreaterThan(30);
+    expect(partial).toBeLessThan(60);
+  });
+
+  test('credits answers drawing on the source passage beyond the model answer', () => {
+    const answer = 'It expresses rate as k times the reactant concentrations raised to their orders, which are found by experiment; '
+      + 'k depends on temperature via the Arrhenius equation.';
+
+    expect(score(answer)).toBeGreaterThan(score(answer, { question: QUESTION }));
+  });
+
+  test('lists the key words the answer used and missed', () => {
+    const result = localGradingService.scoreAnswer('It depends on reactant concentrations.', MODEL_ANSWER, { question: QUESTION });
+
+    expect(result.usedTerms).toEqual(['depends', 'concentrations', 'reactants']);
+    expect(result.missingTerms).toContain('temperature');
+    expect(result.missingTerms).not.toContain('rate');
+  });
+});
+
+describe('calibrateScore', () => {
+  test('interpolates between anchors and clamps to 0-100', () => {
+    expect(calibrateScore(-1)).toBe(0);
+    expect(calibrateScore(0.7)).toBe(90);
+    expect(calibrateScore(0.625)).toBe(83);
+    expect(calibrateScore(2)).toBe(100);
+  });
+});
@@ -1,233 +1,305 @@
 /**
  * PDF Text Extraction Service Test Suite
- * This file demonstrates how to test the PDF text extraction functionality
+ * Runs the extractor on the fixture PDFs in ./fixtures with the real pdf.js
+ * and stores results in an in-memory Supabase double.
  */
 
+import fs from 'fs';
+import path from 'path';
 import { pdfTextExtractor } from '../services/pdfTextExtractor';
+import { documentTextExtractor } from '../services/documentTextExtractor';
+import { pdfLayoutAnalyzer } from '../services/pdfLayoutAnalyzer';
+import { createSupabaseDouble } from './supabaseDouble';
 
-/**
- * Test the PDF text extraction service
- * Run this in your browser console or as a test script
- */
-export const testPDFTextExtraction = async () => {
-  console.log('🧪 Starting PDF Text Extraction Tests...');
-
-  // Test 1: Check service initialization
-  console.log('Test 1: Service Initialization');
-  try {
-    if (pdfTextExtractor) {
-      console.log('✅ PDF Text Extractor service initialized successfully');
-    } else {
-      console.log('❌ PDF Text Extractor service failed to initialize');
-      return;
-    }
-  } catch (error) {
-    console.log('❌ Error initializing service:', error);
-    return;
-  }
+let mockSupabase;
 
-  // Test 2: Test extraction status check
-  console.log('\nTest 2: Extraction Status Check');
-  try {
-    const testFileId = 'test-file-id-123';
-    const status = await pdfTextExtractor.getExtractionStatus(testFileId);
-    console.log('✅ Status check completed:', status);
-  } catch (error) {
-    console.log('❌ Status check failed:', error);
+jest.mock('../lib/supabase', () => ({
+  get supabase() {
+    return mockSupabase.client;
   }
+}));
 
-  // Test 3: Test text cleaning function
-  console.log('\nTest 3: Text Cleaning Function');
-  try {
-    const dirtyText = `
-      Page 1
-      
-      This is sample text    with    excessive    spaces.
-      
-      Page 2
-      
-      More text here.
-      
-      
-      
-      Too many line breaks.
-    `;
-    
-    const cleanedText = pdfTextExtractor.cleanExtractedText(dirtyText);
-    console.log('✅ Text cleaning test:');
-    console.log('Original length:', dirtyText.length);
-    console.log('Cleaned length:', cleanedText.length);
-    console.log('Cleaned text preview:', cleanedText.substring(0, 100) + '...');
-  } catch (error) {
-    console.log('❌ Text cleaning test failed:', error);
+// pdf.js runs in-process: its legacy build supports Node 20, and with
+// pdfjsWorker set it uses the worker module directly instead of a Worker
+jest.mock('../lib/pdfjs', () => ({
+  ...jest.requireActual('../lib/pdfjs'),
+  loadPdfjs: async () => {
+    global.pdfjsWorker = await import('pdfjs-dist/legacy/build/pdf.worker.mjs');
+    return import('pdfjs-dist/legacy/build/pdf.mjs');
   }
+}));
+
+// Copied into an ArrayBuffer of the test window: pdf.js checks for
+// `instanceof ArrayBuffer`, which Node's own buffers fail under jsdom
+const readFixture = (name) => {
+  const bytes = fs.readFileSync(path.join(__dirname, 'fixtures', name));
+  const buffer = new ArrayBuffer(bytes.byteLength);
+  new Uint8Array(buffer).set(bytes);
+  return buffer;
+};
 
-  // Test 4: Test search functionality (mock)
-  console.log('\nTest 4: Search Functionality');
-  try {
-    const mockBaseId = 'test-base-id';
-    const mockSearchTerm = 'sample';
-    const searchResults = await pdfTextExtractor.searchPDFText(mockBaseId, mockSearchTerm);
-    console.log('✅ Search test completed:', searchResults);
-  } catch (error) {
-    console.log('❌ Search test failed:', error);
+const user = { id: 'user-1' };
+const base = { id: 'base-1', user_id: user.id };
+const file = { id: 'file-1', base_id: base.id, file_name: 'lecture-notes.pdf', file_path: 'user-1/Chemistry/lecture-notes.pdf', file_type: 'application/pdf' };
+
+// Stores text like the store_pdf_text_content function: one row per file
+const storePdfTextContent = (params, database) => {
+  const rows = database.table('pdf_text_content');
+  const row = {
+    file_id: params.p_file_id,
+    extracted_text: params.p_extracted_text,
+    text_length: params.p_text_length,
+    status: params.p_status,
+    pages: params.p_pages,
+    outline: params.p_outline,
+    content_hash: params.p_content_hash
+  };
+
+  const existing = rows.find(candidate => candidate.file_id === row.file_id);
+  if (existing) {
+    Object.assign(existing, row);
+  } else {
+    database.insertRow('pdf_text_content', row);
   }
 
-  console.log('\n🎉 PDF Text Extraction Tests Completed!');
+  return { data: null, error: null };
 };
 
-/**
- * Test the React hook functionality
- * This would typically be run in a React component
- */
-export const testPDFTextExtractionHook = () => {
-  console.log('🧪 Testing PDF Text Extraction Hook...');
-  
-  // This would be used in a React component like this:
-  /*
-  import { usePDFTextExtraction } from '../hooks/usePDFTextExtraction';
-  
-  const TestComponent = () => {
-    const {
-      isExtracting,
-      extractionStatus,
-      extractTextFromFile,
-      processBasePDFs
-    } = usePDFTextExtraction();
-
-    // Test hook methods
-    const testExtraction = async () => {
-      console.log('Testing extraction...');
-      const result = await extractTextFromFile('test-id', 'test-path', 'test.pdf');
-      console.log('Extraction result:', result);
+beforeEach(() => {
+  mockSupabase = createSupabaseDouble({
+    tables: { bases: [base], base_files: [file] },
+    rpc: { store_pdf_text_content: storePdfTextContent },
+    files: { [file.file_path]: new Uint8Array(readFixture('lecture-notes.pdf')) }
+  });
+
+  // The services log every step
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('extractTextFromPDF', () => {
+  test('rebuilds headings, paragraphs, lists and tables in reading order', async () => {
+    const { text } = await pdfTextExtractor.extractTextFromPDF(readFixture('lecture-notes.pdf'));
+
+    expect(text).toBe([
+      'Reaction Kinetics',
+      'Reaction rates depend on temperature and on the concentration of the reactants.',
+      '• Collision theory explains the effect of temperature\n• Catalysts lower the activation energy',
+      'Rate Laws',
+      'Order | Units of k\nZero | M/s\nFirst | 1/s',
+      'The half-life of a first order reaction does not depend on the starting concentration.'
+    ].join('\n\n'));
+  });
+
+  test('records page offsets and an outline of the headings', async () => {
+    const { text, pages, outline } = await pdfTextExtractor.extractTextFromPDF(readFixture('lecture-notes.pdf'));
+
+    expect(pages.map(({ page, source, confidence }) => ({ page, source, confidence }))).toEqual([
+      { page: 1, source: 'text', confidence: null },
+      { page: 2, source: 'text', confidence: null }
+    ]);
+    expect(text.slice(pages[1].start, pages[1].end)).toMatch(/^Rate Laws[\s\S]*starting concentration\.$/);
+    pages.forEach(page => expect(page.hash).toMatch(/^[0-9a-f]{64}$/));
+
+    expect(outline).toEqual([
+      { level: 1, title: 'Reaction Kinetics', page: 1, start: 0 },
+      { level: 2, title: 'Rate Laws', page: 2, start: pages[1].start }
+    ]);
+  });
+
+  test('reports progress after each page', async () => {
+    const onProgress = jest.fn();
+    await pdfTextExtractor.extractTextFromPDF(readFixture('lecture-notes.pdf'), onProgress);
+
+    expect(onProgress.mock.calls).toEqual([[1, 2], [2, 2]]);
+  });
+
+  test('reads pages without a text layer with OCR', async () => {
+    jest.spyOn(pdfTextExtractor, 'ocrPage').mockResolvedValue({
+      text: 'Enzyme inhibition can be competitive or non-competitive.',
+      confidence: 87,
+      hash: 'a'.repeat(64)
+    });
+
+    const { text, pages } = await pdfTextExtractor.extractTextFromPDF(readFixture('scanned-page.pdf'));
+
+    expect(text).toBe('Enzyme inhibition can be competitive or non-competitive.');
+    expect(pages).toEqual([
+      { page: 1, start: 0, end: text.length, source: 'ocr', confidence: 87, hash: 'a'.repeat(64) }
+    ]);
+  });
+
+  test('offers the OCR text of a previous version for reuse', async () => {
+    jest.spyOn(pdfTextExtractor, 'ocrPage').mockResolvedValue(null);
+    const previous = {
+      text: 'Old scan text\n\nTyped page',
+      pages: [
+        { page: 1, start: 0, end: 13, source: 'ocr', confidence: 90, hash: 'b'.repeat(64) },
+        { page: 2, start: 15, end: 25, source: 'text', confidence: null, hash: 'c'.repeat(64) }
+      ]
     };
 
-    return (
-      <div>
-        <button onClick={testExtraction}>Test Extraction</button>
-        <div>Status: {isExtracting ? 'Processing...' : 'Ready'}</div>
-      </div>
-    );
-  };
-  */
-  
-  console.log('✅ Hook test structure provided');
-};
+    await pdfTextExtractor.extractTextFromPDF(readFixture('scanned-page.pdf'), undefined, previous);
 
-/**
- * Test the React component functionality
- */
-export const testPDFTextExtractionComponent = () => {
-  console.log('🧪 Testing PDF Text Extraction Component...');
-  
-  // This would be used in a React component like this:
-  /*
-  import PDFTextExtraction from '../components/PDFTextExtraction';
-  
-  const TestComponent = () => {
-    const mockFiles = [
-      {
-        id: 'file-1',
-        file_name: 'sample.pdf',
-        file_type: 'application/pdf',
-        file_path: 'user123/base1/sample.pdf'
+    const knownPages = pdfTextExtractor.ocrPage.mock.calls[0][2];
+    expect([...knownPages]).toEqual([['b'.repeat(64), { text: 'Old scan text', confidence: 90 }]]);
+  });
+
+  test('falls back to reading text objects from the bytes of a damaged PDF', async () => {
+    const result = await pdfTextExtractor.extractTextFromPDF(readFixture('damaged.pdf'));
+
+    expect(result).toEqual({ text: 'Recovered from a damaged upload', pages: [], outline: [] });
+  });
+
+  test('fails when neither pdf.js nor the fallback finds text', async () => {
+    const notAPdf = new TextEncoder().encode('Just some bytes').buffer;
+
+    await expect(pdfTextExtractor.extractTextFromPDF(notAPdf)).rejects.toThrow('PDF text extraction failed');
+  });
+});
+
+describe('cleanExtractedText', () => {
+  test('collapses runs of spaces and tabs but keeps line breaks', () => {
+    expect(pdfTextExtractor.cleanExtractedText('  Rate   of\treaction \n  depends  ')).toBe('Rate of reaction\ndepends');
+  });
+
+  test('keeps lines that are only a number, which can be content in any format', () => {
+    expect(pdfTextExtractor.cleanExtractedText('Yield (%)\n12\n87')).toBe('Yield (%)\n12\n87');
+  });
+
+  test('keeps numbers that are part of a line', () => {
+    expect(pdfTextExtractor.cleanExtractedText('Step 2 takes 30 seconds')).toBe('Step 2 takes 30 seconds');
+  });
+
+  test('limits blank lines to one', () => {
+    expect(pdfTextExtractor.cleanExtractedText('First\n\n\n\n\nSecond')).toBe('First\n\nSecond');
+  });
+});
+
+describe('page numbers', () => {
+  // A line of body text at height y, each its own paragraph
+  const line = (text, y) => ({ text, cells: [text], x: 72, y, fontSize: 11, column: 0, breakBefore: true });
+
+  test('drops a number alone at the top or bottom of a page but keeps one in the body', () => {
+    const { text } = pdfLayoutAnalyzer.buildDocument([
+      { page: 1, lines: [line('Page 7', 780), line('Half-life at 25 °C (s):', 700), line('42', 686), line('Footnote', 80), line('7', 40)], source: 'text', confidence: null },
+      { page: 2, text: '8\nScanned notes\n15\nPage 8 of 12', source: 'ocr', confidence: 90 }
+    ], value => pdfTextExtractor.cleanExtractedText(value));
+
+    expect(text).toBe('Half-life at 25 °C (s):\n\n42\n\nFootnote\n\nScanned notes\n15');
+  });
+});
+
+describe('storeExtractedText', () => {
+  const pages = [{ page: 1, start: 0, end: 17, source: 'text', confidence: null, hash: 'd'.repeat(64) }];
+  const outline = [{ level: 1, title: 'Reaction Kinetics', page: 1, start: 0 }];
+
+  test('stores completed text, pages and outline for the file', async () => {
+    await pdfTextExtractor.storeExtractedText(file.id, 'Reaction Kinetics', file.file_name, pages, outline, 'e'.repeat(64));
+
+    expect(mockSupabase.tables.pdf_text_content).toEqual([
+      expect.objectContaining({
+        file_id: file.id,
+        extracted_text: 'Reaction Kinetics',
+        text_length: 17,
+        pages,
+        outline,
+        content_hash: 'e'.repeat(64),
+        status: 'completed',
+        error_message: null
+      })
+    ]);
+  });
+
+  test('replaces the stored text when a file is extracted again', async () => {
+    await pdfTextExtractor.storeExtractionError(file.id, 'No text content found');
+    await pdfTextExtractor.storeExtractedText(file.id, 'Second attempt', file.file_name);
+
+    expect(mockSupabase.tables.pdf_text_content).toHaveLength(1);
+    expect(mockSupabase.tables.pdf_text_content[0]).toMatchObject({ extracted_text: 'Second attempt', status: 'completed', error_message: null });
+  });
+
+  test('rejects files that cannot be found', async () => {
+    await expect(pdfTextExtractor.storeExtractedText('missing-file', 'text', 'missing.pdf'))
+      .rejects.toThrow('File not found or access denied');
+    expect(mockSupabase.tables.pdf_text_content).toBeUndefined();
+  });
+
+  test('falls back to the store_pdf_text_content RPC when row level security rejects the write', async () => {
+    mockSupabase.failNext('pdf_text_content', 'upsert', { code: '42501', message: 'new row violates row-level security policy' });
+
+    await pdfTextExtractor.storeExtractedText(file.id, 'Reaction Kinetics', file.file_name, pages, outline, 'e'.repeat(64));
+
+    expect(mockSupabase.rpcCalls).toEqual([{
+      name: 'store_pdf_text_content',
+      params: {
+        p_file_id: file.id,
+        p_extracted_text: 'Reaction Kinetics',
+        p_text_length: 17,
+        p_status: 'completed',
+        p_pages: pages,
+        p_outline: outline,
+        p_content_hash: 'e'.repeat(64)
       }
-    ];
+    }]);
+    expect(mockSupabase.tables.pdf_text_content[0]).toMatchObject({ file_id: file.id, status: 'completed' });
+  });
 
-    const handleExtractionComplete = (fileId, result) => {
-      console.log('Extraction completed:', fileId, result);
-    };
+  test('reports a failure of the RPC fallback', async () => {
+    mockSupabase.failNext('pdf_text_content', 'upsert', { code: '42501', message: 'new row violates row-level security policy' });
+    mockSupabase.failNext('rpc', 'store_pdf_text_content', { message: 'Access denied: File does not belong to current user' });
 
-    return (
-      <PDFTextExtraction
-        baseId="test-base"
-        files={mockFiles}
-        onExtractionComplete={handleExtractionComplete}
-      />
-    );
-  };
-  */
-  
-  console.log('✅ Component test structure provided');
-};
+    await expect(pdfTextExtractor.storeExtractedText(file.id, 'text', file.file_name))
+      .rejects.toThrow('Alternative storage failed: Access denied');
+  });
 
-/**
- * Performance test for large PDF processing
- */
-export const testPerformance = async () => {
-  console.log('🧪 Testing Performance...');
-  
-  const startTime = performance.now();
-  
-  // Simulate processing multiple files
-  const fileCount = 10;
-  const promises = [];
-  
-  for (let i = 0; i < fileCount; i++) {
-    promises.push(
-      pdfTextExtractor.getExtractionStatus(`test-file-${i}`)
-    );
-  }
-  
-  try {
-    await Promise.all(promises);
-    const endTime = performance.now();
-    const duration = endTime - startTime;
-    
-    console.log(`✅ Processed ${fileCount} files in ${duration.toFixed(2)}ms`);
-    console.log(`Average time per file: ${(duration / fileCount).toFixed(2)}ms`);
-  } catch (error) {
-    console.log('❌ Performance test failed:', error);
-  }
-};
+  test('does not use the RPC for other database errors', async () => {
+    mockSupabase.failNext('pdf_text_content', 'upsert', { code: '23502', message: 'null value in column "file_id"' });
 
-/**
- * Error handling test
- */
-export const testErrorHandling = async () => {
-  console.log('🧪 Testing Error Handling...');
-  
-  try {
-    // Test with invalid file ID
-    await pdfTextExtractor.extractAndStoreText('invalid-id', 'invalid-path', 'invalid.pdf');
-  } catch (error) {
-    console.log('✅ Error handling test passed:', error.message);
-  }
-  
-  try {
-    // Test with invalid base ID
-    await pdfTextExtractor.processBasePDFs('invalid-base-id');
-  } catch (error) {
-    console.log('✅ Error handling test passed:', error.message);
-  }
-};
+    await expect(pdfTextExtractor.storeExtractedText(file.id, 'text', file.file_name))
+      .rejects.toThrow('Database error: null value in column "file_id"');
+    expect(mockSupabase.rpcCalls).toEqual([]);
+  });
+});
 
-/**
- * Run all tests
- */
-export const runAllTests = async () => {
-  console.log('🚀 Running All PDF Text Extraction Tests...\n');
-  
-  await testPDFTextExtraction();
-  testPDFTextExtractionHook();
-  testPDFTextExtractionComponent();
-  await testPerformance();
-  await testErrorHandling();
-  
-  console.log('\n🎉 All tests completed!');
-};
+describe('extractAndStoreText', () => {
+  test('downloads, extracts and stores a PDF with its chunks', async () => {
+    const result = await documentTextExtractor.extractAndStoreText(file.id, file.file_path, file.file_name, { fileType: file.file_type });
 
-// Export for use in browser console or test runner
-if (typeof window !== 'undefined') {
-  window.testPDFTextExtraction = testPDFTextExtraction;
-  window.runAllTests = runAllTests;
-}
-
-export default {
-  testPDFTextExtraction,
-  testPDFTextExtractionHook,
-  testPDFTextExtractionComponent,
-  testPerformance,
-  testErrorHandling,
-  runAllTests
-};
+    expect(result).toMatchObject({ success: true, message: 'Text extracted and stored successfully' });
+    expect(mockSupabase.tables.pdf_text_content[0]).toMatchObject({ file_id: file.id, status: 'completed', text_length: result.text.length });
+    // The handout fits in one chunk
+    expect(mockSupabase.tables.pdf_text_chunks).toEqual([
+      expect.objectContaining({ file_id: file.id, chunk_index: 0, page_start: 1, page_end: 2, sections: ['Reaction Kinetics', 'Rate Laws'] })
+    ]);
+  });
+
+  test('hashes files uploaded before content hashing', async () => {
+    await documentTextExtractor.extractAndStoreText(file.id, file.file_path, file.file_name, { fileType: file.file_type });
+
+    const { content_hash: contentHash } = mockSupabase.tables.base_files[0];
+    expect(contentHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(mockSupabase.tables.pdf_text_content[0].content_hash).toBe(contentHash);
+  });
+
+  test('copies the text of an identical file instead of extracting it again', async () => {
+    await documentTextExtractor.extractAndStoreText(file.id, file.file_path, file.file_name, { fileType: file.file_type });
+    const contentHash = mockSupabase.tables.base_files[0].content_hash;
+    mockSupabase.tables.base_files.push({ ...file, id: 'file-2', file_path: 'user-1/Exam prep/notes.pdf', content_hash: contentHash });
+
+    const result = await documentTextExtractor.extractAndStoreText('file-2', 'user-1/Exam prep/notes.pdf', 'notes.pdf', { fileType: file.file_type });
+
+    expect(result.message).toBe('Text copied from an identical file');
+    const [original, copy] = mockSupabase.tables.pdf_text_content;
+    expect(copy).toMatchObject({ file_id: 'file-2', extracted_text: original.extracted_text, content_hash: contentHash });
+    expect(mockSupabase.tables.pdf_text_chunks.map(chunk => chunk.file_id)).toEqual([file.id, 'file-2']);
+  });
+
+  test('records a failure when the file cannot be downloaded', async () => {
+    const result = await documentTextExtractor.extractAndStoreText(file.id, 'user-1/Chemistry/missing.pdf', file.file_name, { fileType: file.file_type });
+
+    expect(result).toMatchObject({ success: false, error: 'Failed to download file' });
+    expect(mockSupabase.tables.pdf_text_content[0]).toMatchObject({ status: 'failed', error_message: 'Failed to download file' });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Quiz Grading Test Suite
+ * Rubric generation checks, partial-credit marking and feedback on written
+ * answers, with the grading model replaced by canned responses.
+ */
+
+import { quizEvaluationService } from '../services/quizEvaluationService';
+import { quizGenerationService } from '../services/quizGenerationService';
+import { llmProvider } from '../services/llmProvider';
+
+jest.mock('../lib/supabase', () => ({ supabase: {} }));
+
+const RUBRIC = [
+  { point: 'Rate is proportional to reactant concentration', marks: 1 },
+  { point: 'The rate constant k depends on temperature', marks: 1 },
+  { point: 'Units of k depend on the reaction order', marks: 1 }
+];
+
+const QUESTION = {
+  questionText: 'What does a rate law describe?',
+  correctAnswer: 'How the rate depends on concentrations, through a temperature-dependent rate constant whose units depend on order.',
+  rubric: RUBRIC
+};
+
+const saq = (overrides = {}) => ({
+  type: 'saq',
+  question: 'What does a rate law describe?',
+  answer: 'How the rate depends on concentration.',
+  explanation: 'Rate laws relate rate to concentrations.',
+  rubric: RUBRIC,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('rubric generation', () => {
+  test('keeps the rubric of valid written questions', () => {
+    const { questions, errors } = quizGenerationService.parseQuizResponse(JSON.stringify({ questions: [saq()] }));
+
+    expect(errors).toEqual([]);
+    expect(quizGenerationService.toQuizQuestion(questions[0], 1).rubric).toEqual(RUBRIC);
+  });
+
+  test('rejects rubrics that are missing or do not add up to the question marks', () => {
+    const { questions, errors } = quizGenerationService.parseQuizResponse(JSON.stringify({
+      questions: [
+        saq({ rubric: undefined }),
+        saq({ rubric: [{ point: 'Rate depends on concentration', marks: 2 }] })
+      ]
+    }));
+
+    expect(questions).toHaveLength(0);
+    expect(errors).toEqual([
+      'questions[0].rubric is required',
+      'questions[1].rubric marks must add up to 3 (got 2)'
+    ]);
+  });
+});
+
+describe('rubric marking', () => {
+  test('awards the marks of the points the model finds', async () => {
+    jest.spyOn(llmProvider, 'generate').mockResolvedValue({
+      success: true,
+      response: '```json\n{"points": [{"point": 1, "met": true}, {"point": 2, "met": false}, {"point": 3, "met": true}], "similarityScore": 70, '
+        + '"feedback": {"correct": "You linked rate to concentration.", "missing": "Temperature.", "suggestion": "Say how k changes with temperature."}}\n```'
+    });
+
+    const result = await quizEvaluationService.evaluateAnswer('saq', 'Rate goes with concentration; k has order-dependent units.', QUESTION);
+
+    expect(result).toEqual({
+      isCorrect: false,
+      marksObtained: 2,
+      similarityScore: 70,
+      matchedPoints: [RUBRIC[0], RUBRIC[2]],
+      missedPoints: [RUBRIC[1]],
+      feedback: {
+        summary: null,
+        correct: 'You linked rate to concentration.',
+        missing: 'Temperature.',
+        suggestion: 'Say how k changes with temperature.'
+      },
+      gradedBy: 'llm'
+    });
+    expect(llmProvider.generate.mock.calls[0][0][0].content).toContain('2. The rate constant k depends on temperature (1 mark)');
+  });
+
+  test('falls back to local marking when the model answer is unusable', async () => {
+    jest.spyOn(llmProvider, 'generate').mockResolvedValue({ success: true, response: 'Similarity Score: 80' });
+
+    const result = await quizEvaluationService.evaluateAnswer(
+      'saq',
+      'The rate constant depends on temperature, and the rate is proportional to reactant concentration.',
+      QUESTION
+    );
+
+    expect(result.marksObtained).toBe(2);
+    expect(result.missedPoints).toEqual([RUBRIC[2]]);
+    expect(result.feedback.missing).toBe('Not covered: Units of k depend on the reaction order.');
+    expect(result.gradedBy).toBe('local');
+  });
+
+  test('matches rubric points locally by stem and synonym', async () => {
+    jest.spyOn(llmProvider, 'generate').mockResolvedValue({ success: false, error: 'Network error' });
+
+    const result = await quizEvaluationService.evaluateAnswer(
+      'saq',
+      'Raising the temperature increases the rate constant, and the rate rises in proportion to how concentrated the reactants are.',
+      { ...QUESTION, rubric: [{ point: 'Rate increases with reactant concentration', marks: 1 }, ...RUBRIC.slice(1)] }
+    );
+
+    expect(result.matchedPoints.map(entry => entry.point)).toEqual([
+      'Rate increases with reactant concentration',
+      'The rate constant k depends on temperature'
+    ]);
+    expect(result.gradedBy).toBe('local');
+  });
+
+  test('does not award rubric points locally for a list of the rubric terms', async () => {
+    jest.spyOn(llmProvider, 'generate').mockResolvedValue({ success: false, error: 'Network error' });
+
+    const prose = await quizEvaluationService.evaluateAnswer(
+      'saq',
+      'The rate is proportional to the reactant concentration. The rate constant k depends on temperature, and the units of k depend on the reaction order.',
+      QUESTION
+    );
+    const keywords = await quizEvaluationService.evaluateAnswer(
+      'saq',
+      'rate proportional reactant concentration rate constant k depends temperature units k depend reaction order',
+      QUESTION
+    );
+
+    expect(prose.marksObtained).toBe(3);
+    expect(keywords.marksObtained).toBeLessThan(prose.marksObtained);
+    expect(keywords.marksObtained).toBe(0);
+  });
+
+  test('only matches a rubric point whose terms come up together', async () => {
+    jest.spyOn(llmProvider, 'generate').mockResolvedValue({ success: false, error: 'Network error' });
+
+    const result = await quizEvaluationService.evaluateAnswer(
+      'saq',
+      'The units of a rate law are easy to look up. Catalysts are often metals. They speed up reactions. Every reaction has an order.',
+      QUESTION
+    );
+
+    expect(result.matchedPoints).toEqual([]);
+  });
+
+  test('marks questions without a rubric all-or-nothing', async () => {
+    jest.spyOn(llmProvider, 'generate').mockResolvedValue({
+      success: true,
+      response: 'Similarity Score: 95\nExplanation: Good\nIs Correct: YES'
+    });
+
+    const result = await quizEvaluationService.evaluateAnswer('saq', 'Anything', { ...QUESTION, rubric: null });
+
+    expect(result).toEqual({
+      isCorrect: true,
+      marksObtained: 3,
+      similarityScore: 95,
+      feedback: { summary: 'Good', correct: '', missing: '', suggestion: '' },
+      gradedBy: 'llm'
+    });
+  });
+
+  test('grades questions without a rubric locally when the model is unavailable', async () => {
+    jest.spyOn(llmProvider, 'generate').mockResolvedValue({ success: false, error: 'Network error' });
+
+    const result = await quizEvaluationService.evaluateAnswer('laq', QUESTION.correctAnswer, { ...QUESTION, rubric: null });
+
+    expect(result.isCorrect).toBe(true);
+    expect(result.marksObtained).toBe(5);
+    expect(result.gradedBy).toBe('local');
+  });
+
+  test('keeps the written feedback of a similarity evaluation, including wrapped lines', () => {
+    const evaluation = quizEvaluationService.parseSimilarityResponse([
+      'Similarity Score: 60',
+      'Explanation: Partly right.',
+      'What Was Correct: You named the rate constant.',
+      'What Was Missing: The link to concentration',
+      'and to reaction order.',
+      'Suggestion: State the general form rate = k[A]^m.',
+      'Is Correct: NO'
+    ].join('\n'), 90);
+
+    expect(evaluation).toEqual({
+      isCorrect: false,
+      similarityScore: 60,
+      feedback: {
+        summary: 'Partly right.',
+        correct: 'You named the rate constant.',
+        missing: 'The link to concentration and to reaction order.',
+        suggestion: 'State the general form rate = k[A]^m.'
+      }
+    });
+  });
+});
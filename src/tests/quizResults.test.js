@@ -0,0 +1,93 @@
+/**
+ * Quiz Results Test Suite
+ * Renders the results page with canned results, for quizzes that were
+ * submitted with questions left unanswered.
+ */
+
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import QuizResults from '../components/QuizResults';
+import { quizPersistenceService } from '../services/quizPersistenceService';
+
+jest.mock('../lib/supabase', () => ({ supabase: {} }));
+
+// Virtual: Create React App's Jest cannot resolve react-router-dom 7 through
+// its package exports
+jest.mock('react-router-dom', () => ({
+  useParams: () => ({ quizId: 'quiz-1' }),
+  useNavigate: () => jest.fn()
+}), { virtual: true });
+
+// The same user object on every render, as the real context provides
+const mockAuth = { user: { id: 'user-1' } };
+
+jest.mock('../contexts/AuthContext', () => ({
+  useAuth: () => mockAuth
+}));
+
+const QUESTIONS = [
+  {
+    id: 'question-1',
+    question_number: 1,
+    question_type: 'mcq',
+    question_text: 'Which order has a constant half-life?',
+    options: { 1: 'Zero', 2: 'First', 3: 'Second', 4: 'Third' },
+    correct_option_number: 2,
+    marks: 1
+  },
+  {
+    id: 'question-2',
+    question_number: 2,
+    question_type: 'saq',
+    question_text: 'What does a rate law describe?',
+    correct_answer: 'How the rate depends on reactant concentrations.',
+    explanation: 'Rate laws relate rate to concentrations.',
+    marks: 3
+  }
+];
+
+const RESULTS = {
+  quiz: {
+    id: 'quiz-1',
+    quiz_name: 'Kinetics',
+    percentage: 25,
+    marks_obtained: 1,
+    total_marks: 4,
+    completed_at: '2026-03-02T10:30:00Z',
+    questions: QUESTIONS
+  },
+  answers: [
+    { id: 'answer-1', question_id: 'question-1', user_answer: '2', is_correct: true, marks_obtained: 1, similarity_score: 100 }
+  ],
+  gradeHistory: []
+};
+
+let container;
+let root;
+
+beforeAll(() => {
+  global.IS_REACT_ACT_ENVIRONMENT = true;
+});
+
+beforeEach(() => {
+  jest.spyOn(quizPersistenceService, 'getQuizResults').mockResolvedValue({ success: true, results: RESULTS });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  container = document.createElement('div');
+  document.body.appendChild(container);
+  root = createRoot(container);
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+});
+
+test('renders a quiz with an unanswered written question', async () => {
+  await act(async () => {
+    root.render(<QuizResults />);
+  });
+
+  expect(container.querySelectorAll('.result-item')).toHaveLength(2);
+  expect(container.querySelector('.grade-override-form')).toBeNull();
+  expect(container.textContent).toContain('What does a rate law describe?');
+});
@@ -0,0 +1,131 @@
+/**
+ * Search Service Test Suite
+ * Covers query parsing and the handling of search_user_documents results;
+ * the database function is replaced by a canned response.
+ */
+
+import {
+  searchService,
+  parseSearchQuery,
+  buildTsQuery,
+  parseHeadline
+} from '../services/searchService';
+import { pdfTextExtractor } from '../services/pdfTextExtractor';
+import { createSupabaseDouble } from './supabaseDouble';
+
+let mockSupabase;
+
+jest.mock('../lib/supabase', () => ({
+  get supabase() {
+    return mockSupabase.client;
+  }
+}));
+
+// What search_user_documents returns: matches between chr(2) and chr(3)
+const RESULT_ROWS = [
+  {
+    file_id: 'file-1',
+    file_name: 'lecture-notes.pdf',
+    file_type: 'application/pdf',
+    base_id: 'base-1',
+    base_name: 'Chemistry',
+    rank: 0.42,
+    matched_pages: 2,
+    snippets: [
+      { page: 2, headline: 'The \u0002rate\u0003 \u0002law\u0003 relates the\nreaction rate' },
+      { page: 1, headline: '\u0002Rate\u0003 \u0002Laws\u0003' }
+    ]
+  },
+  {
+    file_id: 'file-2',
+    file_name: 'summary.md',
+    file_type: 'text/markdown',
+    base_id: 'base-2',
+    base_name: 'Revision',
+    rank: 0.1,
+    matched_pages: 0,
+    snippets: [{ page: null, headline: 'see the \u0002rate\u0003 \u0002law\u0003' }]
+  }
+];
+
+beforeEach(() => {
+  mockSupabase = createSupabaseDouble({
+    rpc: { search_user_documents: () => ({ data: RESULT_ROWS, error: null }) }
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('parseSearchQuery and buildTsQuery', () => {
+  test('ANDs words, keeps quoted phrases together and marks prefixes', () => {
+    const terms = parseSearchQuery('Kinetics "rate law" react*');
+
+    expect(terms).toEqual([
+      { words: ['kinetics'], phrase: false, prefix: false },
+      { words: ['rate', 'law'], phrase: true, prefix: false },
+      { words: ['react'], phrase: false, prefix: true }
+    ]);
+    expect(buildTsQuery(terms)).toBe('kinetics & (rate <-> law) & react:*');
+  });
+
+  test('drops tsquery syntax and empty terms', () => {
+    const terms = parseSearchQuery('first-order & "" !half|life');
+
+    expect(buildTsQuery(terms)).toBe('(first <-> order) & (half <-> life)');
+  });
+});
+
+describe('parseHeadline', () => {
+  test('splits a headline into plain and highlighted segments', () => {
+    expect(parseHeadline('The \u0002rate\u0003 \u0002law\u0003 relates\n the rate')).toEqual([
+      { text: 'The ', highlight: false },
+      { text: 'rate', highlight: true },
+      { text: ' ', highlight: false },
+      { text: 'law', highlight: true },
+      { text: ' relates the rate', highlight: false }
+    ]);
+  });
+
+  test('returns no segments for an empty headline', () => {
+    expect(parseHeadline(null)).toEqual([]);
+  });
+});
+
+describe('searchDocuments', () => {
+  test('passes the parsed query to search_user_documents and maps the results', async () => {
+    const result = await searchService.searchDocuments('"rate law"');
+
+    expect(mockSupabase.rpcCalls).toEqual([{
+      name: 'search_user_documents',
+      params: { p_query: '(rate <-> law)', p_base_id: null, p_limit: 20 }
+    }]);
+    expect(result.success).toBe(true);
+    expect(result.results.map(item => [item.fileId, item.baseName, item.score, item.matchedPages]))
+      .toEqual([['file-1', 'Chemistry', 0.42, 2], ['file-2', 'Revision', 0.1, 0]]);
+    expect(result.results[0].snippets[0].page).toBe(2);
+    expect(result.results[0].snippets[0].segments.filter(segment => segment.highlight).map(segment => segment.text))
+      .toEqual(['rate', 'law']);
+  });
+
+  test('does not call the database for an empty query', async () => {
+    const result = await searchService.searchDocuments('  "" ');
+
+    expect(result).toEqual({ success: true, results: [] });
+    expect(mockSupabase.rpcCalls).toHaveLength(0);
+  });
+
+  test('reports database errors', async () => {
+    mockSupabase.failNext('rpc', 'search_user_documents', { message: 'syntax error in tsquery' });
+
+    const result = await searchService.searchDocuments('rate');
+
+    expect(result).toEqual({ success: false, error: 'Database error: syntax error in tsquery' });
+  });
+
+  test('searchPDFText limits the search to one base', async () => {
+    const results = await pdfTextExtractor.searchPDFText('base-1', 'kinet*');
+
+    expect(mockSupabase.rpcCalls[0].params).toEqual({ p_query: 'kinet:*', p_base_id: 'base-1', p_limit: 20 });
+    expect(results).toHaveLength(2);
+  });
+});
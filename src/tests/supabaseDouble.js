@@ -0,0 +1,257 @@
+/**
+ * In-memory Supabase client double for service tests
+ * Implements the part of the query builder the services use: select,
+ * insert, upsert, update and delete with eq/neq filters, order, limit,
+ * single and maybeSingle, plus RPC handlers and storage downloads. Column
+ * lists and embedded joins in select() are ignored and whole rows are
+ * returned. Row level security is not modelled; failNext() makes the next
+ * matching call fail instead (e.g. with code 42501 for an RLS denial).
+ */
+
+let nextId = 1;
+
+class QueryBuilder {
+  constructor(database, table) {
+    this.database = database;
+    this.table = table;
+    this.operation = 'select';
+    this.payload = null;
+    this.conflictKeys = ['id'];
+    this.filters = [];
+    this.ordering = null;
+    this.maxRows = null;
+    this.returnRows = false;
+    this.cardinality = 'many';
+  }
+
+  select() {
+    // After a write, select() asks for the written rows back
+    this.returnRows = true;
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.payload = [].concat(rows);
+    return this;
+  }
+
+  upsert(rows, { onConflict = 'id' } = {}) {
+    this.operation = 'upsert';
+    this.payload = [].concat(rows);
+    this.conflictKeys = onConflict.split(',').map(key => key.trim());
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => row[column] === value);
+    return this;
+  }
+
+  neq(column, value) {
+    this.filters.push(row => row[column] !== value);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering = { column, ascending };
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  /**
+   * Run the query against the in-memory tables
+   * @returns {{data: *, error: Object|null}}
+   */
+  execute() {
+    const error = this.database.takeFailure(this.table, this.operation);
+    if (error) {
+      return { data: null, error };
+    }
+
+    const rows = this.database.table(this.table);
+    const matching = () => rows.filter(row => this.filters.every(filter => filter(row)));
+    let result;
+
+    switch (this.operation) {
+      case 'insert':
+        result = this.payload.map(row => this.database.insertRow(this.table, row));
+        break;
+      case 'upsert':
+        result = this.payload.map(row => {
+          const existing = rows.find(candidate => this.conflictKeys.every(key => (
+            row[key] !== undefined && candidate[key] === row[key]
+          )));
+          return existing ? Object.assign(existing, row) : this.database.insertRow(this.table, row);
+        });
+        break;
+      case 'update':
+        result = matching().map(row => Object.assign(row, this.payload));
+        break;
+      case 'delete':
+        result = matching();
+        this.database.tables[this.table] = rows.filter(row => !result.includes(row));
+        break;
+      default:
+        result = this.sortAndLimit(matching());
+    }
+
+    if (this.operation !== 'select' && !this.returnRows) {
+      return { data: null, error: null };
+    }
+
+    return this.shape(result.map(row => ({ ...row })));
+  }
+
+  /**
+   * Apply order() and limit() to selected rows
+   * @param {Array<Object>} rows - Matching rows
+   * @returns {Array<Object>}
+   */
+  sortAndLimit(rows) {
+    let sorted = rows;
+    if (this.ordering) {
+      const { column, ascending } = this.ordering;
+      sorted = [...rows].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+    }
+    return this.maxRows === null ? sorted : sorted.slice(0, this.maxRows);
+  }
+
+  /**
+   * Shape the result for single() and maybeSingle(), with PostgREST's error
+   * when the row count does not fit
+   * @param {Array<Object>} rows - Result rows
+   * @returns {{data: *, error: Object|null}}
+   */
+  shape(rows) {
+    if (this.cardinality === 'many') {
+      return { data: rows, error: null };
+    }
+
+    if (rows.length > 1 || (rows.length === 0 && this.cardinality === 'single')) {
+      return {
+        data: null,
+        error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }
+      };
+    }
+
+    return { data: rows[0] || null, error: null };
+  }
+}
+
+/**
+ * Create a Supabase double
+ * @param {Object} options - Initial state
+ * @param {Object<string, Array<Object>>} options.tables - Rows by table name
+ * @param {Object<string, Function>} options.rpc - RPC handlers by function name, called with
+ *   (params, database) and returning { data, error }
+ * @param {Object<string, Uint8Array>} options.files - Storage objects by path
+ * @returns {{client: Object, tables: Object, rpcCalls: Array, failNext: Function}}
+ */
+export const createSupabaseDouble = ({ tables = {}, rpc = {}, files = {} } = {}) => {
+  const failures = [];
+  const rpcCalls = [];
+
+  const database = {
+    tables: Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map(row => ({ ...row }))])),
+
+    table(name) {
+      if (!this.tables[name]) {
+        this.tables[name] = [];
+      }
+      return this.tables[name];
+    },
+
+    insertRow(name, row) {
+      const stored = { id: `${name}-${nextId++}`, ...row };
+      this.table(name).push(stored);
+      return stored;
+    },
+
+    takeFailure(target, operation) {
+      const index = failures.findIndex(failure => failure.target === target && failure.operation === operation);
+      return index === -1 ? null : failures.splice(index, 1)[0].error;
+    }
+  };
+
+  const client = {
+    from: (table) => new QueryBuilder(database, table),
+
+    rpc: async (name, params) => {
+      rpcCalls.push({ name, params });
+
+      const error = database.takeFailure('rpc', name);
+      if (error) {
+        return { data: null, error };
+      }
+
+      if (!rpc[name]) {
+        return { data: null, error: { code: 'PGRST202', message: `Could not find the function public.${name}` } };
+      }
+
+      return rpc[name](params, database);
+    },
+
+    storage: {
+      from: () => ({
+        download: async (path) => {
+          const bytes = files[path];
+          if (!bytes) {
+            return { data: null, error: { message: 'Object not found' } };
+          }
+
+          // A Blob-like body; jsdom's Blob has no arrayBuffer()
+          return {
+            data: { arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) },
+            error: null
+          };
+        }
+      })
+    }
+  };
+
+  return {
+    client,
+    tables: database.tables,
+    rpcCalls,
+
+    /**
+     * Make the next matching call fail
+     * @param {string} target - Table name, or 'rpc'
+     * @param {string} operation - 'select', 'insert', 'upsert', 'update', 'delete', or the RPC name
+     * @param {Object} error - Error to return, e.g. { code: '42501', message: '...' }
+     */
+    failNext(target, operation, error) {
+      failures.push({ target, operation, error });
+    }
+  };
+};